@@ -0,0 +1,4 @@
+import { register } from 'node:module';
+
+// Loaded with `node --import` before the tests (see the "test" script)
+register('./resolveExtensionless.js', import.meta.url);
@@ -0,0 +1,10 @@
+// Node resolve hook for running the app's modules outside Vite, which lets
+// relative imports leave off the ".js" extension
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !specifier.startsWith('.')) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+};
@@ -0,0 +1,146 @@
+import { createServer } from 'node:http';
+import { resolve } from 'node:path';
+import { VersionConflictError, createJsonStore } from './jsonStore.js';
+import { validateRecord } from './validation.js';
+
+const PORT = Number(process.env.PORT) || 3001;
+const DATA_FILE = resolve(process.env.DATA_FILE || 'data/invoice-form.json');
+// Enough for a business profile with its logo
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+// One collection per store in the app (see src/storage/db.js)
+const COLLECTIONS = [
+  'invoices',
+  'customers',
+  'products',
+  'quotes',
+  'drafts',
+  'settings',
+  'recurring',
+];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+class HttpError extends Error {
+  constructor(status, body) {
+    super(body.error);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const send = (response, status, body) => {
+  response.writeHead(status, {
+    ...CORS_HEADERS,
+    ...(body !== undefined && { 'Content-Type': 'application/json' }),
+  });
+  response.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const readJson = (request) =>
+  new Promise((resolvePromise, reject) => {
+    let chunks = [];
+    let size = 0;
+    // Past the limit the rest of the body is read and dropped, so the socket
+    // stays open for the 413 response
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        if (chunks) reject(new HttpError(413, { error: 'The request body is too large' }));
+        chunks = null;
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      if (!chunks) return;
+      try {
+        resolvePromise(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(new HttpError(400, { error: 'The request body must be JSON' }));
+      }
+    });
+    request.on('error', reject);
+  });
+
+// /:collection lists records; /:collection/:id reads, saves or deletes one
+const ROUTES = {
+  list: {
+    GET: async (store, { collection }) => [200, store.list(collection)],
+  },
+  record: {
+    GET: async (store, { collection, id }) => {
+      const record = store.get(collection, id);
+      if (!record) throw new HttpError(404, { error: 'Record not found' });
+      return [200, record];
+    },
+    PUT: async (store, { collection, id }, request) => {
+      const record = await readJson(request);
+      if (record?.id !== id) {
+        throw new HttpError(400, { error: 'The record id does not match the URL' });
+      }
+      const fields = validateRecord(collection, record, store.list(collection));
+      if (Object.keys(fields).length > 0) {
+        throw new HttpError(422, { error: 'The server rejected some fields', fields });
+      }
+      try {
+        return [200, await store.put(collection, record)];
+      } catch (error) {
+        if (!(error instanceof VersionConflictError)) throw error;
+        throw new HttpError(409, { error: error.message, current: error.current });
+      }
+    },
+    DELETE: async (store, { collection, id }) => {
+      await store.remove(collection, id);
+      return [204];
+    },
+  },
+};
+
+// Path segments with their escapes decoded; a malformed escape is the
+// client's mistake, not a server error
+const getPathSegments = (pathname) => {
+  try {
+    return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    throw new HttpError(400, { error: 'The URL is not correctly encoded' });
+  }
+};
+
+const handleRequest = async (store, request, response) => {
+  if (request.method === 'OPTIONS') {
+    send(response, 204);
+    return;
+  }
+
+  const { pathname } = new URL(request.url, 'http://localhost');
+  const [collection, id, ...rest] = getPathSegments(pathname);
+  if (!COLLECTIONS.includes(collection) || rest.length > 0) {
+    throw new HttpError(404, { error: 'Not found' });
+  }
+
+  const handler = ROUTES[id ? 'record' : 'list'][request.method];
+  if (!handler) throw new HttpError(405, { error: 'Method not allowed' });
+
+  const [status, body] = await handler(store, { collection, id }, request);
+  send(response, status, body);
+};
+
+createJsonStore(DATA_FILE).then((store) => {
+  createServer((request, response) => {
+    handleRequest(store, request, response).catch((error) => {
+      if (error instanceof HttpError) {
+        send(response, error.status, error.body);
+        return;
+      }
+      console.error('Error handling request:', error);
+      send(response, 500, { error: 'The server could not handle the request' });
+    });
+  }).listen(PORT, () => {
+    console.log(`Invoice API listening on http://localhost:${PORT}, data in ${DATA_FILE}`);
+  });
+});
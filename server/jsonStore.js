@@ -0,0 +1,62 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// Raised when a record is saved with a version older than the stored one
+export class VersionConflictError extends Error {
+  constructor(current) {
+    super('The record was changed after it was opened');
+    this.name = 'VersionConflictError';
+    this.current = current;
+  }
+}
+
+// Keeps every collection in memory and writes the whole file after each
+// change. Writes go through a temporary file so a crash never leaves half a
+// file behind, and are queued so they land in order.
+export const createJsonStore = async (file) => {
+  let data = {};
+  try {
+    data = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  let pendingWrite = Promise.resolve();
+  const persist = () => {
+    const contents = JSON.stringify(data, null, 2);
+    pendingWrite = pendingWrite.then(async () => {
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(`${file}.tmp`, contents);
+      await rename(`${file}.tmp`, file);
+    });
+    return pendingWrite;
+  };
+
+  return {
+    list: (collection) => Object.values(data[collection] || {}),
+
+    get: (collection, id) => data[collection]?.[id],
+
+    // Same rule as the browser stores: a record saved with the version it was
+    // read at must still match, and one saved without a version overwrites
+    put: async (collection, record) => {
+      const stored = data[collection]?.[record.id];
+      const storedVersion = stored?.version ?? 0;
+      if (stored && record.version !== undefined && record.version !== storedVersion) {
+        throw new VersionConflictError(stored);
+      }
+      const saved = { ...record, version: storedVersion + 1 };
+      data = { ...data, [collection]: { ...data[collection], [record.id]: saved } };
+      await persist();
+      return saved;
+    },
+
+    remove: async (collection, id) => {
+      if (!data[collection]?.[id]) return;
+      const { [id]: removed, ...records } = data[collection];
+      data = { ...data, [collection]: records };
+      await persist();
+      return removed;
+    },
+  };
+};
@@ -0,0 +1,76 @@
+// Checks the server makes before storing a record. They repeat the form's
+// basic rules and add the ones only the server can make reliably, such as a
+// number already taken by another user. Messages are keyed by form field path.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Indian financial years run from April to March
+const getFinancialYear = (date) => {
+  const [year, month] = date.split('-').map(Number);
+  return month >= 4 ? year : year - 1;
+};
+
+const isBlank = (value) => typeof value !== 'string' || !value.trim();
+
+// Invoices, notes, quotations and proforma invoices
+const validateDocument = (record, existing) => {
+  const values = record.values || {};
+  const fields = {};
+
+  if (!DATE_PATTERN.test(values.invoiceDate || '')) {
+    fields.invoiceDate = 'Date is required';
+  }
+  if (isBlank(values.invoiceNo)) {
+    fields.invoiceNo = 'Number is required';
+  } else if (
+    !fields.invoiceDate &&
+    existing.some((other) => {
+      // Compared on the same fields checked above, which a stored record is
+      // not guaranteed to repeat at its top level
+      const { invoiceNo, invoiceDate } = other.values || {};
+      return (
+        other.id !== record.id &&
+        !isBlank(invoiceNo) &&
+        DATE_PATTERN.test(invoiceDate || '') &&
+        invoiceNo.toUpperCase() === values.invoiceNo.toUpperCase() &&
+        getFinancialYear(invoiceDate) === getFinancialYear(values.invoiceDate)
+      );
+    })
+  ) {
+    fields.invoiceNo = `${values.invoiceNo} is already used in this financial year`;
+  }
+  if (isBlank(values.customer?.name)) {
+    fields['customer.name'] = 'Customer name is required';
+  }
+  if (!Array.isArray(values.products) || values.products.length === 0) {
+    fields.products = 'At least one product is required';
+  }
+  return fields;
+};
+
+const validateCustomer = (record, existing) => {
+  if (isBlank(record.name)) return { name: 'Customer name is required' };
+  const name = record.name.trim().toLowerCase();
+  const isTaken = existing.some(
+    (other) => other.id !== record.id && other.name.trim().toLowerCase() === name
+  );
+  return isTaken ? { name: `${record.name.trim()} is already in the customer list` } : {};
+};
+
+const validateProduct = (record) => {
+  const fields = {};
+  if (isBlank(record.name)) fields.name = 'Product name is required';
+  if (isBlank(record.hsnCode)) fields.hsnCode = 'HSN/SAC code is required';
+  return fields;
+};
+
+const VALIDATORS = {
+  invoices: validateDocument,
+  quotes: validateDocument,
+  customers: validateCustomer,
+  products: validateProduct,
+};
+
+// Returns a map of field paths to messages, empty when the record is valid
+export const validateRecord = (collection, record, existing) =>
+  VALIDATORS[collection] ? VALIDATORS[collection](record, existing) : {};
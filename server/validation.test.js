@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRecord } from './validation.js';
+
+const invoice = (id, invoiceNo, invoiceDate) => ({
+  id,
+  values: {
+    invoiceNo,
+    invoiceDate,
+    customer: { name: 'Acme Traders' },
+    products: [{ productName: 'Widget' }],
+  },
+});
+
+describe('validateRecord for invoices', () => {
+  it('accepts a record that only carries its number in values', () => {
+    assert.deepEqual(validateRecord('invoices', invoice('a', 'INV-1', '2025-05-01'), []), {});
+  });
+
+  it('checks later records against a stored one with no top-level number', () => {
+    const stored = [invoice('a', 'INV-1', '2025-05-01')];
+    assert.deepEqual(validateRecord('invoices', invoice('b', 'INV-2', '2025-05-02'), stored), {});
+    assert.deepEqual(validateRecord('invoices', invoice('b', 'inv-1', '2026-03-31'), stored), {
+      invoiceNo: 'inv-1 is already used in this financial year',
+    });
+  });
+
+  it('allows a number again in the next financial year', () => {
+    const stored = [invoice('a', 'INV-1', '2025-05-01')];
+    assert.deepEqual(validateRecord('invoices', invoice('b', 'INV-1', '2026-04-01'), stored), {});
+  });
+
+  it('skips stored records without a number or date', () => {
+    const stored = [{ id: 'a', values: {} }, { id: 'c' }];
+    assert.deepEqual(validateRecord('invoices', invoice('b', 'INV-1', '2025-05-01'), stored), {});
+  });
+
+  it('reports missing fields by form path', () => {
+    assert.deepEqual(validateRecord('invoices', { id: 'a', values: {} }, []), {
+      invoiceDate: 'Date is required',
+      invoiceNo: 'Number is required',
+      'customer.name': 'Customer name is required',
+      products: 'At least one product is required',
+    });
+  });
+});
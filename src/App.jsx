@@ -1,7 +1,28 @@
-import React from 'react';
+import { useState, useEffect } from 'react';
+import AccountingExport from './components/AccountingExport';
+import CustomerMaster from './components/CustomerMaster';
+import DraftsList from './components/DraftsList';
+import EInvoiceExport from './components/EInvoiceExport';
+import Gstr1Report from './components/Gstr1Report';
 import InvoiceForm from './components/InvoiceForm';
+import InvoiceRegister from './components/InvoiceRegister';
+import OutstandingReport from './components/OutstandingReport';
+import ProductCatalog from './components/ProductCatalog';
+import QuoteRegister from './components/QuoteRegister';
+import RecurringTemplates from './components/RecurringTemplates';
+import Settings from './components/Settings';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
+import { Alert, Button, Container, Tab, Tabs } from '@mui/material';
+import {
+  emptyPayment,
+  toConvertedInvoiceValues,
+  toInvoiceFormValues,
+  toNoteFormValues,
+  toQuoteFormValues,
+} from './schemas/invoiceSchema';
+import { listDrafts } from './storage/draftStore';
+import { generateDueInvoices } from './storage/recurringStore';
 
 const theme = createTheme({
   palette: {
@@ -21,12 +42,160 @@ const theme = createTheme({
 });
 
 function App() {
+  const [view, setView] = useState('form');
+  // Bumping the key remounts the form with fresh default values
+  const [formState, setFormState] = useState({ key: 0 });
+  // Drafts left over from a previous session, offered for recovery on load
+  const [recoverableDrafts, setRecoverableDrafts] = useState([]);
+  // Invoices generated from recurring templates that are waiting for review
+  const [queuedInvoices, setQueuedInvoices] = useState([]);
+
+  useEffect(() => {
+    generateDueInvoices()
+      .catch((error) => console.error('Error generating recurring invoices:', error))
+      .then(listDrafts)
+      .then((drafts) => {
+        setRecoverableDrafts(drafts.filter((draft) => !draft.templateName));
+        setQueuedInvoices(drafts.filter((draft) => draft.templateName));
+      })
+      .catch((error) => console.error('Error loading drafts:', error));
+  }, []);
+
+  const openForm = (invoiceId, initialValues, draftId) => {
+    setFormState((current) => ({ key: current.key + 1, invoiceId, initialValues, draftId }));
+    setRecoverableDrafts([]);
+    setQueuedInvoices([]);
+    setView('form');
+  };
+
+  const handleViewChange = (event, nextView) => {
+    if (nextView === 'form') {
+      openForm();
+    } else {
+      setView(nextView);
+    }
+  };
+
+  const handleEdit = (invoice) => openForm(invoice.id, toInvoiceFormValues(invoice.values));
+
+  // A copy is a new invoice of its own, not another conversion of the quote,
+  // and nothing has been paid against it yet
+  const handleDuplicate = (invoice) =>
+    openForm(
+      undefined,
+      toInvoiceFormValues({
+        ...invoice.values,
+        sourceQuote: null,
+        invoiceNo: '',
+        invoiceDate: '',
+        dueDate: '',
+        payments: [emptyPayment],
+      })
+    );
+
+  const handleCreateNote = (invoice, documentType) =>
+    openForm(undefined, toNoteFormValues(invoice, documentType));
+
+  const handleCreateQuote = (documentType) => openForm(undefined, toQuoteFormValues(documentType));
+
+  const handleConvertQuote = (quote) => openForm(undefined, toConvertedInvoiceValues(quote));
+
+  const handleResumeDraft = (draft) =>
+    openForm(draft.invoiceId, toInvoiceFormValues(draft.values), draft.id);
+
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
-      <InvoiceForm />
+      <Container maxWidth="lg" className="no-print" sx={{ pt: 2 }}>
+        <Tabs value={view} onChange={handleViewChange} variant="scrollable" scrollButtons="auto">
+          <Tab label="New Invoice" value="form" />
+          <Tab label="Invoice Register" value="register" />
+          <Tab label="Quotations" value="quotes" />
+          <Tab label="Outstanding" value="outstanding" />
+          <Tab label="Drafts" value="drafts" />
+          <Tab label="Recurring" value="recurring" />
+          <Tab label="Customers" value="customers" />
+          <Tab label="Products" value="products" />
+          <Tab label="E-Invoice" value="einvoice" />
+          <Tab label="GSTR-1" value="gstr1" />
+          <Tab label="Accounting" value="accounting" />
+          <Tab label="Settings" value="settings" />
+        </Tabs>
+        {view === 'form' && recoverableDrafts.length > 0 && (
+          <Alert
+            severity="info"
+            sx={{ mt: 2 }}
+            onClose={() => setRecoverableDrafts([])}
+            action={
+              <>
+                <Button
+                  color="inherit"
+                  size="small"
+                  onClick={() => handleResumeDraft(recoverableDrafts[0])}
+                >
+                  Restore
+                </Button>
+                <Button color="inherit" size="small" onClick={() => setView('drafts')}>
+                  View Drafts
+                </Button>
+              </>
+            }
+          >
+            {recoverableDrafts.length === 1
+              ? 'An unsaved draft from your last session was found.'
+              : `${recoverableDrafts.length} unsaved drafts from your last session were found.`}
+          </Alert>
+        )}
+        {view === 'form' && queuedInvoices.length > 0 && (
+          <Alert
+            severity="success"
+            sx={{ mt: 2 }}
+            onClose={() => setQueuedInvoices([])}
+            action={
+              <Button color="inherit" size="small" onClick={() => setView('drafts')}>
+                Review
+              </Button>
+            }
+          >
+            {queuedInvoices.length === 1
+              ? '1 recurring invoice is ready for review.'
+              : `${queuedInvoices.length} recurring invoices are ready for review.`}
+          </Alert>
+        )}
+      </Container>
+      {view === 'form' && (
+        <InvoiceForm
+          key={formState.key}
+          invoiceId={formState.invoiceId}
+          initialValues={formState.initialValues}
+          draftId={formState.draftId}
+        />
+      )}
+      {view === 'register' && (
+        <InvoiceRegister
+          onEdit={handleEdit}
+          onDuplicate={handleDuplicate}
+          onCreateNote={handleCreateNote}
+        />
+      )}
+      {view === 'quotes' && (
+        <QuoteRegister
+          onCreate={handleCreateQuote}
+          onEdit={handleEdit}
+          onConvert={handleConvertQuote}
+        />
+      )}
+      {view === 'outstanding' && <OutstandingReport />}
+      {view === 'drafts' && <DraftsList onResume={handleResumeDraft} />}
+      {view === 'recurring' && <RecurringTemplates onReview={() => setView('drafts')} />}
+      {view === 'customers' && <CustomerMaster />}
+      {view === 'products' && <ProductCatalog />}
+      {view === 'einvoice' && <EInvoiceExport />}
+      {view === 'gstr1' && <Gstr1Report />}
+      {view === 'accounting' && <AccountingExport />}
+      {view === 'settings' && <Settings />}
     </ThemeProvider>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
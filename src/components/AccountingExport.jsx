@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react';
+import {
+  Button,
+  Card,
+  CardContent,
+  Container,
+  Grid,
+  Paper,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import LedgerMappingSettings from './LedgerMappingSettings';
+import { listInvoices } from '../storage/invoiceStore';
+import { getBusinessProfile, getLedgerMapping } from '../storage/settingsStore';
+import { getBranch } from '../utils/businessProfile';
+import { INVOICE_STATUS } from '../utils/documentTypes';
+import { downloadCsv, downloadXml } from '../utils/download';
+import { toJournalCsv } from '../utils/journal';
+import { toTallyXml } from '../utils/tally';
+
+const AccountingExport = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [filters, setFilters] = useState({ fromDate: '', toDate: '' });
+  const [exportError, setExportError] = useState('');
+
+  useEffect(() => {
+    listInvoices()
+      .then((savedInvoices) =>
+        setInvoices(savedInvoices.filter((invoice) => invoice.status === INVOICE_STATUS.ACTIVE))
+      )
+      .catch((error) => console.error('Error loading invoices:', error));
+  }, []);
+
+  const handleFilterChange = (name) => (event) =>
+    setFilters((current) => ({ ...current, [name]: event.target.value }));
+
+  // Oldest first, the order vouchers are entered in the books
+  const payloads = invoices
+    .filter(
+      (invoice) =>
+        (!filters.fromDate || invoice.invoiceDate >= filters.fromDate) &&
+        (!filters.toDate || invoice.invoiceDate <= filters.toDate)
+    )
+    .map((invoice) => invoice.payload)
+    .reverse();
+  const fileSuffix = `${filters.fromDate || 'start'}-to-${filters.toDate || 'end'}`;
+
+  const handleExport = async (format) => {
+    try {
+      setExportError('');
+      const [mapping, profile] = await Promise.all([getLedgerMapping(), getBusinessProfile()]);
+      if (format === 'tally') {
+        // Vouchers of every branch go into the company of the default branch
+        const companyName = getBranch(profile, profile.defaultBranchId).name;
+        downloadXml(
+          toTallyXml(payloads, { mapping, companyName }),
+          `tally-sales-${fileSuffix}.xml`
+        );
+      } else {
+        downloadCsv(toJournalCsv(payloads, mapping), `journal-${fileSuffix}.csv`);
+      }
+    } catch (error) {
+      console.error('Error exporting invoices:', error);
+      setExportError('The export could not be created');
+    }
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          borderRadius: 2,
+          backgroundColor: '#ffffff',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+        }}
+      >
+        <Typography
+          variant="h4"
+          gutterBottom
+          sx={{
+            color: '#1a237e',
+            fontWeight: 600,
+            mb: 4,
+            textAlign: 'center',
+          }}
+        >
+          Accounting Export
+        </Typography>
+
+        <Card elevation={0} sx={{ backgroundColor: '#f5f5f5', mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" sx={{ color: '#1a237e', mb: 2 }}>
+              Export Vouchers
+            </Typography>
+            <Grid container spacing={3} alignItems="center">
+              <Grid item xs={6} md={3}>
+                <TextField
+                  fullWidth
+                  type="date"
+                  label="From Date"
+                  InputLabelProps={{ shrink: true }}
+                  value={filters.fromDate}
+                  onChange={handleFilterChange('fromDate')}
+                  variant="outlined"
+                  sx={{ backgroundColor: '#ffffff' }}
+                />
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <TextField
+                  fullWidth
+                  type="date"
+                  label="To Date"
+                  InputLabelProps={{ shrink: true }}
+                  value={filters.toDate}
+                  onChange={handleFilterChange('toDate')}
+                  variant="outlined"
+                  sx={{ backgroundColor: '#ffffff' }}
+                />
+              </Grid>
+              <Grid item xs={12} md={6} sx={{ display: 'flex', gap: 2, justifyContent: 'flex-end' }}>
+                <Button
+                  variant="contained"
+                  startIcon={<DownloadIcon />}
+                  onClick={() => handleExport('tally')}
+                  disabled={payloads.length === 0}
+                >
+                  Tally XML
+                </Button>
+                <Button
+                  variant="outlined"
+                  startIcon={<DownloadIcon />}
+                  onClick={() => handleExport('journal')}
+                  disabled={payloads.length === 0}
+                >
+                  Journal CSV
+                </Button>
+              </Grid>
+              <Grid item xs={12}>
+                <Typography variant="body2" color="text.secondary">
+                  {payloads.length} active invoice{payloads.length === 1 ? '' : 's'} in range.
+                  Single invoices can also be exported from the Invoice Register.
+                </Typography>
+                {exportError && (
+                  <Typography color="error" variant="caption" display="block">
+                    {exportError}
+                  </Typography>
+                )}
+              </Grid>
+            </Grid>
+          </CardContent>
+        </Card>
+
+        <LedgerMappingSettings />
+      </Paper>
+    </Container>
+  );
+};
+
+export default AccountingExport;
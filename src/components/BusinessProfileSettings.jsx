@@ -0,0 +1,382 @@
+import { useState, useEffect } from 'react';
+import { useForm, Controller } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Avatar,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  Grid,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import StarIcon from '@mui/icons-material/Star';
+import StarBorderIcon from '@mui/icons-material/StarBorder';
+import { states } from '../data/mockData';
+import { useStateFromGstin } from '../hooks/useStateFromGstin';
+import { MAX_LOGO_BYTES, branchSchema, emptyBranch } from '../schemas/settingsSchema';
+import { getBusinessProfile, saveBusinessProfile } from '../storage/settingsStore';
+import { defaultBusinessProfile } from '../utils/businessProfile';
+import { STATE_TYPES } from '../utils/states';
+
+const BANK_FIELDS = [
+  { name: 'accountName', label: 'Account Name' },
+  { name: 'accountNumber', label: 'Account Number' },
+  { name: 'ifsc', label: 'IFSC' },
+  { name: 'bankName', label: 'Bank Name' },
+  { name: 'branchName', label: 'Bank Branch' },
+];
+
+// A branch is registered for GST somewhere in India
+const sellerStates = states.filter((state) => state.type !== STATE_TYPES.FOREIGN);
+
+const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+const BranchDialog = ({ branch, onClose, onSave }) => {
+  const [logoError, setLogoError] = useState('');
+
+  const {
+    register,
+    handleSubmit,
+    control,
+    watch,
+    setValue,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(branchSchema),
+    defaultValues: {
+      ...emptyBranch,
+      ...branch,
+      bank: { ...emptyBranch.bank, ...branch?.bank },
+    },
+  });
+
+  const watchLogo = watch('logo');
+
+  useStateFromGstin(watch, setValue);
+
+  const handleLogoChange = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    if (file.size > MAX_LOGO_BYTES) {
+      setLogoError(`The logo must be under ${MAX_LOGO_BYTES / 1024} KB`);
+      return;
+    }
+    try {
+      setLogoError('');
+      setValue('logo', await readAsDataUrl(file), { shouldDirty: true });
+    } catch (error) {
+      console.error('Error reading logo:', error);
+      setLogoError('The logo could not be read');
+    }
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="md" fullWidth>
+      <form onSubmit={handleSubmit(onSave)}>
+        <DialogTitle>{branch?.id ? 'Edit Branch' : 'New Branch'}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ pt: 1 }}>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                label="Business Name"
+                {...register('name')}
+                error={!!errors.name}
+                helperText={errors.name?.message}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                label="GSTIN"
+                {...register('gstin', { setValueAs: (value) => value.trim().toUpperCase() })}
+                error={!!errors.gstin}
+                helperText={errors.gstin?.message}
+              />
+            </Grid>
+            <Grid item xs={12} md={8}>
+              <TextField
+                fullWidth
+                multiline
+                rows={3}
+                label="Address"
+                {...register('address')}
+                error={!!errors.address}
+                helperText={errors.address?.message}
+              />
+            </Grid>
+            <Grid item xs={12} md={4} sx={{ minWidth: '112px' }}>
+              <Controller
+                name="state"
+                control={control}
+                render={({ field }) => (
+                  <FormControl fullWidth error={!!errors.state}>
+                    <InputLabel>State</InputLabel>
+                    <Select {...field} label="State">
+                      <MenuItem value="">
+                        <em>Select State</em>
+                      </MenuItem>
+                      {sellerStates.map((state) => (
+                        <MenuItem key={state.code} value={state.name}>
+                          {state.name} ({state.code})
+                        </MenuItem>
+                      ))}
+                    </Select>
+                    {errors.state && (
+                      <Typography color="error" variant="caption">
+                        {errors.state.message}
+                      </Typography>
+                    )}
+                  </FormControl>
+                )}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                label="Phone"
+                {...register('phone')}
+                error={!!errors.phone}
+                helperText={errors.phone?.message}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                label="Email"
+                {...register('email')}
+                error={!!errors.email}
+                helperText={errors.email?.message}
+              />
+            </Grid>
+
+            <Grid item xs={12}>
+              <Typography variant="subtitle2">Bank Details</Typography>
+            </Grid>
+            {BANK_FIELDS.map(({ name, label }) => (
+              <Grid item xs={12} md={4} key={name}>
+                <TextField
+                  fullWidth
+                  label={label}
+                  {...register(`bank.${name}`)}
+                  error={!!errors.bank?.[name]}
+                  helperText={errors.bank?.[name]?.message}
+                />
+              </Grid>
+            ))}
+
+            <Grid item xs={12} md={8}>
+              <TextField
+                fullWidth
+                multiline
+                rows={3}
+                label="Terms & Conditions"
+                {...register('terms')}
+                helperText="Printed at the foot of each invoice"
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                <Avatar
+                  variant="rounded"
+                  src={watchLogo || undefined}
+                  sx={{ width: 64, height: 64 }}
+                >
+                  Logo
+                </Avatar>
+                <Box>
+                  <Button component="label" size="small" variant="outlined">
+                    Upload Logo
+                    <input type="file" accept="image/*" hidden onChange={handleLogoChange} />
+                  </Button>
+                  {watchLogo && (
+                    <Button size="small" color="error" onClick={() => setValue('logo', '')}>
+                      Remove
+                    </Button>
+                  )}
+                </Box>
+              </Box>
+              {logoError && (
+                <Typography color="error" variant="caption">
+                  {logoError}
+                </Typography>
+              )}
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={isSubmitting}>
+            Save Branch
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+const BusinessProfileSettings = () => {
+  const [profile, setProfile] = useState(defaultBusinessProfile);
+  // `null` when the dialog is closed, `{}` for a new branch
+  const [editingBranch, setEditingBranch] = useState(null);
+  const [saveError, setSaveError] = useState('');
+
+  useEffect(() => {
+    getBusinessProfile()
+      .then(setProfile)
+      .catch((error) => console.error('Error loading business profile:', error));
+  }, []);
+
+  const updateProfile = async (nextProfile) => {
+    try {
+      setSaveError('');
+      setProfile(await saveBusinessProfile(nextProfile));
+      return true;
+    } catch (error) {
+      console.error('Error saving business profile:', error);
+      setSaveError('The business profile could not be saved');
+      return false;
+    }
+  };
+
+  const handleSaveBranch = async (branch) => {
+    const saved = branch.id
+      ? profile.branches.map((item) => (item.id === branch.id ? branch : item))
+      : [...profile.branches, { ...branch, id: crypto.randomUUID() }];
+    if (await updateProfile({ ...profile, branches: saved })) {
+      setEditingBranch(null);
+    }
+  };
+
+  // The default moves to the first remaining branch when it is deleted
+  const handleDeleteBranch = (branch) => {
+    const branches = profile.branches.filter((item) => item.id !== branch.id);
+    updateProfile({
+      branches,
+      defaultBranchId:
+        profile.defaultBranchId === branch.id ? branches[0].id : profile.defaultBranchId,
+    });
+  };
+
+  return (
+    <Card elevation={0} sx={{ backgroundColor: '#f5f5f5', mb: 3 }}>
+      <CardContent>
+        <Box
+          sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}
+        >
+          <Typography variant="h6" sx={{ color: '#1a237e' }}>
+            Business Profile
+          </Typography>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => setEditingBranch({})}>
+            Add Branch
+          </Button>
+        </Box>
+        <Table size="small" sx={{ backgroundColor: '#ffffff' }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>GSTIN</TableCell>
+              <TableCell>State</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {profile.branches.map((branch) => {
+              const isDefault = branch.id === profile.defaultBranchId;
+              return (
+                <TableRow key={branch.id}>
+                  <TableCell>
+                    {branch.name}
+                    {isDefault && <Chip size="small" label="Default" sx={{ ml: 1 }} />}
+                  </TableCell>
+                  <TableCell>{branch.gstin}</TableCell>
+                  <TableCell>{branch.state}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Make Default">
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() => updateProfile({ ...profile, defaultBranchId: branch.id })}
+                          disabled={isDefault}
+                        >
+                          {isDefault ? (
+                            <StarIcon fontSize="small" />
+                          ) : (
+                            <StarBorderIcon fontSize="small" />
+                          )}
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => setEditingBranch(branch)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <span>
+                        <IconButton
+                          size="small"
+                          color="error"
+                          onClick={() => handleDeleteBranch(branch)}
+                          disabled={profile.branches.length === 1}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+        <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+          New invoices are issued by the default branch unless another is picked on the form.
+        </Typography>
+        {saveError && (
+          <Typography color="error" variant="caption" display="block">
+            {saveError}
+          </Typography>
+        )}
+      </CardContent>
+
+      {editingBranch && (
+        <BranchDialog
+          branch={editingBranch}
+          onClose={() => setEditingBranch(null)}
+          onSave={handleSaveBranch}
+        />
+      )}
+    </Card>
+  );
+};
+
+export default BusinessProfileSettings;
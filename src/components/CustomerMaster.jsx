@@ -0,0 +1,324 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useForm, Controller } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Box,
+  Button,
+  Container,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  Grid,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { states } from '../data/mockData';
+import { useStateFromGstin } from '../hooks/useStateFromGstin';
+import { customerSchema, emptyCustomer } from '../schemas/customerSchema';
+import { deleteCustomer, listCustomers, saveCustomer } from '../storage/customerStore';
+import { ValidationError } from '../storage/errors';
+
+const CustomerDialog = ({ customer, onClose, onSaved }) => {
+  const [submitError, setSubmitError] = useState('');
+  const {
+    register,
+    handleSubmit,
+    control,
+    watch,
+    setValue,
+    setError,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(customerSchema),
+    defaultValues: { ...emptyCustomer, ...customer },
+  });
+
+
+  useStateFromGstin(watch, setValue);
+
+  const onSubmit = async (data) => {
+    try {
+      setSubmitError('');
+      await saveCustomer(data);
+      onSaved();
+    } catch (error) {
+      console.error('Error saving customer:', error);
+      if (error instanceof ValidationError) {
+        Object.entries(error.fields).forEach(([name, message]) =>
+          setError(name, { type: 'server', message })
+        );
+        setSubmitError('The server rejected some fields. Correct them and try again.');
+      } else {
+        setSubmitError('The customer could not be saved. Please try again.');
+      }
+    }
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="md" fullWidth>
+      <form onSubmit={handleSubmit(onSubmit)}>
+        <DialogTitle>{customer?.id ? 'Edit Customer' : 'New Customer'}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ pt: 1 }}>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                label="Customer Name"
+                {...register('name')}
+                error={!!errors.name}
+                helperText={errors.name?.message}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                label="GSTIN (Optional)"
+                {...register('gstin', { setValueAs: (value) => value.trim().toUpperCase() })}
+                error={!!errors.gstin}
+                helperText={errors.gstin?.message}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                multiline
+                rows={3}
+                label="Billing Address"
+                {...register('billingAddress')}
+                error={!!errors.billingAddress}
+                helperText={errors.billingAddress?.message}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                multiline
+                rows={3}
+                label="Shipping Address"
+                {...register('shippingAddress')}
+                error={!!errors.shippingAddress}
+                helperText={errors.shippingAddress?.message || 'Leave blank if same as billing'}
+              />
+            </Grid>
+            <Grid item xs={12} md={4} sx={{ minWidth: '112px' }}>
+              <Controller
+                name="state"
+                control={control}
+                render={({ field }) => (
+                  <FormControl fullWidth error={!!errors.state}>
+                    <InputLabel>State</InputLabel>
+                    <Select {...field} label="State">
+                      <MenuItem value="">
+                        <em>Select State</em>
+                      </MenuItem>
+                      {states.map((state) => (
+                        <MenuItem key={state.code} value={state.name}>
+                          {state.name} ({state.code})
+                        </MenuItem>
+                      ))}
+                    </Select>
+                    {errors.state && (
+                      <Typography color="error" variant="caption">
+                        {errors.state.message}
+                      </Typography>
+                    )}
+                  </FormControl>
+                )}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                label="Phone"
+                {...register('phone')}
+                error={!!errors.phone}
+                helperText={errors.phone?.message}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                label="Email"
+                {...register('email')}
+                error={!!errors.email}
+                helperText={errors.email?.message}
+              />
+            </Grid>
+          </Grid>
+          {submitError && (
+            <Typography color="error" variant="body2" sx={{ mt: 2 }}>
+              {submitError}
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={isSubmitting}>
+            Save Customer
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+const CustomerMaster = () => {
+  const [customers, setCustomers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  // `null` when the dialog is closed, `{}` for a new customer
+  const [editingCustomer, setEditingCustomer] = useState(null);
+
+  const loadCustomers = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setCustomers(await listCustomers());
+    } catch (error) {
+      console.error('Error loading customers:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCustomers();
+  }, [loadCustomers]);
+
+  const handleSaved = async () => {
+    setEditingCustomer(null);
+    await loadCustomers();
+  };
+
+  const handleDelete = async (customer) => {
+    try {
+      await deleteCustomer(customer.id);
+      await loadCustomers();
+    } catch (error) {
+      console.error('Error deleting customer:', error);
+    }
+  };
+
+  const term = search.trim().toLowerCase();
+  const filteredCustomers = customers.filter(
+    (customer) =>
+      !term ||
+      customer.name.toLowerCase().includes(term) ||
+      (customer.gstin || '').toLowerCase().includes(term)
+  );
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          borderRadius: 2,
+          backgroundColor: '#ffffff',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+        }}
+      >
+        <Typography
+          variant="h4"
+          gutterBottom
+          sx={{
+            color: '#1a237e',
+            fontWeight: 600,
+            mb: 4,
+            textAlign: 'center',
+          }}
+        >
+          Customers
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 2, mb: 3 }}>
+          <TextField
+            fullWidth
+            label="Search by name or GSTIN"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            variant="outlined"
+          />
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => setEditingCustomer({})}
+            sx={{ whiteSpace: 'nowrap', px: 3 }}
+          >
+            New Customer
+          </Button>
+        </Box>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>GSTIN</TableCell>
+              <TableCell>State</TableCell>
+              <TableCell>Billing Address</TableCell>
+              <TableCell>Shipping Address</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {filteredCustomers.map((customer) => (
+              <TableRow key={customer.id}>
+                <TableCell>{customer.name}</TableCell>
+                <TableCell>{customer.gstin || 'Unregistered'}</TableCell>
+                <TableCell>{customer.state}</TableCell>
+                <TableCell>{customer.billingAddress}</TableCell>
+                <TableCell>{customer.shippingAddress || 'Same as billing'}</TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Edit">
+                    <IconButton size="small" onClick={() => setEditingCustomer(customer)}>
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete">
+                    <IconButton size="small" color="error" onClick={() => handleDelete(customer)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+            {!isLoading && filteredCustomers.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    No customers found
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      {editingCustomer && (
+        <CustomerDialog
+          customer={editingCustomer}
+          onClose={() => setEditingCustomer(null)}
+          onSaved={handleSaved}
+        />
+      )}
+    </Container>
+  );
+};
+
+export default CustomerMaster;
@@ -0,0 +1,121 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Button,
+  Container,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { deleteDraft, listDrafts } from '../storage/draftStore';
+import { DOCUMENT_LABELS, DOCUMENT_TYPES } from '../utils/documentTypes';
+
+const getDraftType = (draft) => {
+  const documentType = draft.values?.documentType || DOCUMENT_TYPES.INVOICE;
+  const label =
+    documentType === DOCUMENT_TYPES.INVOICE
+      ? 'invoice'
+      : DOCUMENT_LABELS[documentType].toLowerCase();
+  if (draft.templateName) return `Recurring: ${draft.templateName}`;
+  return draft.invoiceId ? `Edit of saved ${label}` : `New ${label}`;
+};
+
+const DraftsList = ({ onResume }) => {
+  const [drafts, setDrafts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadDrafts = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setDrafts(await listDrafts());
+    } catch (error) {
+      console.error('Error loading drafts:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDrafts();
+  }, [loadDrafts]);
+
+  const handleDiscard = async (draft) => {
+    try {
+      await deleteDraft(draft.id);
+      await loadDrafts();
+    } catch (error) {
+      console.error('Error discarding draft:', error);
+    }
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          borderRadius: 2,
+          backgroundColor: '#ffffff',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+        }}
+      >
+        <Typography
+          variant="h4"
+          gutterBottom
+          sx={{
+            color: '#1a237e',
+            fontWeight: 600,
+            mb: 4,
+            textAlign: 'center',
+          }}
+        >
+          Drafts
+        </Typography>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Last Saved</TableCell>
+              <TableCell>Invoice No</TableCell>
+              <TableCell>Customer</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {drafts.map((draft) => (
+              <TableRow key={draft.id}>
+                <TableCell>{new Date(draft.updatedAt).toLocaleString()}</TableCell>
+                <TableCell>{draft.invoiceNo || '—'}</TableCell>
+                <TableCell>{draft.customerName || '—'}</TableCell>
+                <TableCell>{getDraftType(draft)}</TableCell>
+                <TableCell align="right">
+                  <Button size="small" onClick={() => onResume(draft)}>
+                    Resume
+                  </Button>
+                  <Button size="small" color="error" onClick={() => handleDiscard(draft)}>
+                    Discard
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+            {!isLoading && drafts.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    No drafts
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Paper>
+    </Container>
+  );
+};
+
+export default DraftsList;
@@ -0,0 +1,205 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Container,
+  Grid,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import { listInvoices } from '../storage/invoiceStore';
+import { listProducts } from '../storage/productStore';
+import { getBusinessProfile } from '../storage/settingsStore';
+import { defaultBusinessProfile, getInvoiceSeller } from '../utils/businessProfile';
+import { INVOICE_STATUS } from '../utils/documentTypes';
+import { downloadJson } from '../utils/download';
+import { buildEInvoice, validateEInvoice } from '../utils/eInvoice';
+import { formatCurrency } from '../utils/money';
+
+const EInvoiceExport = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [businessProfile, setBusinessProfile] = useState(defaultBusinessProfile);
+  const [isLoading, setIsLoading] = useState(true);
+  const [filters, setFilters] = useState({ fromDate: '', toDate: '' });
+
+  useEffect(() => {
+    Promise.all([
+      listInvoices(),
+      listProducts({ includeArchived: true }),
+      getBusinessProfile(),
+    ])
+      .then(([savedInvoices, products, profile]) => {
+        setInvoices(savedInvoices.filter((invoice) => invoice.status === INVOICE_STATUS.ACTIVE));
+        setCatalog(products);
+        setBusinessProfile(profile);
+      })
+      .catch((error) => console.error('Error loading invoices:', error))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const handleFilterChange = (name) => (event) =>
+    setFilters((current) => ({ ...current, [name]: event.target.value }));
+
+  const exports = invoices
+    .filter(
+      (invoice) =>
+        (!filters.fromDate || invoice.invoiceDate >= filters.fromDate) &&
+        (!filters.toDate || invoice.invoiceDate <= filters.toDate)
+    )
+    .map((invoice) => {
+      const seller = getInvoiceSeller(invoice.payload, businessProfile);
+      const eInvoice = buildEInvoice(invoice.payload, { seller, catalog });
+      return { invoice, eInvoice, issues: validateEInvoice(eInvoice) };
+    });
+  const readyExports = exports.filter(({ issues }) => issues.length === 0);
+
+  const handleDownload = ({ invoice, eInvoice }) =>
+    downloadJson(eInvoice, `e-invoice-${invoice.invoiceNo.replace(/\//g, '-')}.json`);
+
+  // The IRP bulk upload takes an array of invoices in one file
+  const handleDownloadReady = () =>
+    downloadJson(
+      readyExports.map(({ eInvoice }) => eInvoice),
+      `e-invoices-${filters.fromDate || 'all'}-${filters.toDate || 'all'}.json`
+    );
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          borderRadius: 2,
+          backgroundColor: '#ffffff',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+        }}
+      >
+        <Typography
+          variant="h4"
+          gutterBottom
+          sx={{
+            color: '#1a237e',
+            fontWeight: 600,
+            mb: 4,
+            textAlign: 'center',
+          }}
+        >
+          E-Invoice Export
+        </Typography>
+
+        <Grid container spacing={2} sx={{ mb: 3 }} alignItems="center">
+          <Grid item xs={6} md={3}>
+            <TextField
+              fullWidth
+              type="date"
+              label="From Date"
+              InputLabelProps={{ shrink: true }}
+              value={filters.fromDate}
+              onChange={handleFilterChange('fromDate')}
+              variant="outlined"
+            />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              fullWidth
+              type="date"
+              label="To Date"
+              InputLabelProps={{ shrink: true }}
+              value={filters.toDate}
+              onChange={handleFilterChange('toDate')}
+              variant="outlined"
+            />
+          </Grid>
+          <Grid item xs={12} md={6} sx={{ textAlign: 'right' }}>
+            <Button
+              variant="contained"
+              startIcon={<DownloadIcon />}
+              onClick={handleDownloadReady}
+              disabled={readyExports.length === 0}
+            >
+              Download Ready ({readyExports.length})
+            </Button>
+          </Grid>
+        </Grid>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Invoice No</TableCell>
+              <TableCell>Date</TableCell>
+              <TableCell>Customer</TableCell>
+              <TableCell align="right">Amount</TableCell>
+              <TableCell>Schema Check</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {exports.map((entry) => (
+              <TableRow key={entry.invoice.id} sx={{ verticalAlign: 'top' }}>
+                <TableCell>{entry.invoice.invoiceNo}</TableCell>
+                <TableCell>{entry.invoice.invoiceDate}</TableCell>
+                <TableCell>{entry.invoice.customerName}</TableCell>
+                <TableCell align="right">
+                  {formatCurrency(entry.invoice.totalInvoiceValue)}
+                </TableCell>
+                <TableCell>
+                  {entry.issues.length === 0 ? (
+                    <Chip size="small" label="Ready" color="success" />
+                  ) : (
+                    <Box>
+                      <Chip
+                        size="small"
+                        color="warning"
+                        label={`${entry.issues.length} missing or invalid`}
+                        sx={{ mb: 0.5 }}
+                      />
+                      {entry.issues.map((issue) => (
+                        <Typography
+                          key={issue.field}
+                          variant="caption"
+                          display="block"
+                          color="text.secondary"
+                        >
+                          {issue.field}: {issue.message}
+                        </Typography>
+                      ))}
+                    </Box>
+                  )}
+                </TableCell>
+                <TableCell align="right">
+                  <Button
+                    size="small"
+                    onClick={() => handleDownload(entry)}
+                    disabled={entry.issues.length > 0}
+                  >
+                    JSON
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+            {!isLoading && exports.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    No invoices found
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Paper>
+    </Container>
+  );
+};
+
+export default EInvoiceExport;
@@ -0,0 +1,202 @@
+import { useState, useEffect } from 'react';
+import {
+  Button,
+  Container,
+  FormControl,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import { listInvoices } from '../storage/invoiceStore';
+import { listProducts } from '../storage/productStore';
+import { getBusinessProfile } from '../storage/settingsStore';
+import { defaultBusinessProfile, getBranch, getInvoiceSeller } from '../utils/businessProfile';
+import { INVOICE_STATUS } from '../utils/documentTypes';
+import { downloadCsv, downloadJson } from '../utils/download';
+import { GSTR1_SECTIONS, buildGstr1Report, toGstr1Csv, toGstr1Json } from '../utils/gstr1';
+import { formatCurrency, fromPaise, toPaise } from '../utils/money';
+
+// Previous month, the one usually being filed, as "YYYY-MM"
+const getDefaultPeriod = () => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Rows of document sections carry their amounts per rate under `items`
+const getSectionTotals = (rows) =>
+  rows
+    .flatMap((row) => row.items || [row])
+    .reduce(
+      (acc, row) => ({
+        taxableValue: fromPaise(toPaise(acc.taxableValue) + toPaise(row.taxableValue)),
+        igst: fromPaise(toPaise(acc.igst) + toPaise(row.igst)),
+        cgst: fromPaise(toPaise(acc.cgst) + toPaise(row.cgst)),
+        sgst: fromPaise(toPaise(acc.sgst) + toPaise(row.sgst)),
+        cess: fromPaise(toPaise(acc.cess) + toPaise(row.cess)),
+      }),
+      { taxableValue: 0, igst: 0, cgst: 0, sgst: 0, cess: 0 }
+    );
+
+const Gstr1Report = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [period, setPeriod] = useState(getDefaultPeriod);
+  const [businessProfile, setBusinessProfile] = useState(defaultBusinessProfile);
+  // Each GSTIN files its own return
+  const [branchId, setBranchId] = useState(defaultBusinessProfile.defaultBranchId);
+
+  useEffect(() => {
+    Promise.all([
+      listInvoices(),
+      listProducts({ includeArchived: true }),
+      getBusinessProfile(),
+    ])
+      .then(([savedInvoices, products, profile]) => {
+        setInvoices(savedInvoices.filter((invoice) => invoice.status === INVOICE_STATUS.ACTIVE));
+        setCatalog(products);
+        setBusinessProfile(profile);
+        setBranchId(profile.defaultBranchId);
+      })
+      .catch((error) => console.error('Error loading invoices:', error));
+  }, []);
+
+  const seller = getBranch(businessProfile, branchId);
+  const sellerInvoices = invoices.filter(
+    (invoice) => getInvoiceSeller(invoice.payload, businessProfile).gstin === seller.gstin
+  );
+  const report = buildGstr1Report(sellerInvoices, { period, catalog });
+
+  const handleDownloadJson = () =>
+    downloadJson(toGstr1Json(report, { seller, period }), `GSTR1-${period}.json`);
+
+  const handleDownloadCsv = (section) =>
+    downloadCsv(toGstr1Csv(report, section), `GSTR1-${period}-${section}.csv`);
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          borderRadius: 2,
+          backgroundColor: '#ffffff',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+        }}
+      >
+        <Typography
+          variant="h4"
+          gutterBottom
+          sx={{
+            color: '#1a237e',
+            fontWeight: 600,
+            mb: 4,
+            textAlign: 'center',
+          }}
+        >
+          GSTR-1
+        </Typography>
+
+        <Grid container spacing={2} sx={{ mb: 3 }} alignItems="center">
+          <Grid item xs={12} md={4}>
+            <TextField
+              fullWidth
+              type="month"
+              label="Return Period"
+              InputLabelProps={{ shrink: true }}
+              value={period}
+              onChange={(e) => setPeriod(e.target.value)}
+              variant="outlined"
+            />
+          </Grid>
+          {businessProfile.branches.length > 1 && (
+            <Grid item xs={12} md={4}>
+              <FormControl fullWidth>
+                <InputLabel>GSTIN</InputLabel>
+                <Select
+                  value={seller.id}
+                  label="GSTIN"
+                  onChange={(e) => setBranchId(e.target.value)}
+                >
+                  {businessProfile.branches.map((branch) => (
+                    <MenuItem key={branch.id} value={branch.id}>
+                      {branch.gstin} ({branch.name})
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+          )}
+          <Grid item xs sx={{ textAlign: 'right' }}>
+            <Button
+              variant="contained"
+              startIcon={<DownloadIcon />}
+              onClick={handleDownloadJson}
+              disabled={!period}
+            >
+              Offline Tool JSON
+            </Button>
+          </Grid>
+        </Grid>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Section</TableCell>
+              <TableCell align="right">Entries</TableCell>
+              <TableCell align="right">Taxable Value</TableCell>
+              <TableCell align="right">IGST</TableCell>
+              <TableCell align="right">CGST</TableCell>
+              <TableCell align="right">SGST</TableCell>
+              <TableCell align="right">Cess</TableCell>
+              <TableCell align="right">Download</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {GSTR1_SECTIONS.map((section) => {
+              const rows = report[section.id];
+              const totals = getSectionTotals(rows);
+              return (
+                <TableRow key={section.id}>
+                  <TableCell>{section.label}</TableCell>
+                  <TableCell align="right">{rows.length}</TableCell>
+                  <TableCell align="right">{formatCurrency(totals.taxableValue)}</TableCell>
+                  <TableCell align="right">{formatCurrency(totals.igst)}</TableCell>
+                  <TableCell align="right">{formatCurrency(totals.cgst)}</TableCell>
+                  <TableCell align="right">{formatCurrency(totals.sgst)}</TableCell>
+                  <TableCell align="right">{formatCurrency(totals.cess)}</TableCell>
+                  <TableCell align="right">
+                    <Button
+                      size="small"
+                      onClick={() => handleDownloadCsv(section.id)}
+                      disabled={rows.length === 0}
+                    >
+                      CSV
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+        <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 2 }}>
+          Cancelled invoices are left out. The HSN summary repeats the outward supplies of all
+          other sections.
+        </Typography>
+      </Paper>
+    </Container>
+  );
+};
+
+export default Gstr1Report;
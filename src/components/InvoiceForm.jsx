@@ -1,9 +1,9 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useForm, useFieldArray, Controller } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
-import { z } from 'zod';
 import {
   TextField,
+  Autocomplete,
   Button,
   Grid,
   Paper,
@@ -17,52 +17,151 @@ import {
   Container,
   Card,
   CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  FormControlLabel,
+  Switch,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  Alert,
+  LinearProgress,
+  createFilterOptions,
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import AddIcon from '@mui/icons-material/Add';
-import { products, states } from '../data/mockData';
-
-// Validation schemas
-const productSchema = z.object({
-  productName: z.string().min(1, 'Product name is required'),
-  hsnCode: z.string().min(1, 'HSN code is required'),
-  qty: z.coerce.number().min(1, 'Quantity must be at least 1'),
-  salePrice: z.coerce.number().min(0, 'Sale price must be positive'),
-  discount: z.coerce.number().min(0, 'Discount must be positive').default(0),
-  taxableValue: z.number().optional(),
-  cgst: z.number().optional(),
-  sgst: z.number().optional(),
-  totalValue: z.number().optional(),
+import InvoicePrint from './InvoicePrint';
+import RecurringTemplateDialog from './RecurringTemplateDialog';
+import { countries, currencies, priceLists, states, units } from '../data/mockData';
+import { useStateFromGstin } from '../hooks/useStateFromGstin';
+import {
+  createInvoiceSchema,
+  emptyInvoice,
+  emptyPayment,
+  emptyProduct,
+  toInvoiceFormValues,
+} from '../schemas/invoiceSchema';
+import { findCustomerByName, listCustomers, saveCustomer } from '../storage/customerStore';
+import { deleteDraft, saveDraft } from '../storage/draftStore';
+import { ConflictError, ValidationError } from '../storage/errors';
+import { listProducts } from '../storage/productStore';
+import { saveTemplate } from '../storage/recurringStore';
+import { listInvoices, saveInvoice } from '../storage/invoiceStore';
+import { listQuotes, markQuoteConverted, saveQuote } from '../storage/quoteStore';
+import {
+  getBusinessProfile,
+  getNumberSeries,
+  getRoundingSettings,
+} from '../storage/settingsStore';
+import { defaultBusinessProfile, getBranch } from '../utils/businessProfile';
+import {
+  DOCUMENT_LABELS,
+  DOCUMENT_SHORT_LABELS,
+  DOCUMENT_TYPES,
+  NOTE_REASONS,
+  isNote,
+  isQuote,
+  takesPayment,
+} from '../utils/documentTypes';
+import { getNextInvoiceNumber } from '../utils/invoiceNumber';
+import { getProductPrice } from '../utils/priceList';
+import { addMonths } from '../utils/recurrence';
+import { getStateTaxLabel } from '../utils/states';
+import { DEFAULT_UNIT, getUnitDecimals } from '../utils/units';
+import { amountInWords } from '../utils/amountInWords';
+import { buildInvoicePayload, getInvoiceDiscount } from '../utils/invoicePayload';
+import {
+  formatCurrency,
+  formatForeignCurrency,
+  fromPaise,
+  toForeignAmount,
+  toPaise,
+} from '../utils/money';
+import { CASH_MODE, PAYMENT_METHODS, PAYMENT_MODES, sumPayments } from '../utils/payments';
+import {
+  DISCOUNT_TYPES,
+  TAX_TYPES,
+  calculateInvoice,
+  defaultRoundingSettings,
+  getTaxType,
+} from '../utils/tax';
+import {
+  OUTSIDE_INDIA,
+  SUPPLY_TYPES,
+  SUPPLY_TYPE_LABELS,
+  isExport,
+  isUnderLut,
+} from '../utils/supplyTypes';
+
+const DRAFT_SAVE_DELAY_MS = 1000;
+
+const filterCatalog = createFilterOptions({
+  stringify: (product) => `${product.name} ${product.hsnCode}`,
 });
 
-const invoiceSchema = z.object({
-  invoiceNo: z.string().min(1, 'Invoice number is required'),
-  invoiceDate: z.string().min(1, 'Invoice date is required'),
-  customer: z.object({
-    name: z.string().min(1, 'Customer name is required'),
-    address: z.string().min(1, 'Customer address is required'),
-    state: z.string().min(1, 'State is required'),
-    gstin: z
-      .string()
-      .optional()
-      .refine(
-        (val) => !val || /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[0-9A-Z]{1}Z[0-9A-Z]{1}$/.test(val),
-        'Invalid GSTIN format'
-      ),
-  }),
-  products: z.array(productSchema).min(1, 'At least one product is required'),
-  paymentMethod: z.enum(['Cash', 'Online Transfer', 'On Credit']),
-  transactionId: z.string().optional(),
-  narration: z.string().optional(),
-}).refine(
-  (data) => data.paymentMethod !== 'Online Transfer' || !!data.transactionId,
-  { message: 'Transaction ID is required for Online Transfer', path: ['transactionId'] }
-);
-
-const InvoiceForm = () => {
+// Quotations and proforma invoices are numbered and stored apart from tax
+// documents
+const getDocumentStore = (documentType) =>
+  isQuote(documentType)
+    ? { list: listQuotes, save: saveQuote }
+    : { list: listInvoices, save: saveInvoice };
+
+const InvoiceForm = ({ invoiceId, initialValues, draftId }) => {
+  // Notes, quotations and proforma invoices use this form too, fixed to the
+  // type they open with
+  const documentType = initialValues?.documentType || DOCUMENT_TYPES.INVOICE;
+  const isNoteForm = isNote(documentType);
+  const isQuoteForm = isQuote(documentType);
+  const isPaymentForm = takesPayment(documentType);
+  const documentLabel =
+    documentType === DOCUMENT_TYPES.INVOICE ? 'Invoice' : DOCUMENT_LABELS[documentType];
+  const shortLabel = DOCUMENT_SHORT_LABELS[documentType];
   const [showPayload, setShowPayload] = useState(false);
   const [formData, setFormData] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  // The stored copy when saving found it changed since the form opened it
+  const [conflict, setConflict] = useState(null);
+  // Set when the invoice saved but its quotation could not be marked converted
+  const [linkWarning, setLinkWarning] = useState('');
+  // Set when the user chooses to overwrite a conflicting copy
+  const overwriteVersionRef = useRef(undefined);
+  // Set once the invoice is stored so re-submitting updates the same record
+  const [recordId, setRecordId] = useState(invoiceId);
+  const [savedInvoices, setSavedInvoices] = useState([]);
+  const [numberSeries, setNumberSeries] = useState(null);
+  const [rounding, setRounding] = useState(defaultRoundingSettings);
+  const [businessProfile, setBusinessProfile] = useState(defaultBusinessProfile);
+  const [activeDraftId] = useState(() => draftId || crypto.randomUUID());
+  const [hasUnsavedChanges, setHasUnsavedChanges] = useState(!!draftId);
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const [customers, setCustomers] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  // A customer typed on the form that is not yet in the customer master
+  const [customerToSave, setCustomerToSave] = useState(null);
+  // Defaults for the recurring template dialog while it is open
+  const [recurringTemplate, setRecurringTemplate] = useState(null);
+  const [templateMessage, setTemplateMessage] = useState('');
+  const draftTimerRef = useRef(null);
+  const recordIdRef = useRef(recordId);
+
+  // The schema is built before the form exists and depends on the seller, so
+  // the branch picked on the form is mirrored here
+  const [branchId, setBranchId] = useState(initialValues?.branchId || '');
+  const seller = getBranch(businessProfile, branchId);
+
+  const schema = useMemo(
+    () =>
+      createInvoiceSchema({ existingInvoices: savedInvoices, currentId: recordId, seller, rounding }),
+    [savedInvoices, recordId, seller, rounding]
+  );
 
   const {
     register,
@@ -70,17 +169,14 @@ const InvoiceForm = () => {
     control,
     watch,
     setValue,
-    formState: { errors },
+    getValues,
+    trigger,
+    setError,
+    reset,
+    formState: { errors, dirtyFields },
   } = useForm({
-    resolver: zodResolver(invoiceSchema),
-    defaultValues: {
-      invoiceNo: '',
-      invoiceDate: '',
-      customer: { name: '', address: '', state: '', gstin: '' },
-      products: [{ productName: '', hsnCode: '', qty: 1, salePrice: 0, discount: 0 }],
-      paymentMethod: 'Cash',
-      narration: '',
-    },
+    resolver: zodResolver(schema),
+    defaultValues: initialValues || emptyInvoice,
   });
 
   const { fields, append, remove } = useFieldArray({
@@ -88,99 +184,349 @@ const InvoiceForm = () => {
     name: 'products',
   });
 
+  const {
+    fields: paymentFields,
+    append: appendPayment,
+    remove: removePayment,
+  } = useFieldArray({
+    control,
+    name: 'payments',
+  });
+
   const watchProducts = watch('products');
   const watchPaymentMethod = watch('paymentMethod');
+  const watchPayments = watch('payments');
+  const watchPlaceOfSupply = watch('customer.state');
+  const watchInvoiceDate = watch('invoiceDate');
+  const watchCustomer = watch('customer');
+  const watchInvoiceDiscountType = watch('invoiceDiscountType');
+  const watchInvoiceDiscount = watch('invoiceDiscount');
+  const watchSupplyType = watch('supplyType');
+  const watchExportDetails = watch('exportDetails');
+
+  useEffect(() => {
+    Promise.all([getDocumentStore(documentType).list(), getNumberSeries(documentType)])
+      .then(([invoices, series]) => {
+        setSavedInvoices(invoices);
+        setNumberSeries(series);
+      })
+      .catch((error) => {
+        console.error('Error loading invoice numbers:', error);
+        setLoadError('Saved documents could not be loaded. Reload the page to try again.');
+      })
+      .finally(() => setIsLoading(false));
+
+    getRoundingSettings()
+      .then(setRounding)
+      .catch((error) => console.error('Error loading rounding settings:', error));
+
+    getBusinessProfile()
+      .then((profile) => {
+        setBusinessProfile(profile);
+        // New invoices are issued by the default branch
+        if (!getValues('branchId')) {
+          setValue('branchId', profile.defaultBranchId);
+          setBranchId(profile.defaultBranchId);
+        }
+      })
+      .catch((error) => console.error('Error loading business profile:', error));
+
+    listCustomers()
+      .then(setCustomers)
+      .catch((error) => console.error('Error loading customers:', error));
+
+    listProducts()
+      .then(setCatalog)
+      .catch((error) => console.error('Error loading products:', error));
+  }, [documentType, getValues, setValue]);
+
+  const applyProduct = (index, product) => {
+    setValue(`products.${index}.productId`, product.id);
+    setValue(`products.${index}.hsnCode`, product.hsnCode, { shouldValidate: true });
+    setValue(`products.${index}.salePrice`, getProductPrice(product, getValues('priceList')));
+    setValue(`products.${index}.gstRate`, product.gstRate || 0);
+    setValue(`products.${index}.cessRate`, product.cessRate || 0);
+    setValue(`products.${index}.cessPerUnit`, product.cessPerUnit || 0);
+    setValue(`products.${index}.unit`, product.unit || DEFAULT_UNIT);
+    // Catalog prices keep the basis they were entered in
+    setValue(`products.${index}.priceIncludesTax`, !!product.priceIncludesTax);
+  };
+
+  const handlePriceIncludesTaxChange = (priceIncludesTax) => {
+    getValues('products').forEach((line, index) => {
+      setValue(`products.${index}.priceIncludesTax`, priceIncludesTax);
+    });
+  };
+
+  // Switching the price list re-prices every line picked from the catalog
+  const handlePriceListChange = (priceListId) => {
+    getValues('products').forEach((line, index) => {
+      const product = catalog.find((item) => item.id === line.productId);
+      if (product) {
+        setValue(`products.${index}.salePrice`, getProductPrice(product, priceListId));
+      }
+    });
+  };
+
+  useStateFromGstin(watch, setValue, {
+    gstinField: 'customer.gstin',
+    stateField: 'customer.state',
+  });
+
+  const applyCustomer = (customer) => {
+    const options = { shouldValidate: true, shouldDirty: true };
+    setValue('customer.billingAddress', customer.billingAddress || '', options);
+    setValue('customer.shippingAddress', customer.shippingAddress || '', options);
+    // An export's place of supply stays outside India whoever the buyer is
+    if (!isExport(getValues('supplyType'))) {
+      setValue('customer.state', customer.state || '', options);
+    }
+    setValue('customer.gstin', customer.gstin || '', options);
+  };
+
+  const handleSaveCustomer = async () => {
+    try {
+      await saveCustomer(customerToSave);
+      setCustomers(await listCustomers());
+    } catch (error) {
+      console.error('Error saving customer:', error);
+    } finally {
+      setCustomerToSave(null);
+    }
+  };
 
-  const calculateProductValues = (product) => {
-    const qty = Number(product.qty) || 0;
-    const salePrice = Number(product.salePrice) || 0;
-    const discount = Number(product.discount) || 0;
-    const taxableValue = qty * salePrice - discount;
-    const cgst = taxableValue * 0.09; // 9% CGST
-    const sgst = taxableValue * 0.09; // 9% SGST
-    const totalValue = taxableValue + cgst + sgst;
-
-    return {
-      taxableValue,
-      cgst,
-      sgst,
-      totalValue,
+  // Only a complete invoice can be repeated; the first one falls a period
+  // after this invoice's date
+  const handleOpenRecurring = async () => {
+    setTemplateMessage('');
+    if (!(await trigger())) return;
+    const { customer, invoiceDate } = getValues();
+    setRecurringTemplate({
+      name: customer.name,
+      schedule: { startDate: invoiceDate ? addMonths(invoiceDate, 1) : '' },
+    });
+  };
+
+  const handleSaveTemplate = async ({ name, schedule }) => {
+    try {
+      await saveTemplate({ name, schedule, values: getValues() });
+      setRecurringTemplate(null);
+      setTemplateMessage(`Saved "${name.trim()}" as a recurring template`);
+    } catch (error) {
+      console.error('Error saving recurring template:', error);
+      setTemplateMessage('The recurring template could not be saved');
+    }
+  };
+
+  // Suggest the next number in the series until the user types their own
+  const isInvoiceNoEdited = !!dirtyFields.invoiceNo || !!initialValues?.invoiceNo;
+  useEffect(() => {
+    if (!numberSeries || recordId || isInvoiceNoEdited) return;
+    setValue('invoiceNo', getNextInvoiceNumber(numberSeries, watchInvoiceDate, savedInvoices));
+  }, [numberSeries, savedInvoices, watchInvoiceDate, recordId, isInvoiceNoEdited, setValue]);
+
+  useEffect(() => {
+    recordIdRef.current = recordId;
+  }, [recordId]);
+
+  // Autosave user edits as a draft once typing pauses, and flush any pending
+  // save when the form unmounts or the page is hidden.
+  useEffect(() => {
+    const flushDraft = () => {
+      if (!draftTimerRef.current) return;
+      clearTimeout(draftTimerRef.current);
+      draftTimerRef.current = null;
+      saveDraft({ id: activeDraftId, invoiceId: recordIdRef.current, values: getValues() })
+        .then((draft) => setDraftSavedAt(draft.updatedAt))
+        .catch((error) => console.error('Error saving draft:', error));
+    };
+
+    const subscription = watch((values, { type }) => {
+      if (type !== 'change') return;
+      setHasUnsavedChanges(true);
+      clearTimeout(draftTimerRef.current);
+      draftTimerRef.current = setTimeout(flushDraft, DRAFT_SAVE_DELAY_MS);
+    });
+    window.addEventListener('pagehide', flushDraft);
+
+    return () => {
+      subscription.unsubscribe();
+      window.removeEventListener('pagehide', flushDraft);
+      flushDraft();
+    };
+  }, [watch, getValues, activeDraftId]);
+
+  useEffect(() => {
+    if (!hasUnsavedChanges) return undefined;
+
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
     };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasUnsavedChanges]);
+
+  // Lines of the original invoice a note can still add back after removing them
+  const originalProducts =
+    savedInvoices.find((record) => record.id === initialValues?.originalInvoice?.id)?.values
+      .products || [];
+  const availableOriginalLines = originalProducts
+    .map((product, index) => ({ product, index }))
+    .filter(({ index }) => !watchProducts.some((line) => line.sourceLine === index));
+
+  const isExportInvoice = isExport(watchSupplyType);
+  const withoutTax = isUnderLut(watchSupplyType);
+  const taxType = getTaxType(seller.state, watchPlaceOfSupply, watchSupplyType);
+  const stateTaxLabel = getStateTaxLabel(seller.state);
+  const isInterState = taxType === TAX_TYPES.INTER_STATE;
+
+  // Exports are supplied outside India; other types go back to an Indian state
+  const handleSupplyTypeChange = (supplyType) => {
+    const options = { shouldValidate: true, shouldDirty: true };
+    if (isExport(supplyType)) {
+      setValue('customer.state', OUTSIDE_INDIA, options);
+    } else if (getValues('customer.state') === OUTSIDE_INDIA) {
+      setValue('customer.state', '', options);
+    }
   };
 
+  const {
+    lines: lineValues,
+    totals,
+    taxBreakup,
+  } = calculateInvoice(watchProducts, {
+    taxType,
+    invoiceDiscount: getInvoiceDiscount({
+      invoiceDiscountType: watchInvoiceDiscountType,
+      invoiceDiscount: watchInvoiceDiscount,
+    }),
+    rounding,
+    withoutTax,
+  });
+  const showForeignTotal =
+    isExportInvoice && watchExportDetails.currency && watchExportDetails.exchangeRate > 0;
+
+  // A single payment on a paid invoice always covers the whole total
+  const isSinglePayment =
+    watchPaymentMethod === PAYMENT_METHODS.PAID && paymentFields.length === 1;
+  useEffect(() => {
+    if (isSinglePayment && getValues('payments.0.amount') !== totals.grandTotal) {
+      setValue('payments.0.amount', totals.grandTotal);
+    }
+  }, [isSinglePayment, totals.grandTotal, getValues, setValue]);
+
+  const amountPaid = fromPaise(sumPayments(watchPayments));
+  const balanceDue = fromPaise(toPaise(totals.grandTotal) - toPaise(amountPaid));
+
   // Update product values whenever they change
   useEffect(() => {
+    const { lines } = calculateInvoice(watchProducts, {
+      taxType,
+      invoiceDiscount: getInvoiceDiscount({
+        invoiceDiscountType: watchInvoiceDiscountType,
+        invoiceDiscount: watchInvoiceDiscount,
+      }),
+      rounding,
+      withoutTax,
+    });
     watchProducts.forEach((product, index) => {
       if (product.productName) {
-        const values = calculateProductValues(product);
+        const values = lines[index];
         setValue(`products.${index}.taxableValue`, values.taxableValue);
         setValue(`products.${index}.cgst`, values.cgst);
         setValue(`products.${index}.sgst`, values.sgst);
+        setValue(`products.${index}.igst`, values.igst);
+        setValue(`products.${index}.cess`, values.cess);
         setValue(`products.${index}.totalValue`, values.totalValue);
       }
     });
-  }, [watchProducts, setValue]);
-
-  const calculateTotals = () => {
-    return watchProducts.reduce(
-      (acc, product) => {
-        const values = calculateProductValues(product);
-        return {
-          totalTaxableValue: acc.totalTaxableValue + values.taxableValue,
-          totalCGST: acc.totalCGST + values.cgst,
-          totalSGST: acc.totalSGST + values.sgst,
-          totalValue: acc.totalValue + values.totalValue,
-        };
-      },
-      { totalTaxableValue: 0, totalCGST: 0, totalSGST: 0, totalValue: 0 }
+  }, [
+    watchProducts,
+    watchInvoiceDiscountType,
+    watchInvoiceDiscount,
+    taxType,
+    rounding,
+    withoutTax,
+    setValue,
+  ]);
+
+  // Shows the copy saved elsewhere; saving again then updates that version
+  const handleLoadLatest = () => {
+    setSavedInvoices((current) =>
+      current.map((saved) => (saved.id === conflict.id ? conflict : saved))
     );
+    reset(toInvoiceFormValues(conflict.values));
+    setBranchId(conflict.values.branchId || '');
+    setConflict(null);
   };
 
   const onSubmit = async (data) => {
     try {
       setIsSubmitting(true);
-      const processedData = {
-        invoiceNo: data.invoiceNo,
-        invoiceDate: data.invoiceDate,
-        customer: {
-          name: data.customer.name,
-          address: data.customer.address,
+      setSubmitError('');
+      setConflict(null);
+      const processedData = buildInvoicePayload(data, { seller, rounding });
+      const store = getDocumentStore(documentType);
+      // Saved against the version the form loaded, so changes made elsewhere
+      // since are caught rather than overwritten
+      const version =
+        overwriteVersionRef.current ?? savedInvoices.find((saved) => saved.id === recordId)?.version;
+      const record = await store.save({
+        id: recordId,
+        values: data,
+        payload: processedData,
+        version,
+      });
+      overwriteVersionRef.current = undefined;
+      // The invoice is already stored, so a failed link must not read as a
+      // failed save; saving again retries it
+      if (data.sourceQuote && (!recordId || linkWarning)) {
+        try {
+          await markQuoteConverted(data.sourceQuote.id, record);
+          setLinkWarning('');
+        } catch (error) {
+          console.error('Error linking quotation:', error);
+          setLinkWarning(
+            `Saved, but ${data.sourceQuote.invoiceNo} is not marked as converted. Save again to retry.`
+          );
+        }
+      }
+      clearTimeout(draftTimerRef.current);
+      draftTimerRef.current = null;
+      await deleteDraft(activeDraftId);
+      setHasUnsavedChanges(false);
+      setDraftSavedAt(null);
+      setRecordId(record.id);
+      setSavedInvoices(await store.list());
+      if (!findCustomerByName(customers, data.customer.name)) {
+        setCustomerToSave({
+          name: data.customer.name.trim(),
+          billingAddress: data.customer.billingAddress,
+          shippingAddress: data.customer.shippingAddress || '',
           state: data.customer.state,
-          gstin: data.customer.gstin || undefined,
-        },
-        products: data.products.map((product) => {
-          const values = calculateProductValues(product);
-          return {
-            productName: product.productName,
-            hsnCode: product.hsnCode,
-            qty: product.qty,
-            salePrice: product.salePrice,
-            discount: product.discount,
-            taxableValue: values.taxableValue,
-            gst: {
-              cgst: values.cgst,
-              sgst: values.sgst,
-            },
-            totalValue: values.totalValue,
-          };
-        }),
-        totalInvoiceValue: calculateTotals().totalValue,
-        paymentMethod: data.paymentMethod,
-        transactionId: data.transactionId || undefined,
-        narration: data.narration || undefined,
-      };
+          gstin: data.customer.gstin || '',
+        });
+      }
       setFormData(processedData);
       setShowPayload(true);
-      console.log('Form Data:', processedData);
     } catch (error) {
       console.error('Error submitting form:', error);
+      if (error instanceof ValidationError) {
+        Object.entries(error.fields).forEach(([name, message]) =>
+          setError(name, { type: 'server', message })
+        );
+        setSubmitError('The server rejected some fields. Correct them and try again.');
+      } else if (error instanceof ConflictError) {
+        setConflict(error.current);
+      } else {
+        setSubmitError(`The ${documentLabel.toLowerCase()} could not be saved. Please try again.`);
+      }
     } finally {
       setIsSubmitting(false);
     }
   };
 
-  const totals = calculateTotals();
-
   return (
     <Container maxWidth="lg" sx={{ py: 4 }}>
       <Paper
@@ -202,8 +548,14 @@ const InvoiceForm = () => {
             textAlign: 'center',
           }}
         >
-          Create New Invoice
+          {invoiceId ? `Edit ${documentLabel}` : `Create New ${documentLabel}`}
         </Typography>
+        {isLoading && <LinearProgress sx={{ mb: 3 }} />}
+        {loadError && (
+          <Alert severity="error" sx={{ mb: 3 }}>
+            {loadError}
+          </Alert>
+        )}
         <form onSubmit={handleSubmit(onSubmit)}>
           <Grid container spacing={4}>
             {/* Invoice Details */}
@@ -211,13 +563,14 @@ const InvoiceForm = () => {
               <Card elevation={0} sx={{ backgroundColor: '#f5f5f5', mb: 3 }}>
                 <CardContent>
                   <Typography variant="h6" sx={{ color: '#1a237e', mb: 2 }}>
-                    Invoice Details
+                    {shortLabel} Details
                   </Typography>
                   <Grid container spacing={3}>
-                    <Grid item xs={12} md={6}>
+                    <Grid item xs={12} md={4}>
                       <TextField
                         fullWidth
-                        label="Invoice Number"
+                        label={`${shortLabel} Number`}
+                        InputLabelProps={{ shrink: true }}
                         {...register('invoiceNo')}
                         error={!!errors.invoiceNo}
                         helperText={errors.invoiceNo?.message}
@@ -225,11 +578,11 @@ const InvoiceForm = () => {
                         sx={{ backgroundColor: '#ffffff' }}
                       />
                     </Grid>
-                    <Grid item xs={12} md={6}>
+                    <Grid item xs={12} md={4}>
                       <TextField
                         fullWidth
                         type="date"
-                        label="Invoice Date"
+                        label={`${shortLabel} Date`}
                         InputLabelProps={{ shrink: true }}
                         {...register('invoiceDate')}
                         error={!!errors.invoiceDate}
@@ -238,6 +591,126 @@ const InvoiceForm = () => {
                         sx={{ backgroundColor: '#ffffff' }}
                       />
                     </Grid>
+                    {isQuoteForm && (
+                      <Grid item xs={12} md={4}>
+                        <TextField
+                          fullWidth
+                          type="date"
+                          label="Valid Until"
+                          InputLabelProps={{ shrink: true }}
+                          {...register('validUntil')}
+                          error={!!errors.validUntil}
+                          helperText={errors.validUntil?.message}
+                          variant="outlined"
+                          sx={{ backgroundColor: '#ffffff' }}
+                        />
+                      </Grid>
+                    )}
+                    {businessProfile.branches.length > 1 && (
+                      <Grid item xs={12} md={4} sx={{ minWidth: '112px' }}>
+                        <Controller
+                          name="branchId"
+                          control={control}
+                          render={({ field }) => (
+                            <FormControl fullWidth>
+                              <InputLabel>Issued From</InputLabel>
+                              <Select
+                                {...field}
+                                label="Issued From"
+                                onChange={(e) => {
+                                  field.onChange(e);
+                                  setBranchId(e.target.value);
+                                }}
+                                // A note is issued by the branch that issued the invoice
+                                readOnly={isNoteForm}
+                                sx={{ backgroundColor: '#ffffff' }}
+                              >
+                                {businessProfile.branches.map((branch) => (
+                                  <MenuItem key={branch.id} value={branch.id}>
+                                    {branch.name} ({branch.gstin})
+                                  </MenuItem>
+                                ))}
+                              </Select>
+                            </FormControl>
+                          )}
+                        />
+                      </Grid>
+                    )}
+                    <Grid item xs={12} md={4} sx={{ minWidth: '112px' }}>
+                      <Controller
+                        name="priceList"
+                        control={control}
+                        render={({ field }) => (
+                          <FormControl fullWidth>
+                            <InputLabel>Price List</InputLabel>
+                            <Select
+                              {...field}
+                              label="Price List"
+                              onChange={(e) => {
+                                field.onChange(e);
+                                handlePriceListChange(e.target.value);
+                              }}
+                              sx={{ backgroundColor: '#ffffff' }}
+                            >
+                              {priceLists.map((priceList) => (
+                                <MenuItem key={priceList.id} value={priceList.id}>
+                                  {priceList.name}
+                                </MenuItem>
+                              ))}
+                            </Select>
+                          </FormControl>
+                        )}
+                      />
+                    </Grid>
+                    {initialValues?.sourceQuote && (
+                      <Grid item xs={12} md={6}>
+                        <TextField
+                          fullWidth
+                          label={`Against ${DOCUMENT_LABELS[initialValues.sourceQuote.documentType]}`}
+                          value={`${initialValues.sourceQuote.invoiceNo} dated ${initialValues.sourceQuote.invoiceDate}`}
+                          InputProps={{ readOnly: true }}
+                          variant="outlined"
+                          sx={{ backgroundColor: '#ffffff' }}
+                        />
+                      </Grid>
+                    )}
+                    {isNoteForm && (
+                      <>
+                        <Grid item xs={12} md={6}>
+                          <TextField
+                            fullWidth
+                            label="Original Invoice"
+                            value={`${initialValues.originalInvoice.invoiceNo} dated ${initialValues.originalInvoice.invoiceDate}`}
+                            InputProps={{ readOnly: true }}
+                            variant="outlined"
+                            sx={{ backgroundColor: '#ffffff' }}
+                          />
+                        </Grid>
+                        <Grid item xs={12} md={6} sx={{ minWidth: '112px' }}>
+                          <Controller
+                            name="reasonCode"
+                            control={control}
+                            render={({ field }) => (
+                              <FormControl fullWidth error={!!errors.reasonCode}>
+                                <InputLabel>Reason</InputLabel>
+                                <Select {...field} label="Reason" sx={{ backgroundColor: '#ffffff' }}>
+                                  {NOTE_REASONS.map((reason) => (
+                                    <MenuItem key={reason.code} value={reason.code}>
+                                      {reason.code} - {reason.label}
+                                    </MenuItem>
+                                  ))}
+                                </Select>
+                                {errors.reasonCode && (
+                                  <Typography color="error" variant="caption">
+                                    {errors.reasonCode.message}
+                                  </Typography>
+                                )}
+                              </FormControl>
+                            )}
+                          />
+                        </Grid>
+                      </>
+                    )}
                   </Grid>
                 </CardContent>
               </Card>
@@ -251,13 +724,53 @@ const InvoiceForm = () => {
                     Customer Details
                   </Typography>
                   <Grid container spacing={3}>
+                    <Grid item xs={12} md={6}>
+                      <Controller
+                        name="customer.name"
+                        control={control}
+                        render={({ field }) => (
+                          <Autocomplete
+                            freeSolo
+                            readOnly={isNoteForm}
+                            options={customers}
+                            getOptionLabel={(option) =>
+                              typeof option === 'string' ? option : option.name
+                            }
+                            inputValue={field.value}
+                            onInputChange={(event, value) => field.onChange(value)}
+                            onChange={(event, option) => {
+                              if (option && typeof option !== 'string') {
+                                applyCustomer(option);
+                              }
+                            }}
+                            renderInput={(params) => (
+                              <TextField
+                                {...params}
+                                fullWidth
+                                label="Customer Name"
+                                inputRef={field.ref}
+                                onBlur={field.onBlur}
+                                error={!!errors.customer?.name}
+                                helperText={errors.customer?.name?.message}
+                                variant="outlined"
+                                sx={{ backgroundColor: '#ffffff' }}
+                              />
+                            )}
+                          />
+                        )}
+                      />
+                    </Grid>
                     <Grid item xs={12} md={6}>
                       <TextField
                         fullWidth
-                        label="Customer Name"
-                        {...register('customer.name')}
-                        error={!!errors.customer?.name}
-                        helperText={errors.customer?.name?.message}
+                        label="GSTIN (Optional)"
+                        InputLabelProps={{ shrink: Boolean(watchCustomer.gstin) || undefined }}
+                        {...register('customer.gstin', {
+                          setValueAs: (value) => value.trim().toUpperCase(),
+                        })}
+                        InputProps={{ readOnly: isNoteForm }}
+                        error={!!errors.customer?.gstin}
+                        helperText={errors.customer?.gstin?.message}
                         variant="outlined"
                         sx={{ backgroundColor: '#ffffff' }}
                       />
@@ -265,55 +778,105 @@ const InvoiceForm = () => {
                     <Grid item xs={12} md={6}>
                       <TextField
                         fullWidth
-                        label="Customer Address"
-                        {...register('customer.address')}
-                        error={!!errors.customer?.address}
-                        helperText={errors.customer?.address?.message}
+                        multiline
+                        minRows={2}
+                        label="Billing Address"
+                        InputLabelProps={{
+                          shrink: Boolean(watchCustomer.billingAddress) || undefined,
+                        }}
+                        {...register('customer.billingAddress')}
+                        error={!!errors.customer?.billingAddress}
+                        helperText={errors.customer?.billingAddress?.message}
                         variant="outlined"
                         sx={{ backgroundColor: '#ffffff' }}
                       />
                     </Grid>
-                    <Grid item xs={12} md={10} sx={{ minWidth: '112px' }}>
-                      <Controller
-                        name="customer.state"
-                        control={control}
-                        render={({ field }) => (
-                          <FormControl fullWidth error={!!errors.customer?.state}>
-                            <InputLabel>State</InputLabel>
-                            <Select
-                              {...field}
-                              label="State"
-                              sx={{ backgroundColor: '#ffffff' }}
-                            >
-                              <MenuItem value="">
-                                <em>Select State</em>
-                              </MenuItem>
-                              {states.map((state) => (
-                                <MenuItem key={state} value={state}>
-                                  {state}
-                                </MenuItem>
-                              ))}
-                            </Select>
-                            {errors.customer?.state && (
-                              <Typography color="error" variant="caption">
-                                {errors.customer.state.message}
-                              </Typography>
-                            )}
-                          </FormControl>
-                        )}
-                      />
-                    </Grid>
                     <Grid item xs={12} md={6}>
                       <TextField
                         fullWidth
-                        label="GSTIN (Optional)"
-                        {...register('customer.gstin')}
-                        error={!!errors.customer?.gstin}
-                        helperText={errors.customer?.gstin?.message}
+                        multiline
+                        minRows={2}
+                        label="Shipping Address"
+                        InputLabelProps={{
+                          shrink: Boolean(watchCustomer.shippingAddress) || undefined,
+                        }}
+                        {...register('customer.shippingAddress')}
+                        error={!!errors.customer?.shippingAddress}
+                        helperText={
+                          errors.customer?.shippingAddress?.message || 'Leave blank if same as billing'
+                        }
                         variant="outlined"
                         sx={{ backgroundColor: '#ffffff' }}
                       />
                     </Grid>
+                    {isExportInvoice ? (
+                      <Grid item xs={12} md={6} sx={{ minWidth: '112px' }}>
+                        <Controller
+                          name="customer.country"
+                          control={control}
+                          render={({ field }) => (
+                            <FormControl fullWidth error={!!errors.customer?.country}>
+                              <InputLabel>Country</InputLabel>
+                              <Select
+                                {...field}
+                                label="Country"
+                                readOnly={isNoteForm}
+                                sx={{ backgroundColor: '#ffffff' }}
+                              >
+                                <MenuItem value="">
+                                  <em>Select Country</em>
+                                </MenuItem>
+                                {countries.map((country) => (
+                                  <MenuItem key={country.code} value={country.code}>
+                                    {country.name}
+                                  </MenuItem>
+                                ))}
+                              </Select>
+                              <Typography
+                                color={errors.customer?.country ? 'error' : 'text.secondary'}
+                                variant="caption"
+                              >
+                                {errors.customer?.country?.message ||
+                                  errors.customer?.state?.message ||
+                                  `Place of supply: ${OUTSIDE_INDIA}`}
+                              </Typography>
+                            </FormControl>
+                          )}
+                        />
+                      </Grid>
+                    ) : (
+                      <Grid item xs={12} md={6} sx={{ minWidth: '112px' }}>
+                        <Controller
+                          name="customer.state"
+                          control={control}
+                          render={({ field }) => (
+                            <FormControl fullWidth error={!!errors.customer?.state}>
+                              <InputLabel>State</InputLabel>
+                              <Select
+                                {...field}
+                                label="State"
+                                readOnly={isNoteForm}
+                                sx={{ backgroundColor: '#ffffff' }}
+                              >
+                                <MenuItem value="">
+                                  <em>Select State</em>
+                                </MenuItem>
+                                {states.map((state) => (
+                                  <MenuItem key={state.code} value={state.name}>
+                                    {state.name} ({state.code})
+                                  </MenuItem>
+                                ))}
+                              </Select>
+                              {errors.customer?.state && (
+                                <Typography color="error" variant="caption">
+                                  {errors.customer.state.message}
+                                </Typography>
+                              )}
+                            </FormControl>
+                          )}
+                        />
+                      </Grid>
+                    )}
                   </Grid>
                 </CardContent>
               </Card>
@@ -323,9 +886,37 @@ const InvoiceForm = () => {
             <Grid item xs={12}>
               <Card elevation={0} sx={{ backgroundColor: '#f5f5f5', mb: 3 }}>
                 <CardContent>
-                  <Typography variant="h6" sx={{ color: '#1a237e', mb: 2 }}>
-                    Products
-                  </Typography>
+                  <Box
+                    sx={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      mb: 2,
+                    }}
+                  >
+                    <Typography variant="h6" sx={{ color: '#1a237e' }}>
+                      Products
+                    </Typography>
+                    <Controller
+                      name="priceIncludesTax"
+                      control={control}
+                      render={({ field }) => (
+                        <FormControlLabel
+                          control={
+                            <Switch
+                              checked={field.value}
+                              disabled={isNoteForm}
+                              onChange={(e) => {
+                                field.onChange(e.target.checked);
+                                handlePriceIncludesTaxChange(e.target.checked);
+                              }}
+                            />
+                          }
+                          label="Prices include GST"
+                        />
+                      )}
+                    />
+                  </Box>
                   {fields.map((field, index) => (
                     <Paper
                       key={field.id}
@@ -345,74 +936,109 @@ const InvoiceForm = () => {
                             name={`products.${index}.productName`}
                             control={control}
                             render={({ field }) => (
-                              <FormControl
-                                fullWidth
-                                error={!!errors.products?.[index]?.productName}
-                              >
-                                <InputLabel>Product</InputLabel>
-                                <Select
-                                  {...field}
-                                  label="Product"
-                                  onChange={(e) => {
-                                    field.onChange(e);
-                                    const selectedProduct = products.find(
-                                      (p) => p.name === e.target.value
-                                    );
-                                    if (selectedProduct) {
-                                      setValue(
-                                        `products.${index}.hsnCode`,
-                                        selectedProduct.hsnCode
-                                      );
-                                      setValue(
-                                        `products.${index}.salePrice`,
-                                        selectedProduct.salePrice || 0
-                                      );
-                                    }
-                                  }}
-                                  sx={{ backgroundColor: '#ffffff' }}
-                                >
-                                  <MenuItem value="">
-                                    <em>Select Product</em>
-                                  </MenuItem>
-                                  {products.map((product) => (
-                                    <MenuItem key={product.id} value={product.name}>
-                                      {product.name}
-                                    </MenuItem>
-                                  ))}
-                                </Select>
-                                {errors.products?.[index]?.productName && (
-                                  <Typography color="error" variant="caption">
-                                    {errors.products[index].productName.message}
-                                  </Typography>
+                              <Autocomplete
+                                freeSolo
+                                readOnly={isNoteForm}
+                                options={catalog}
+                                filterOptions={filterCatalog}
+                                getOptionLabel={(option) =>
+                                  typeof option === 'string' ? option : option.name
+                                }
+                                renderOption={(props, option) => (
+                                  <li {...props} key={option.id}>
+                                    <Box>
+                                      <Typography variant="body2">{option.name}</Typography>
+                                      <Typography variant="caption" color="text.secondary">
+                                        {option.codeType} {option.hsnCode} · {option.gstRate}% GST
+                                      </Typography>
+                                    </Box>
+                                  </li>
                                 )}
-                              </FormControl>
+                                inputValue={field.value}
+                                onInputChange={(event, value) => field.onChange(value)}
+                                onChange={(event, option) => {
+                                  if (option && typeof option !== 'string') {
+                                    applyProduct(index, option);
+                                  }
+                                }}
+                                renderInput={(params) => (
+                                  <TextField
+                                    {...params}
+                                    label="Product"
+                                    inputRef={field.ref}
+                                    onBlur={field.onBlur}
+                                    error={!!errors.products?.[index]?.productName}
+                                    helperText={errors.products?.[index]?.productName?.message}
+                                    sx={{ backgroundColor: '#ffffff' }}
+                                  />
+                                )}
+                              />
                             )}
                           />
                         </Grid>
                         <Grid item xs={12} md={2}>
                           <TextField
                             fullWidth
-                            label="HSN Code"
+                            label="HSN/SAC Code"
                             {...register(`products.${index}.hsnCode`)}
-                            disabled
+                            InputProps={{ readOnly: isNoteForm }}
+                            error={!!errors.products?.[index]?.hsnCode}
+                            helperText={errors.products?.[index]?.hsnCode?.message}
                             variant="outlined"
-                            sx={{ backgroundColor: '#f5f5f5' }}
-                            InputLabelProps={{ shrink: Boolean(watchProducts[index]?.hsnCode) }}
-                            value={watchProducts[index]?.hsnCode || ''}
+                            sx={{ backgroundColor: '#ffffff' }}
+                            InputLabelProps={{
+                              shrink: Boolean(watchProducts[index]?.hsnCode) || undefined,
+                            }}
                           />
                         </Grid>
-                        <Grid item xs={12} md={1}>
+                        <Grid item xs={12} md={2}>
+                          <Box sx={{ display: 'flex', gap: 1 }}>
+                            <TextField
+                              fullWidth
+                              type="number"
+                              label="Qty"
+                              {...register(`products.${index}.qty`, {
+                                valueAsNumber: true,
+                              })}
+                              inputProps={{
+                                step: 10 ** -getUnitDecimals(watchProducts[index]?.unit),
+                              }}
+                              error={!!errors.products?.[index]?.qty}
+                              helperText={errors.products?.[index]?.qty?.message}
+                              variant="outlined"
+                              sx={{ backgroundColor: '#ffffff' }}
+                            />
+                            <Controller
+                              name={`products.${index}.unit`}
+                              control={control}
+                              render={({ field }) => (
+                                <Select
+                                  {...field}
+                                  readOnly={isNoteForm}
+                                  renderValue={(value) => value}
+                                  sx={{ backgroundColor: '#ffffff', minWidth: 76 }}
+                                >
+                                  {units.map((unit) => (
+                                    <MenuItem key={unit.code} value={unit.code}>
+                                      {unit.code} - {unit.name}
+                                    </MenuItem>
+                                  ))}
+                                </Select>
+                              )}
+                            />
+                          </Box>
                           <TextField
                             fullWidth
+                            size="small"
                             type="number"
-                            label="Qty"
-                            {...register(`products.${index}.qty`, {
+                            label="Free Qty"
+                            {...register(`products.${index}.freeQty`, {
                               valueAsNumber: true,
                             })}
-                            error={!!errors.products?.[index]?.qty}
-                            helperText={errors.products?.[index]?.qty?.message}
+                            error={!!errors.products?.[index]?.freeQty}
+                            helperText={errors.products?.[index]?.freeQty?.message}
                             variant="outlined"
-                            sx={{ backgroundColor: '#ffffff' }}
+                            sx={{ backgroundColor: '#ffffff', mt: 1 }}
                           />
                         </Grid>
                         <Grid item xs={12} md={2}>
@@ -424,75 +1050,183 @@ const InvoiceForm = () => {
                               valueAsNumber: true,
                             })}
                             error={!!errors.products?.[index]?.salePrice}
-                            helperText={errors.products?.[index]?.salePrice?.message}
+                            helperText={
+                              errors.products?.[index]?.salePrice?.message ||
+                              (watchProducts[index]?.priceIncludesTax &&
+                                `Incl. GST (${formatCurrency(lineValues[index].exclusivePrice)} + tax)`)
+                            }
                             variant="outlined"
                             sx={{ backgroundColor: '#ffffff' }}
                           />
                         </Grid>
                         <Grid item xs={12} md={2}>
-                          <TextField
-                            fullWidth
-                            type="number"
-                            label="Discount"
-                            {...register(`products.${index}.discount`, {
-                              valueAsNumber: true,
-                            })}
-                            error={!!errors.products?.[index]?.discount}
-                            helperText={errors.products?.[index]?.discount?.message}
-                            variant="outlined"
-                            sx={{ backgroundColor: '#ffffff' }}
-                          />
+                          <Box sx={{ display: 'flex', gap: 1 }}>
+                            <Controller
+                              name={`products.${index}.discountType`}
+                              control={control}
+                              render={({ field }) => (
+                                <Select
+                                  {...field}
+                                  readOnly={isNoteForm}
+                                  sx={{ backgroundColor: '#ffffff', minWidth: 64 }}
+                                >
+                                  <MenuItem value={DISCOUNT_TYPES.FLAT}>₹</MenuItem>
+                                  <MenuItem value={DISCOUNT_TYPES.PERCENT}>%</MenuItem>
+                                </Select>
+                              )}
+                            />
+                            <TextField
+                              fullWidth
+                              type="number"
+                              label="Discount"
+                              {...register(`products.${index}.discount`, {
+                                valueAsNumber: true,
+                              })}
+                              InputProps={{ readOnly: isNoteForm }}
+                              error={!!errors.products?.[index]?.discount}
+                              helperText={errors.products?.[index]?.discount?.message}
+                              variant="outlined"
+                              sx={{ backgroundColor: '#ffffff' }}
+                            />
+                          </Box>
                         </Grid>
                         <Grid item xs={12} md={1}>
                           <Box sx={{ textAlign: 'right' }}>
                             <Typography variant="subtitle2" color="primary">
-                              ₹{calculateProductValues(watchProducts[index]).totalValue.toFixed(2)}
-                            </Typography>
-                            <Typography variant="caption" display="block" color="text.secondary">
-                              Tax: ₹{calculateProductValues(watchProducts[index]).taxableValue.toFixed(2)}
-                            </Typography>
-                            <Typography variant="caption" display="block" color="text.secondary">
-                              CGST: ₹{calculateProductValues(watchProducts[index]).cgst.toFixed(2)}
+                              {formatCurrency(lineValues[index].totalValue)}
                             </Typography>
+                            {lineValues[index].discountAmount + lineValues[index].invoiceDiscountShare >
+                              0 && (
+                              <Typography variant="caption" display="block" color="text.secondary">
+                                Disc:{' '}
+                                {formatCurrency(
+                                  lineValues[index].discountAmount +
+                                    lineValues[index].invoiceDiscountShare
+                                )}
+                              </Typography>
+                            )}
                             <Typography variant="caption" display="block" color="text.secondary">
-                              SGST: ₹{calculateProductValues(watchProducts[index]).sgst.toFixed(2)}
+                              Tax: {formatCurrency(lineValues[index].taxableValue)}
                             </Typography>
+                            {isInterState ? (
+                              <Typography variant="caption" display="block" color="text.secondary">
+                                IGST @{lineValues[index].gstRate}%:{' '}
+                                {formatCurrency(lineValues[index].igst)}
+                              </Typography>
+                            ) : (
+                              <>
+                                <Typography variant="caption" display="block" color="text.secondary">
+                                  CGST @{lineValues[index].gstRate / 2}%:{' '}
+                                  {formatCurrency(lineValues[index].cgst)}
+                                </Typography>
+                                <Typography variant="caption" display="block" color="text.secondary">
+                                  {stateTaxLabel} @{lineValues[index].gstRate / 2}%:{' '}
+                                  {formatCurrency(lineValues[index].sgst)}
+                                </Typography>
+                              </>
+                            )}
+                            {lineValues[index].cess > 0 && (
+                              <Typography variant="caption" display="block" color="text.secondary">
+                                Cess: {formatCurrency(lineValues[index].cess)}
+                              </Typography>
+                            )}
+                            <IconButton
+                              color="error"
+                              onClick={() => remove(index)}
+                              disabled={fields.length === 1}
+                              sx={{
+                                '&:hover': {
+                                  backgroundColor: 'rgba(211, 47, 47, 0.1)',
+                                },
+                              }}
+                            >
+                              <DeleteIcon />
+                            </IconButton>
                           </Box>
                         </Grid>
-                        <Grid item xs={12} md={1}>
-                          <IconButton
-                            color="error"
-                            onClick={() => remove(index)}
-                            disabled={fields.length === 1}
-                            sx={{
-                              '&:hover': {
-                                backgroundColor: 'rgba(211, 47, 47, 0.1)',
-                              },
-                            }}
-                          >
-                            <DeleteIcon />
-                          </IconButton>
-                        </Grid>
                       </Grid>
                     </Paper>
                   ))}
-                  <Button
-                    startIcon={<AddIcon />}
-                    onClick={() =>
-                      append({
-                        productName: '',
-                        hsnCode: '',
-                        qty: 1,
-                        salePrice: 0,
-                        discount: 0,
-                      })
-                    }
-                    variant="outlined"
-                    color="primary"
-                    sx={{ mt: 2 }}
+                  <Box
+                    sx={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'flex-start',
+                      flexWrap: 'wrap',
+                      gap: 2,
+                      mt: 2,
+                    }}
                   >
-                    Add Product
-                  </Button>
+                    {isNoteForm ? (
+                      <TextField
+                        select
+                        label="Add Line from Original Invoice"
+                        value=""
+                        onChange={(e) =>
+                          append({
+                            ...emptyProduct,
+                            ...originalProducts[e.target.value],
+                            sourceLine: e.target.value,
+                          })
+                        }
+                        disabled={availableOriginalLines.length === 0}
+                        variant="outlined"
+                        sx={{ backgroundColor: '#ffffff', minWidth: 280 }}
+                      >
+                        {availableOriginalLines.map(({ product, index }) => (
+                          <MenuItem key={index} value={index}>
+                            {product.productName} × {product.qty} {product.unit}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+                    ) : (
+                      <Button
+                        startIcon={<AddIcon />}
+                        onClick={() =>
+                          append({
+                            ...emptyProduct,
+                            priceIncludesTax: getValues('priceIncludesTax'),
+                          })
+                        }
+                        variant="outlined"
+                        color="primary"
+                      >
+                        Add Product
+                      </Button>
+                    )}
+                    <Box sx={{ display: 'flex', gap: 1, maxWidth: 320 }}>
+                      <Controller
+                        name="invoiceDiscountType"
+                        control={control}
+                        render={({ field }) => (
+                          <Select
+                            {...field}
+                            readOnly={isNoteForm}
+                            sx={{ backgroundColor: '#ffffff', minWidth: 64 }}
+                          >
+                            <MenuItem value={DISCOUNT_TYPES.FLAT}>₹</MenuItem>
+                            <MenuItem value={DISCOUNT_TYPES.PERCENT}>%</MenuItem>
+                          </Select>
+                        )}
+                      />
+                      <TextField
+                        fullWidth
+                        type="number"
+                        label="Invoice Discount"
+                        {...register('invoiceDiscount', { valueAsNumber: true })}
+                        InputProps={{ readOnly: isNoteForm }}
+                        error={!!errors.invoiceDiscount}
+                        helperText={
+                          errors.invoiceDiscount?.message ||
+                          (isNoteForm
+                            ? 'As on the original invoice'
+                            : 'Spread across lines before tax')
+                        }
+                        variant="outlined"
+                        sx={{ backgroundColor: '#ffffff' }}
+                      />
+                    </Box>
+                  </Box>
                   {errors.products && (
                     <Typography color="error" variant="caption">
                       {errors.products.message}
@@ -510,90 +1244,448 @@ const InvoiceForm = () => {
                     Invoice Summary
                   </Typography>
                   <Grid container spacing={2}>
+                    {totals.totalDiscount > 0 && (
+                      <Grid item xs={12}>
+                        <Typography variant="body2" color="text.secondary">
+                          Gross {formatCurrency(totals.totalGrossValue)} less discounts{' '}
+                          {formatCurrency(totals.totalDiscount)}
+                          {totals.totalInvoiceDiscount > 0 &&
+                            ` (incl. invoice discount ${formatCurrency(totals.totalInvoiceDiscount)})`}
+                        </Typography>
+                      </Grid>
+                    )}
                     <Grid item xs={12} md={3}>
                       <Typography variant="subtitle1" color="text.secondary">
                         Total Taxable Value
                       </Typography>
                       <Typography variant="h6" color="primary">
-                        ₹{totals.totalTaxableValue.toFixed(2)}
-                      </Typography>
-                    </Grid>
-                    <Grid item xs={12} md={3}>
-                      <Typography variant="subtitle1" color="text.secondary">
-                        Total CGST (9%)
-                      </Typography>
-                      <Typography variant="h6" color="primary">
-                        ₹{totals.totalCGST.toFixed(2)}
+                        {formatCurrency(totals.totalTaxableValue)}
                       </Typography>
                     </Grid>
-                    <Grid item xs={12} md={3}>
+                    {isInterState ? (
+                      <Grid item xs={12} md={3}>
+                        <Typography variant="subtitle1" color="text.secondary">
+                          Total IGST
+                        </Typography>
+                        <Typography variant="h6" color="primary">
+                          {formatCurrency(totals.totalIGST)}
+                        </Typography>
+                      </Grid>
+                    ) : (
+                      <>
+                        <Grid item xs={12} md={2}>
+                          <Typography variant="subtitle1" color="text.secondary">
+                            Total CGST
+                          </Typography>
+                          <Typography variant="h6" color="primary">
+                            {formatCurrency(totals.totalCGST)}
+                          </Typography>
+                        </Grid>
+                        <Grid item xs={12} md={2}>
+                          <Typography variant="subtitle1" color="text.secondary">
+                            Total {stateTaxLabel}
+                          </Typography>
+                          <Typography variant="h6" color="primary">
+                            {formatCurrency(totals.totalSGST)}
+                          </Typography>
+                        </Grid>
+                      </>
+                    )}
+                    <Grid item xs={12} md={2}>
                       <Typography variant="subtitle1" color="text.secondary">
-                        Total SGST (9%)
+                        Total Cess
                       </Typography>
                       <Typography variant="h6" color="primary">
-                        ₹{totals.totalSGST.toFixed(2)}
+                        {formatCurrency(totals.totalCess)}
                       </Typography>
                     </Grid>
+                    {rounding.roundOffTotal && (
+                      <Grid item xs={12} md={2}>
+                        <Typography variant="subtitle1" color="text.secondary">
+                          Round Off
+                        </Typography>
+                        <Typography variant="h6" color="primary">
+                          {totals.roundOff > 0 && '+'}
+                          {formatCurrency(totals.roundOff)}
+                        </Typography>
+                      </Grid>
+                    )}
                     <Grid item xs={12} md={3}>
                       <Typography variant="subtitle1" color="text.secondary">
                         Total Amount
                       </Typography>
                       <Typography variant="h6" color="primary" sx={{ fontWeight: 'bold' }}>
-                        ₹{totals.totalValue.toFixed(2)}
+                        {formatCurrency(totals.grandTotal)}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {amountInWords(totals.grandTotal)}
                       </Typography>
                     </Grid>
+                    {showForeignTotal && (
+                      <Grid item xs={12}>
+                        <Typography variant="body2" color="text.secondary">
+                          In {watchExportDetails.currency} at{' '}
+                          {formatCurrency(watchExportDetails.exchangeRate)}: taxable value{' '}
+                          {formatForeignCurrency(
+                            toForeignAmount(
+                              totals.totalTaxableValue,
+                              watchExportDetails.exchangeRate
+                            ),
+                            watchExportDetails.currency
+                          )}
+                          , total{' '}
+                          <strong>
+                            {formatForeignCurrency(
+                              toForeignAmount(totals.grandTotal, watchExportDetails.exchangeRate),
+                              watchExportDetails.currency
+                            )}
+                          </strong>
+                        </Typography>
+                      </Grid>
+                    )}
                   </Grid>
+
+                  {/* Rate-wise tax breakup */}
+                  <Table size="small" sx={{ mt: 3, backgroundColor: '#ffffff' }}>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>GST Rate</TableCell>
+                        <TableCell align="right">Taxable Value</TableCell>
+                        {isInterState ? (
+                          <TableCell align="right">IGST</TableCell>
+                        ) : (
+                          <>
+                            <TableCell align="right">CGST</TableCell>
+                            <TableCell align="right">{stateTaxLabel}</TableCell>
+                          </>
+                        )}
+                        <TableCell align="right">Cess</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {taxBreakup.map((row) => (
+                        <TableRow key={row.gstRate}>
+                          <TableCell>{row.gstRate}%</TableCell>
+                          <TableCell align="right">{formatCurrency(row.taxableValue)}</TableCell>
+                          {isInterState ? (
+                            <TableCell align="right">
+                              {formatCurrency(row.igst)} ({row.gstRate}%)
+                            </TableCell>
+                          ) : (
+                            <>
+                              <TableCell align="right">
+                                {formatCurrency(row.cgst)} ({row.gstRate / 2}%)
+                              </TableCell>
+                              <TableCell align="right">
+                                {formatCurrency(row.sgst)} ({row.gstRate / 2}%)
+                              </TableCell>
+                            </>
+                          )}
+                          <TableCell align="right">{formatCurrency(row.cess)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
                 </CardContent>
               </Card>
             </Grid>
 
-            {/* Payment Details */}
+            {/* Supply and Payment Details */}
             <Grid item xs={12}>
               <Card elevation={0} sx={{ backgroundColor: '#f5f5f5', mb: 3 }}>
                 <CardContent>
                   <Typography variant="h6" sx={{ color: '#1a237e', mb: 2 }}>
-                    Payment Details
+                    {isPaymentForm ? 'Supply and Payment Details' : 'Supply Details'}
                   </Typography>
                   <Grid container spacing={3}>
-                    <Grid item xs={12} md={6} sx={{ minWidth: '122px' }}>
+                    <Grid item xs={12} md={4} sx={{ minWidth: '122px' }}>
                       <Controller
-                        name="paymentMethod"
+                        name="supplyType"
                         control={control}
                         render={({ field }) => (
-                          <FormControl fullWidth error={!!errors.paymentMethod}>
-                            <InputLabel>Payment Method</InputLabel>
+                          <FormControl fullWidth>
+                            <InputLabel>Invoice Type</InputLabel>
                             <Select
                               {...field}
-                              label="Payment Method"
+                              onChange={(e) => {
+                                field.onChange(e);
+                                handleSupplyTypeChange(e.target.value);
+                              }}
+                              label="Invoice Type"
+                              // A note follows the supply type of its invoice
+                              readOnly={isNoteForm}
                               sx={{ backgroundColor: '#ffffff' }}
                             >
-                              <MenuItem value="Cash">Cash</MenuItem>
-                              <MenuItem value="Online Transfer">Online Transfer</MenuItem>
-                              <MenuItem value="On Credit">On Credit</MenuItem>
+                              {Object.values(SUPPLY_TYPES).map((supplyType) => (
+                                <MenuItem key={supplyType} value={supplyType}>
+                                  {SUPPLY_TYPE_LABELS[supplyType]}
+                                </MenuItem>
+                              ))}
                             </Select>
-                            {errors.paymentMethod && (
-                              <Typography color="error" variant="caption">
-                                {errors.paymentMethod.message}
+                            {withoutTax && (
+                              <Typography variant="caption" color="text.secondary">
+                                Zero-rated: no IGST is charged
                               </Typography>
                             )}
                           </FormControl>
                         )}
                       />
                     </Grid>
-                    {watchPaymentMethod === 'Online Transfer' && (
-                      <Grid item xs={12} md={6}>
+                    {isPaymentForm && (
+                      <Grid item xs={12} md={4} sx={{ minWidth: '122px' }}>
+                        <Controller
+                          name="paymentMethod"
+                          control={control}
+                          render={({ field }) => (
+                            <FormControl fullWidth error={!!errors.paymentMethod}>
+                              <InputLabel>Payment Terms</InputLabel>
+                              <Select
+                                {...field}
+                                onChange={(e) => {
+                                  field.onChange(e);
+                                  if (
+                                    e.target.value === PAYMENT_METHODS.PAID &&
+                                    paymentFields.length === 0
+                                  ) {
+                                    appendPayment(emptyPayment);
+                                  }
+                                }}
+                                label="Payment Terms"
+                                sx={{ backgroundColor: '#ffffff' }}
+                              >
+                                <MenuItem value={PAYMENT_METHODS.PAID}>Paid on Invoice</MenuItem>
+                                <MenuItem value={PAYMENT_METHODS.CREDIT}>On Credit</MenuItem>
+                              </Select>
+                              {errors.paymentMethod && (
+                                <Typography color="error" variant="caption">
+                                  {errors.paymentMethod.message}
+                                </Typography>
+                              )}
+                            </FormControl>
+                          )}
+                        />
+                      </Grid>
+                    )}
+                    {isPaymentForm && watchPaymentMethod === PAYMENT_METHODS.CREDIT && (
+                      <Grid item xs={12} md={4}>
                         <TextField
                           fullWidth
-                          label="Transaction ID"
-                          {...register('transactionId')}
-                          error={!!errors.transactionId}
-                          helperText={errors.transactionId?.message}
+                          type="date"
+                          label="Due Date"
+                          InputLabelProps={{ shrink: true }}
+                          {...register('dueDate')}
+                          error={!!errors.dueDate}
+                          helperText={errors.dueDate?.message}
                           variant="outlined"
                           sx={{ backgroundColor: '#ffffff' }}
                         />
                       </Grid>
                     )}
                   </Grid>
+
+                  {isExportInvoice && (
+                    <Grid container spacing={2} sx={{ mt: 1 }} alignItems="flex-start">
+                      <Grid item xs={12} md={2} sx={{ minWidth: '122px' }}>
+                        <Controller
+                          name="exportDetails.currency"
+                          control={control}
+                          render={({ field }) => (
+                            <FormControl fullWidth error={!!errors.exportDetails?.currency}>
+                              <InputLabel>Currency</InputLabel>
+                              <Select
+                                {...field}
+                                label="Currency"
+                                readOnly={isNoteForm}
+                                sx={{ backgroundColor: '#ffffff' }}
+                              >
+                                {currencies.map((currency) => (
+                                  <MenuItem key={currency.code} value={currency.code}>
+                                    {currency.code} - {currency.name}
+                                  </MenuItem>
+                                ))}
+                              </Select>
+                              {errors.exportDetails?.currency && (
+                                <Typography color="error" variant="caption">
+                                  {errors.exportDetails.currency.message}
+                                </Typography>
+                              )}
+                            </FormControl>
+                          )}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={2}>
+                        <TextField
+                          fullWidth
+                          type="number"
+                          label="Exchange Rate (₹)"
+                          inputProps={{ min: 0, step: '0.0001' }}
+                          {...register('exportDetails.exchangeRate', { valueAsNumber: true })}
+                          error={!!errors.exportDetails?.exchangeRate}
+                          helperText={
+                            errors.exportDetails?.exchangeRate?.message ||
+                            (watchExportDetails.currency &&
+                              `Rupees per ${watchExportDetails.currency}`)
+                          }
+                          variant="outlined"
+                          sx={{ backgroundColor: '#ffffff' }}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={2}>
+                        <TextField
+                          fullWidth
+                          label="Port Code"
+                          {...register('exportDetails.portCode', {
+                            setValueAs: (value) => value.trim().toUpperCase(),
+                          })}
+                          error={!!errors.exportDetails?.portCode}
+                          helperText={errors.exportDetails?.portCode?.message}
+                          variant="outlined"
+                          sx={{ backgroundColor: '#ffffff' }}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={3}>
+                        <TextField
+                          fullWidth
+                          label="Shipping Bill No"
+                          {...register('exportDetails.shippingBillNo')}
+                          error={!!errors.exportDetails?.shippingBillNo}
+                          helperText={
+                            errors.exportDetails?.shippingBillNo?.message ||
+                            'Can be added once filed'
+                          }
+                          variant="outlined"
+                          sx={{ backgroundColor: '#ffffff' }}
+                        />
+                      </Grid>
+                      <Grid item xs={12} md={3}>
+                        <TextField
+                          fullWidth
+                          type="date"
+                          label="Shipping Bill Date"
+                          InputLabelProps={{ shrink: true }}
+                          {...register('exportDetails.shippingBillDate')}
+                          error={!!errors.exportDetails?.shippingBillDate}
+                          helperText={errors.exportDetails?.shippingBillDate?.message}
+                          variant="outlined"
+                          sx={{ backgroundColor: '#ffffff' }}
+                        />
+                      </Grid>
+                    </Grid>
+                  )}
+
+                  {isPaymentForm && (
+                    <>
+                      {paymentFields.map((field, index) => (
+                        <Grid container spacing={2} key={field.id} sx={{ mt: 1 }} alignItems="flex-start">
+                          <Grid item xs={12} md={3} sx={{ minWidth: '122px' }}>
+                            <Controller
+                              name={`payments.${index}.mode`}
+                              control={control}
+                              render={({ field: modeField }) => (
+                                <FormControl fullWidth>
+                                  <InputLabel>Mode</InputLabel>
+                                  <Select
+                                    {...modeField}
+                                    label="Mode"
+                                    sx={{ backgroundColor: '#ffffff' }}
+                                  >
+                                    {PAYMENT_MODES.map((mode) => (
+                                      <MenuItem key={mode} value={mode}>
+                                        {mode}
+                                      </MenuItem>
+                                    ))}
+                                  </Select>
+                                </FormControl>
+                              )}
+                            />
+                          </Grid>
+                          <Grid item xs={12} md={2}>
+                            <TextField
+                              fullWidth
+                              type="number"
+                              label="Amount"
+                              {...register(`payments.${index}.amount`, { valueAsNumber: true })}
+                              InputProps={{ readOnly: isSinglePayment }}
+                              error={!!errors.payments?.[index]?.amount}
+                              helperText={errors.payments?.[index]?.amount?.message}
+                              variant="outlined"
+                              sx={{ backgroundColor: '#ffffff' }}
+                            />
+                          </Grid>
+                          <Grid item xs={12} md={3}>
+                            <TextField
+                              fullWidth
+                              label={
+                                watchPayments[index]?.mode === CASH_MODE
+                                  ? 'Reference (Optional)'
+                                  : 'Reference'
+                              }
+                              {...register(`payments.${index}.reference`)}
+                              error={!!errors.payments?.[index]?.reference}
+                              helperText={errors.payments?.[index]?.reference?.message}
+                              variant="outlined"
+                              sx={{ backgroundColor: '#ffffff' }}
+                            />
+                          </Grid>
+                          <Grid item xs={10} md={3}>
+                            <TextField
+                              fullWidth
+                              type="date"
+                              label="Date"
+                              InputLabelProps={{ shrink: true }}
+                              {...register(`payments.${index}.date`)}
+                              helperText="Blank for the invoice date"
+                              variant="outlined"
+                              sx={{ backgroundColor: '#ffffff' }}
+                            />
+                          </Grid>
+                          <Grid item xs={2} md={1}>
+                            <IconButton
+                              onClick={() => removePayment(index)}
+                              disabled={
+                                watchPaymentMethod === PAYMENT_METHODS.PAID && paymentFields.length === 1
+                              }
+                              color="error"
+                            >
+                              <DeleteIcon />
+                            </IconButton>
+                          </Grid>
+                        </Grid>
+                      ))}
+
+                      <Box
+                        sx={{
+                          mt: 2,
+                          display: 'flex',
+                          justifyContent: 'space-between',
+                          alignItems: 'center',
+                          flexWrap: 'wrap',
+                          gap: 2,
+                        }}
+                      >
+                        <Button
+                          startIcon={<AddIcon />}
+                          onClick={() =>
+                            appendPayment({ ...emptyPayment, amount: Math.max(balanceDue, 0) })
+                          }
+                          variant="outlined"
+                          color="primary"
+                        >
+                          {watchPaymentMethod === PAYMENT_METHODS.CREDIT
+                            ? 'Add Advance Payment'
+                            : 'Split Payment'}
+                        </Button>
+                        <Typography variant="body2" color="text.secondary">
+                          Paid {formatCurrency(amountPaid)} · Balance Due {formatCurrency(balanceDue)}
+                        </Typography>
+                      </Box>
+                      {errors.payments?.message && (
+                        <Typography color="error" variant="caption" display="block" sx={{ mt: 1 }}>
+                          {errors.payments.message}
+                        </Typography>
+                      )}
+                    </>
+                  )}
                 </CardContent>
               </Card>
             </Grid>
@@ -627,7 +1719,7 @@ const InvoiceForm = () => {
                 variant="contained"
                 color="primary"
                 size="large"
-                disabled={isSubmitting}
+                disabled={isSubmitting || isLoading}
                 sx={{
                   px: 6,
                   py: 1.5,
@@ -639,31 +1731,102 @@ const InvoiceForm = () => {
                   },
                 }}
               >
-                {isSubmitting ? 'Generating...' : 'Generate Invoice'}
+                {isSubmitting ? 'Generating...' : `Generate ${documentLabel}`}
               </Button>
+              {documentType === DOCUMENT_TYPES.INVOICE && (
+                <Button
+                  variant="outlined"
+                  size="large"
+                  onClick={handleOpenRecurring}
+                  sx={{ ml: 2, py: 1.5, textTransform: 'none' }}
+                >
+                  Save as Recurring
+                </Button>
+              )}
+              {templateMessage && (
+                <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                  {templateMessage}
+                </Typography>
+              )}
+              {draftSavedAt && hasUnsavedChanges && (
+                <Typography variant="caption" display="block" color="text.secondary" sx={{ mt: 1 }}>
+                  Draft saved at {new Date(draftSavedAt).toLocaleTimeString()}
+                </Typography>
+              )}
+              {submitError && (
+                <Typography color="error" variant="body2" sx={{ mt: 1 }}>
+                  {submitError}
+                </Typography>
+              )}
+              {linkWarning && (
+                <Alert severity="warning" sx={{ mt: 2, textAlign: 'left' }}>
+                  {linkWarning}
+                </Alert>
+              )}
+              {conflict && (
+                <Alert
+                  severity="warning"
+                  sx={{ mt: 2, textAlign: 'left' }}
+                  action={
+                    <>
+                      <Button color="inherit" size="small" onClick={handleLoadLatest}>
+                        Load Latest
+                      </Button>
+                      <Button
+                        color="inherit"
+                        size="small"
+                        onClick={() => {
+                          overwriteVersionRef.current = conflict.version;
+                          handleSubmit(onSubmit)();
+                        }}
+                      >
+                        Overwrite
+                      </Button>
+                    </>
+                  }
+                >
+                  This {documentLabel.toLowerCase()} was changed elsewhere after you opened it.
+                  Load the latest copy, or overwrite it with your changes.
+                </Alert>
+              )}
             </Grid>
           </Grid>
         </form>
 
-        {/* Display Payload */}
+        {/* Generated Invoice */}
         {showPayload && formData && (
           <Box sx={{ mt: 4 }}>
-            <Typography variant="h6" sx={{ color: '#1a237e', mb: 2 }}>
-              Generated Payload
+            <Typography variant="h6" className="no-print" sx={{ color: '#1a237e', mb: 2 }}>
+              Generated {documentLabel}
             </Typography>
-            <Paper
-              sx={{
-                p: 2,
-                backgroundColor: '#f8f9fa',
-                borderRadius: 1,
-              }}
-            >
-              <pre style={{ margin: 0, whiteSpace: 'pre-wrap' }}>
-                {JSON.stringify(formData, null, 2)}
-              </pre>
-            </Paper>
+            <InvoicePrint invoice={formData} seller={seller} />
           </Box>
         )}
+
+        <Dialog open={!!customerToSave} onClose={() => setCustomerToSave(null)}>
+          <DialogTitle>Save new customer?</DialogTitle>
+          <DialogContent>
+            <DialogContentText>
+              {customerToSave?.name} is not in your customer list. Save their details so they can
+              be picked on the next invoice?
+            </DialogContentText>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setCustomerToSave(null)}>Not Now</Button>
+            <Button variant="contained" onClick={handleSaveCustomer}>
+              Save Customer
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {recurringTemplate && (
+          <RecurringTemplateDialog
+            template={recurringTemplate}
+            narration={getValues('narration')}
+            onClose={() => setRecurringTemplate(null)}
+            onSave={handleSaveTemplate}
+          />
+        )}
       </Paper>
     </Container>
   );
@@ -0,0 +1,450 @@
+import { useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import PrintIcon from '@mui/icons-material/Print';
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import { countries } from '../data/mockData';
+import { DISCOUNT_TYPES, TAX_TYPES } from '../utils/tax';
+import { amountInWords } from '../utils/amountInWords';
+import {
+  DOCUMENT_LABELS,
+  DOCUMENT_SHORT_LABELS,
+  getDocumentType,
+  isQuote,
+} from '../utils/documentTypes';
+import { formatForeignCurrency } from '../utils/money';
+import { SUPPLY_DECLARATIONS, getSupplyType } from '../utils/supplyTypes';
+import { formatQuantity } from '../utils/units';
+import { downloadElementAsPdf } from '../utils/pdf';
+
+const cellSx = { border: '1px solid #bdbdbd', py: 0.5, px: 1 };
+
+const InvoicePrint = ({ invoice, seller }) => {
+  const printRef = useRef(null);
+  const documentType = getDocumentType(invoice);
+  const documentPrefix = DOCUMENT_SHORT_LABELS[documentType];
+  const [isExporting, setIsExporting] = useState(false);
+
+  const isInterState = invoice.taxType === TAX_TYPES.INTER_STATE;
+  const stateTaxLabel = invoice.stateTaxLabel || 'SGST';
+  const { exportDetails } = invoice;
+  const country = countries.find((item) => item.code === invoice.customer.country)?.name;
+  const hasCess = invoice.products.some((product) => product.cess);
+  // The seller block saved with the invoice; older invoices fall back to the
+  // branch, as do invoices saved before the logo was kept with it
+  const issuer = invoice.seller || seller;
+  const logo = issuer.logo ?? seller.logo;
+
+  const totals = invoice.taxBreakup.reduce(
+    (acc, row) => ({
+      taxableValue: acc.taxableValue + row.taxableValue,
+      cgst: acc.cgst + row.cgst,
+      sgst: acc.sgst + row.sgst,
+      igst: acc.igst + row.igst,
+      cess: acc.cess + row.cess,
+    }),
+    { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, cess: 0 }
+  );
+
+  // e.g. Credit-Note-CN-12. Slashes, common in invoice numbers, can't go in a file name.
+  const fileName = `${DOCUMENT_LABELS[documentType]} ${invoice.invoiceNo}`.replace(
+    /[\s/\\]+/g,
+    '-'
+  );
+
+  const handleDownloadPdf = async () => {
+    try {
+      setIsExporting(true);
+      await downloadElementAsPdf(printRef.current, `${fileName}.pdf`);
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Box className="no-print" sx={{ display: 'flex', gap: 2, justifyContent: 'flex-end', mb: 2 }}>
+        <Button variant="outlined" startIcon={<PrintIcon />} onClick={() => window.print()}>
+          Print
+        </Button>
+        <Button
+          variant="contained"
+          startIcon={<PictureAsPdfIcon />}
+          onClick={handleDownloadPdf}
+          disabled={isExporting}
+        >
+          {isExporting ? 'Preparing PDF...' : 'Download PDF'}
+        </Button>
+      </Box>
+
+      <Box
+        ref={printRef}
+        className="invoice-print"
+        sx={{ p: 4, backgroundColor: '#ffffff', color: '#000000', border: '1px solid #bdbdbd' }}
+      >
+        {/* Seller header */}
+        <Box sx={{ textAlign: 'center', mb: 2 }}>
+          {logo && (
+            <Box
+              component="img"
+              src={logo}
+              alt={`${issuer.name} logo`}
+              sx={{ maxHeight: 64, maxWidth: 200, mb: 1 }}
+            />
+          )}
+          <Typography variant="h6" sx={{ letterSpacing: 2 }}>
+            {DOCUMENT_LABELS[documentType].toUpperCase()}
+          </Typography>
+          {isQuote(documentType) && (
+            <Typography variant="caption" display="block">
+              This is not a tax invoice
+            </Typography>
+          )}
+          <Typography variant="h5" sx={{ fontWeight: 700 }}>
+            {issuer.name}
+          </Typography>
+          <Typography variant="body2">{issuer.address}</Typography>
+          <Typography variant="body2">
+            GSTIN: {issuer.gstin} | State: {issuer.state}
+          </Typography>
+          <Typography variant="body2">
+            {[issuer.phone, issuer.email].filter(Boolean).join(' | ')}
+          </Typography>
+          {SUPPLY_DECLARATIONS[getSupplyType(invoice)] && (
+            <Typography variant="body2" sx={{ fontWeight: 600, mt: 1 }}>
+              {SUPPLY_DECLARATIONS[getSupplyType(invoice)].toUpperCase()}
+            </Typography>
+          )}
+        </Box>
+
+        {/* Buyer and invoice details */}
+        <Grid container sx={{ border: '1px solid #bdbdbd', mb: 2 }}>
+          <Grid item xs={4} sx={{ p: 1, borderRight: '1px solid #bdbdbd' }}>
+            <Typography variant="subtitle2">Billed To</Typography>
+            <Typography variant="body2" sx={{ fontWeight: 600 }}>
+              {invoice.customer.name}
+            </Typography>
+            <Typography variant="body2">{invoice.customer.billingAddress}</Typography>
+            {country ? (
+              <Typography variant="body2">Country: {country}</Typography>
+            ) : (
+              <Typography variant="body2">State: {invoice.customer.state}</Typography>
+            )}
+            <Typography variant="body2">GSTIN: {invoice.customer.gstin || 'Unregistered'}</Typography>
+          </Grid>
+          <Grid item xs={4} sx={{ p: 1, borderRight: '1px solid #bdbdbd' }}>
+            <Typography variant="subtitle2">Shipped To</Typography>
+            <Typography variant="body2" sx={{ fontWeight: 600 }}>
+              {invoice.customer.name}
+            </Typography>
+            <Typography variant="body2">{invoice.customer.shippingAddress}</Typography>
+          </Grid>
+          <Grid item xs={4} sx={{ p: 1 }}>
+            <Typography variant="body2">
+              {documentPrefix} No: {invoice.invoiceNo}
+            </Typography>
+            <Typography variant="body2">
+              {documentPrefix} Date: {invoice.invoiceDate}
+            </Typography>
+            {invoice.validUntil && (
+              <Typography variant="body2">Valid Until: {invoice.validUntil}</Typography>
+            )}
+            {invoice.sourceQuote && (
+              <Typography variant="body2">
+                Against {DOCUMENT_LABELS[invoice.sourceQuote.documentType]}:{' '}
+                {invoice.sourceQuote.invoiceNo} dated {invoice.sourceQuote.invoiceDate}
+              </Typography>
+            )}
+            {invoice.originalInvoice && (
+              <Typography variant="body2">
+                Against Invoice: {invoice.originalInvoice.invoiceNo} dated{' '}
+                {invoice.originalInvoice.invoiceDate}
+              </Typography>
+            )}
+            {invoice.reason && (
+              <Typography variant="body2">Reason: {invoice.reason.label}</Typography>
+            )}
+            <Typography variant="body2">Place of Supply: {invoice.placeOfSupply}</Typography>
+            {exportDetails && (
+              <>
+                <Typography variant="body2">
+                  Currency: {exportDetails.currency} at ₹{exportDetails.exchangeRate}
+                </Typography>
+                {exportDetails.portCode && (
+                  <Typography variant="body2">Port Code: {exportDetails.portCode}</Typography>
+                )}
+                {exportDetails.shippingBillNo && (
+                  <Typography variant="body2">
+                    Shipping Bill: {exportDetails.shippingBillNo} dated{' '}
+                    {exportDetails.shippingBillDate}
+                  </Typography>
+                )}
+              </>
+            )}
+            {invoice.paymentMethod && (
+              <Typography variant="body2">Payment: {invoice.paymentMethod}</Typography>
+            )}
+            {invoice.dueDate && <Typography variant="body2">Due Date: {invoice.dueDate}</Typography>}
+            {/* Invoices saved before split payments kept a single transaction ID */}
+            {invoice.transactionId && (
+              <Typography variant="body2">Transaction ID: {invoice.transactionId}</Typography>
+            )}
+          </Grid>
+        </Grid>
+
+        {/* Line items */}
+        <Table size="small" sx={{ mb: 2 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={cellSx}>#</TableCell>
+              <TableCell sx={cellSx}>Description</TableCell>
+              <TableCell sx={cellSx}>HSN</TableCell>
+              <TableCell sx={cellSx} align="right">Qty</TableCell>
+              <TableCell sx={cellSx} align="right">Rate</TableCell>
+              <TableCell sx={cellSx} align="right">Discount</TableCell>
+              <TableCell sx={cellSx} align="right">Taxable Value</TableCell>
+              <TableCell sx={cellSx} align="right">GST %</TableCell>
+              {isInterState ? (
+                <TableCell sx={cellSx} align="right">IGST</TableCell>
+              ) : (
+                <>
+                  <TableCell sx={cellSx} align="right">CGST</TableCell>
+                  <TableCell sx={cellSx} align="right">{stateTaxLabel}</TableCell>
+                </>
+              )}
+              {hasCess && <TableCell sx={cellSx} align="right">Cess</TableCell>}
+              <TableCell sx={cellSx} align="right">Total</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {invoice.products.map((product, index) => (
+              <TableRow key={index}>
+                <TableCell sx={cellSx}>{index + 1}</TableCell>
+                <TableCell sx={cellSx}>{product.productName}</TableCell>
+                <TableCell sx={cellSx}>{product.hsnCode}</TableCell>
+                <TableCell sx={cellSx} align="right">{formatQuantity(product)}</TableCell>
+                <TableCell sx={cellSx} align="right">
+                  {Number(product.exclusivePrice ?? product.salePrice).toFixed(2)}
+                  {product.inclusivePrice !== undefined && (
+                    <Typography variant="caption" display="block">
+                      MRP {Number(product.inclusivePrice).toFixed(2)}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell sx={cellSx} align="right">
+                  {(product.discount.amount + product.discount.invoiceDiscountShare).toFixed(2)}
+                  {product.discount.type === DISCOUNT_TYPES.PERCENT &&
+                    product.discount.value > 0 &&
+                    ` (${product.discount.value}%)`}
+                </TableCell>
+                <TableCell sx={cellSx} align="right">{product.taxableValue.toFixed(2)}</TableCell>
+                <TableCell sx={cellSx} align="right">{product.gstRate}%</TableCell>
+                {isInterState ? (
+                  <TableCell sx={cellSx} align="right">{product.gst.igst.toFixed(2)}</TableCell>
+                ) : (
+                  <>
+                    <TableCell sx={cellSx} align="right">{product.gst.cgst.toFixed(2)}</TableCell>
+                    <TableCell sx={cellSx} align="right">{product.gst.sgst.toFixed(2)}</TableCell>
+                  </>
+                )}
+                {hasCess && (
+                  <TableCell sx={cellSx} align="right">{(product.cess || 0).toFixed(2)}</TableCell>
+                )}
+                <TableCell sx={cellSx} align="right">{product.totalValue.toFixed(2)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        {/* Tax summary */}
+        <Grid container spacing={2}>
+          <Grid item xs={7}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={cellSx}>GST Rate</TableCell>
+                  <TableCell sx={cellSx} align="right">Taxable Value</TableCell>
+                  {isInterState ? (
+                    <TableCell sx={cellSx} align="right">IGST</TableCell>
+                  ) : (
+                    <>
+                      <TableCell sx={cellSx} align="right">CGST</TableCell>
+                      <TableCell sx={cellSx} align="right">{stateTaxLabel}</TableCell>
+                    </>
+                  )}
+                  {hasCess && <TableCell sx={cellSx} align="right">Cess</TableCell>}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {invoice.taxBreakup.map((row) => (
+                  <TableRow key={row.gstRate}>
+                    <TableCell sx={cellSx}>{row.gstRate}%</TableCell>
+                    <TableCell sx={cellSx} align="right">{row.taxableValue.toFixed(2)}</TableCell>
+                    {isInterState ? (
+                      <TableCell sx={cellSx} align="right">{row.igst.toFixed(2)}</TableCell>
+                    ) : (
+                      <>
+                        <TableCell sx={cellSx} align="right">{row.cgst.toFixed(2)}</TableCell>
+                        <TableCell sx={cellSx} align="right">{row.sgst.toFixed(2)}</TableCell>
+                      </>
+                    )}
+                    {hasCess && (
+                      <TableCell sx={cellSx} align="right">{row.cess.toFixed(2)}</TableCell>
+                    )}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Grid>
+          <Grid item xs={5}>
+            <Table size="small">
+              <TableBody>
+                {invoice.invoiceDiscount && (
+                  <TableRow>
+                    <TableCell sx={cellSx}>
+                      Invoice Discount
+                      {invoice.invoiceDiscount.type === DISCOUNT_TYPES.PERCENT &&
+                        ` (${invoice.invoiceDiscount.value}%)`}
+                    </TableCell>
+                    <TableCell sx={cellSx} align="right">
+                      ₹{invoice.invoiceDiscount.amount.toFixed(2)}
+                    </TableCell>
+                  </TableRow>
+                )}
+                <TableRow>
+                  <TableCell sx={cellSx}>Taxable Value</TableCell>
+                  <TableCell sx={cellSx} align="right">₹{totals.taxableValue.toFixed(2)}</TableCell>
+                </TableRow>
+                {isInterState ? (
+                  <TableRow>
+                    <TableCell sx={cellSx}>IGST</TableCell>
+                    <TableCell sx={cellSx} align="right">₹{totals.igst.toFixed(2)}</TableCell>
+                  </TableRow>
+                ) : (
+                  <>
+                    <TableRow>
+                      <TableCell sx={cellSx}>CGST</TableCell>
+                      <TableCell sx={cellSx} align="right">₹{totals.cgst.toFixed(2)}</TableCell>
+                    </TableRow>
+                    <TableRow>
+                      <TableCell sx={cellSx}>{stateTaxLabel}</TableCell>
+                      <TableCell sx={cellSx} align="right">₹{totals.sgst.toFixed(2)}</TableCell>
+                    </TableRow>
+                  </>
+                )}
+                {hasCess && (
+                  <TableRow>
+                    <TableCell sx={cellSx}>Cess</TableCell>
+                    <TableCell sx={cellSx} align="right">₹{totals.cess.toFixed(2)}</TableCell>
+                  </TableRow>
+                )}
+                {!!invoice.roundOff && (
+                  <TableRow>
+                    <TableCell sx={cellSx}>Round Off</TableCell>
+                    <TableCell sx={cellSx} align="right">
+                      {invoice.roundOff < 0 ? '-' : '+'}₹{Math.abs(invoice.roundOff).toFixed(2)}
+                    </TableCell>
+                  </TableRow>
+                )}
+                <TableRow>
+                  <TableCell sx={{ ...cellSx, fontWeight: 700 }}>Total Amount</TableCell>
+                  <TableCell sx={{ ...cellSx, fontWeight: 700 }} align="right">
+                    ₹{invoice.totalInvoiceValue.toFixed(2)}
+                  </TableCell>
+                </TableRow>
+                {exportDetails && (
+                  <TableRow>
+                    <TableCell sx={{ ...cellSx, fontWeight: 700 }}>
+                      Total Amount ({exportDetails.currency})
+                    </TableCell>
+                    <TableCell sx={{ ...cellSx, fontWeight: 700 }} align="right">
+                      {formatForeignCurrency(
+                        exportDetails.totalInvoiceValue,
+                        exportDetails.currency
+                      )}
+                    </TableCell>
+                  </TableRow>
+                )}
+                {invoice.payments?.map((payment, index) => (
+                  <TableRow key={index}>
+                    <TableCell sx={cellSx}>
+                      Paid by {payment.mode}
+                      {payment.reference && ` (${payment.reference})`} on {payment.date}
+                    </TableCell>
+                    <TableCell sx={cellSx} align="right">
+                      ₹{payment.amount.toFixed(2)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {invoice.balanceDue > 0 && (
+                  <TableRow>
+                    <TableCell sx={{ ...cellSx, fontWeight: 700 }}>Balance Due</TableCell>
+                    <TableCell sx={{ ...cellSx, fontWeight: 700 }} align="right">
+                      ₹{invoice.balanceDue.toFixed(2)}
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </Grid>
+        </Grid>
+
+        <Typography variant="body2" sx={{ mt: 2 }}>
+          <strong>Amount in words:</strong> {invoice.amountInWords || amountInWords(invoice.totalInvoiceValue)}
+        </Typography>
+        {invoice.narration && (
+          <Typography variant="body2" sx={{ mt: 1 }}>
+            <strong>Notes:</strong> {invoice.narration}
+          </Typography>
+        )}
+
+        {issuer.bank && (
+          <Typography variant="body2" sx={{ mt: 1 }}>
+            <strong>Bank Details:</strong>{' '}
+            {[
+              issuer.bank.accountName,
+              `A/c ${issuer.bank.accountNumber}`,
+              issuer.bank.ifsc && `IFSC ${issuer.bank.ifsc}`,
+              issuer.bank.bankName,
+              issuer.bank.branchName,
+            ]
+              .filter(Boolean)
+              .join(', ')}
+          </Typography>
+        )}
+        {issuer.terms && (
+          <Box sx={{ mt: 1 }}>
+            <Typography variant="subtitle2">Terms & Conditions</Typography>
+            <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>
+              {issuer.terms}
+            </Typography>
+          </Box>
+        )}
+
+        {/* Signature */}
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 6 }}>
+          <Box sx={{ textAlign: 'center', minWidth: 220 }}>
+            <Typography variant="body2">For {issuer.name}</Typography>
+            <Box sx={{ height: 56 }} />
+            <Typography variant="body2" sx={{ borderTop: '1px solid #000000', pt: 0.5 }}>
+              Authorised Signatory
+            </Typography>
+          </Box>
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default InvoicePrint;
@@ -0,0 +1,292 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Button,
+  Chip,
+  Container,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  Grid,
+  IconButton,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import BlockIcon from '@mui/icons-material/Block';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import RemoveCircleOutlineIcon from '@mui/icons-material/RemoveCircleOutline';
+import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
+import { cancelInvoice, listInvoices } from '../storage/invoiceStore';
+import { getBusinessProfile, getLedgerMapping } from '../storage/settingsStore';
+import { getInvoiceSeller } from '../utils/businessProfile';
+import { DOCUMENT_LABELS, DOCUMENT_TYPES, INVOICE_STATUS, isNote } from '../utils/documentTypes';
+import { downloadXml } from '../utils/download';
+import { formatCurrency } from '../utils/money';
+import { toTallyXml } from '../utils/tally';
+
+const filterInvoices = (invoices, { search, fromDate, toDate }) => {
+  const term = search.trim().toLowerCase();
+  return invoices.filter(
+    (invoice) =>
+      (!term ||
+        invoice.invoiceNo.toLowerCase().includes(term) ||
+        invoice.customerName.toLowerCase().includes(term)) &&
+      (!fromDate || invoice.invoiceDate >= fromDate) &&
+      (!toDate || invoice.invoiceDate <= toDate)
+  );
+};
+
+const InvoiceRegister = ({ onEdit, onDuplicate, onCreateNote }) => {
+  const [invoices, setInvoices] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [filters, setFilters] = useState({ search: '', fromDate: '', toDate: '' });
+  const [invoiceToCancel, setInvoiceToCancel] = useState(null);
+
+  const loadInvoices = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setInvoices(await listInvoices());
+    } catch (error) {
+      console.error('Error loading invoices:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadInvoices();
+  }, [loadInvoices]);
+
+  const handleFilterChange = (name) => (event) =>
+    setFilters((current) => ({ ...current, [name]: event.target.value }));
+
+  const handleConfirmCancel = async () => {
+    try {
+      await cancelInvoice(invoiceToCancel.id);
+      await loadInvoices();
+    } catch (error) {
+      console.error('Error cancelling invoice:', error);
+    } finally {
+      setInvoiceToCancel(null);
+    }
+  };
+
+  const handleExportToTally = async (invoice) => {
+    try {
+      const [mapping, profile] = await Promise.all([getLedgerMapping(), getBusinessProfile()]);
+      const companyName = getInvoiceSeller(invoice.payload, profile).name;
+      downloadXml(
+        toTallyXml([invoice.payload], { mapping, companyName }),
+        `tally-${invoice.invoiceNo.replace(/\//g, '-')}.xml`
+      );
+    } catch (error) {
+      console.error('Error exporting invoice:', error);
+    }
+  };
+
+  const filteredInvoices = filterInvoices(invoices, filters);
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          borderRadius: 2,
+          backgroundColor: '#ffffff',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+        }}
+      >
+        <Typography
+          variant="h4"
+          gutterBottom
+          sx={{
+            color: '#1a237e',
+            fontWeight: 600,
+            mb: 4,
+            textAlign: 'center',
+          }}
+        >
+          Invoice Register
+        </Typography>
+
+        <Grid container spacing={2} sx={{ mb: 3 }}>
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              label="Search by invoice number or customer"
+              value={filters.search}
+              onChange={handleFilterChange('search')}
+              variant="outlined"
+            />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              fullWidth
+              type="date"
+              label="From Date"
+              InputLabelProps={{ shrink: true }}
+              value={filters.fromDate}
+              onChange={handleFilterChange('fromDate')}
+              variant="outlined"
+            />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              fullWidth
+              type="date"
+              label="To Date"
+              InputLabelProps={{ shrink: true }}
+              value={filters.toDate}
+              onChange={handleFilterChange('toDate')}
+              variant="outlined"
+            />
+          </Grid>
+        </Grid>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Invoice No</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell>Date</TableCell>
+              <TableCell>Customer</TableCell>
+              <TableCell align="right">Amount</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {filteredInvoices.map((invoice) => {
+              const isCancelled = invoice.status === INVOICE_STATUS.CANCELLED;
+              const documentType = invoice.documentType || DOCUMENT_TYPES.INVOICE;
+              // Notes are only issued against active tax invoices
+              const canIssueNote = !isCancelled && !isNote(documentType);
+              return (
+                <TableRow key={invoice.id} sx={{ opacity: isCancelled ? 0.6 : 1 }}>
+                  <TableCell>{invoice.invoiceNo}</TableCell>
+                  <TableCell>{DOCUMENT_LABELS[documentType]}</TableCell>
+                  <TableCell>{invoice.invoiceDate}</TableCell>
+                  <TableCell>{invoice.customerName}</TableCell>
+                  <TableCell align="right">{formatCurrency(invoice.totalInvoiceValue)}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={isCancelled ? 'Cancelled' : 'Active'}
+                      color={isCancelled ? 'default' : 'success'}
+                    />
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit">
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() => onEdit(invoice)}
+                          disabled={isCancelled}
+                        >
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Duplicate">
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() => onDuplicate(invoice)}
+                          disabled={isNote(documentType)}
+                        >
+                          <ContentCopyIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Issue Credit Note">
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() => onCreateNote(invoice, DOCUMENT_TYPES.CREDIT_NOTE)}
+                          disabled={!canIssueNote}
+                        >
+                          <RemoveCircleOutlineIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Issue Debit Note">
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() => onCreateNote(invoice, DOCUMENT_TYPES.DEBIT_NOTE)}
+                          disabled={!canIssueNote}
+                        >
+                          <AddCircleOutlineIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Export to Tally">
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleExportToTally(invoice)}
+                          disabled={isCancelled}
+                        >
+                          <FileDownloadIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Cancel">
+                      <span>
+                        <IconButton
+                          size="small"
+                          color="error"
+                          onClick={() => setInvoiceToCancel(invoice)}
+                          disabled={isCancelled}
+                        >
+                          <BlockIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+            {!isLoading && filteredInvoices.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={7} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    No invoices found
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      <Dialog open={!!invoiceToCancel} onClose={() => setInvoiceToCancel(null)}>
+        <DialogTitle>Cancel invoice {invoiceToCancel?.invoiceNo}?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The invoice stays in the register marked as cancelled and can no longer be edited.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setInvoiceToCancel(null)}>Keep</Button>
+          <Button color="error" onClick={handleConfirmCancel}>
+            Cancel Invoice
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default InvoiceRegister;
@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { Button, Card, CardContent, Grid, TextField, Typography } from '@mui/material';
+import { ledgerMappingSchema } from '../schemas/settingsSchema';
+import { getLedgerMapping, saveLedgerMapping } from '../storage/settingsStore';
+import { defaultLedgerMapping } from '../utils/journal';
+
+const LEDGER_FIELDS = [
+  { name: 'sales', label: 'Sales Ledger' },
+  { name: 'cgst', label: 'CGST Ledger' },
+  { name: 'sgst', label: 'SGST Ledger' },
+  { name: 'utgst', label: 'UTGST Ledger' },
+  { name: 'igst', label: 'IGST Ledger' },
+  { name: 'cess', label: 'Cess Ledger' },
+  { name: 'roundOff', label: 'Round Off Ledger' },
+];
+
+const LedgerMappingSettings = () => {
+  const [saveMessage, setSaveMessage] = useState('');
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(ledgerMappingSchema),
+    defaultValues: defaultLedgerMapping,
+  });
+
+  useEffect(() => {
+    getLedgerMapping()
+      .then(reset)
+      .catch((error) => console.error('Error loading ledger mapping:', error));
+  }, [reset]);
+
+  const onSubmit = async (data) => {
+    try {
+      await saveLedgerMapping(data);
+      setSaveMessage('Ledger mapping saved');
+    } catch (error) {
+      console.error('Error saving ledger mapping:', error);
+      setSaveMessage('The ledger mapping could not be saved');
+    }
+  };
+
+  return (
+    <Card elevation={0} sx={{ backgroundColor: '#f5f5f5', mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" sx={{ color: '#1a237e', mb: 2 }}>
+          Accounting Ledgers
+        </Typography>
+        <form onSubmit={handleSubmit(onSubmit)}>
+          <Grid container spacing={3} alignItems="center">
+            {LEDGER_FIELDS.map(({ name, label }) => (
+              <Grid item xs={12} md={4} key={name}>
+                <TextField
+                  fullWidth
+                  label={label}
+                  {...register(name)}
+                  error={!!errors[name]}
+                  helperText={errors[name]?.message}
+                  variant="outlined"
+                  sx={{ backgroundColor: '#ffffff' }}
+                />
+              </Grid>
+            ))}
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                label="Party Ledger"
+                {...register('party')}
+                error={!!errors.party}
+                helperText={errors.party?.message || 'Leave blank to use the customer name'}
+                variant="outlined"
+                sx={{ backgroundColor: '#ffffff' }}
+              />
+            </Grid>
+            <Grid item xs={12} md={4} sx={{ textAlign: 'right' }}>
+              <Button type="submit" variant="contained" disabled={isSubmitting}>
+                Save Ledgers
+              </Button>
+              {saveMessage && (
+                <Typography variant="caption" display="block" sx={{ mt: 1 }}>
+                  {saveMessage}
+                </Typography>
+              )}
+            </Grid>
+          </Grid>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LedgerMappingSettings;
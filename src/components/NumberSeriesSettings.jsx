@@ -0,0 +1,156 @@
+import { useState, useEffect } from 'react';
+import { useForm, Controller } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Button,
+  Card,
+  CardContent,
+  FormControl,
+  FormControlLabel,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { numberSeriesSchema } from '../schemas/settingsSchema';
+import { getNumberSeries, saveNumberSeries } from '../storage/settingsStore';
+import { DOCUMENT_LABELS, DOCUMENT_TYPES } from '../utils/documentTypes';
+import {
+  MAX_INVOICE_NO_LENGTH,
+  formatInvoiceNumber,
+  getDefaultNumberSeries,
+  getFinancialYear,
+} from '../utils/invoiceNumber';
+
+const NumberSeriesSettings = ({ documentType = DOCUMENT_TYPES.INVOICE }) => {
+  const label = DOCUMENT_LABELS[documentType];
+  const [saveMessage, setSaveMessage] = useState('');
+
+  const {
+    register,
+    handleSubmit,
+    control,
+    watch,
+    reset,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(numberSeriesSchema),
+    defaultValues: getDefaultNumberSeries(documentType),
+  });
+
+  useEffect(() => {
+    getNumberSeries(documentType)
+      .then(reset)
+      .catch((error) => console.error('Error loading number series:', error));
+  }, [documentType, reset]);
+
+  const watchSeries = watch();
+  const preview = formatInvoiceNumber(
+    { ...watchSeries, padding: Number(watchSeries.padding) || 0 },
+    getFinancialYear(),
+    1
+  );
+
+  const onSubmit = async (data) => {
+    try {
+      await saveNumberSeries(data, documentType);
+      setSaveMessage('Number series saved');
+    } catch (error) {
+      console.error('Error saving number series:', error);
+      setSaveMessage('The number series could not be saved');
+    }
+  };
+
+  return (
+    <Card elevation={0} sx={{ backgroundColor: '#f5f5f5', mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" sx={{ color: '#1a237e', mb: 2 }}>
+          {label} Number Series
+        </Typography>
+        <form onSubmit={handleSubmit(onSubmit)}>
+          <Grid container spacing={3} alignItems="center">
+            <Grid item xs={12} md={3}>
+              <TextField
+                fullWidth
+                label="Prefix"
+                {...register('prefix')}
+                error={!!errors.prefix}
+                helperText={errors.prefix?.message}
+                variant="outlined"
+                sx={{ backgroundColor: '#ffffff' }}
+              />
+            </Grid>
+            <Grid item xs={12} md={3}>
+              <Controller
+                name="includeFinancialYear"
+                control={control}
+                render={({ field }) => (
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={field.value}
+                        onChange={(e) => field.onChange(e.target.checked)}
+                      />
+                    }
+                    label="Include financial year"
+                  />
+                )}
+              />
+            </Grid>
+            <Grid item xs={12} md={3} sx={{ minWidth: '112px' }}>
+              <Controller
+                name="separator"
+                control={control}
+                render={({ field }) => (
+                  <FormControl fullWidth>
+                    <InputLabel>Separator</InputLabel>
+                    <Select {...field} label="Separator" sx={{ backgroundColor: '#ffffff' }}>
+                      <MenuItem value="/">/</MenuItem>
+                      <MenuItem value="-">-</MenuItem>
+                      <MenuItem value="">
+                        <em>None</em>
+                      </MenuItem>
+                    </Select>
+                  </FormControl>
+                )}
+              />
+            </Grid>
+            <Grid item xs={12} md={3}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Number Padding"
+                {...register('padding', { valueAsNumber: true })}
+                error={!!errors.padding}
+                helperText={errors.padding?.message}
+                variant="outlined"
+                sx={{ backgroundColor: '#ffffff' }}
+              />
+            </Grid>
+            <Grid item xs={12} md={8}>
+              <Typography variant="body2" color="text.secondary">
+                First {label.toLowerCase()} of {getFinancialYear()}: <strong>{preview}</strong> (
+                {preview.length} of {MAX_INVOICE_NO_LENGTH} characters)
+              </Typography>
+            </Grid>
+            <Grid item xs={12} md={4} sx={{ textAlign: 'right' }}>
+              <Button type="submit" variant="contained" disabled={isSubmitting}>
+                Save Series
+              </Button>
+              {saveMessage && (
+                <Typography variant="caption" display="block" sx={{ mt: 1 }}>
+                  {saveMessage}
+                </Typography>
+              )}
+            </Grid>
+          </Grid>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NumberSeriesSettings;
@@ -0,0 +1,343 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useForm, Controller } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Button,
+  Card,
+  CardContent,
+  Container,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { createReceiptSchema, emptyPayment } from '../schemas/invoiceSchema';
+import { ConflictError } from '../storage/errors';
+import { listInvoices, recordPayment } from '../storage/invoiceStore';
+import { getToday } from '../utils/dates';
+import { formatCurrency, fromPaise, toPaise } from '../utils/money';
+import {
+  CASH_MODE,
+  PAYMENT_MODES,
+  getAgeingSummary,
+  getOutstandingInvoices,
+} from '../utils/payments';
+
+const ReceiptDialog = ({ invoice, onClose, onSaved }) => {
+  const [submitError, setSubmitError] = useState('');
+  const schema = createReceiptSchema({
+    balanceDue: invoice.balanceDue,
+    invoiceDate: invoice.invoiceDate,
+  });
+
+  const {
+    register,
+    handleSubmit,
+    control,
+    watch,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(schema),
+    defaultValues: { ...emptyPayment, amount: invoice.balanceDue, date: getToday() },
+  });
+
+  const watchMode = watch('mode');
+  const history = [...(invoice.payload.payments || []), ...(invoice.receipts || [])];
+
+  const onSubmit = async (data) => {
+    try {
+      setSubmitError('');
+      await recordPayment(invoice.id, data);
+      onSaved();
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      setSubmitError(
+        error instanceof ConflictError
+          ? 'This invoice was changed elsewhere. Close this dialog and record the payment again.'
+          : 'The payment could not be recorded. Please try again.'
+      );
+    }
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+      <form onSubmit={handleSubmit(onSubmit)}>
+        <DialogTitle>Record Payment for {invoice.invoiceNo}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            {invoice.customerName} · Balance due {formatCurrency(invoice.balanceDue)}
+          </Typography>
+          {history.length > 0 && (
+            <Table size="small" sx={{ mb: 2 }}>
+              <TableBody>
+                {history.map((payment, index) => (
+                  <TableRow key={payment.id || index}>
+                    <TableCell>{payment.date}</TableCell>
+                    <TableCell>
+                      {payment.mode}
+                      {payment.reference && ` (${payment.reference})`}
+                    </TableCell>
+                    <TableCell align="right">{formatCurrency(payment.amount)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+          <Grid container spacing={2} sx={{ pt: 1 }}>
+            <Grid item xs={12} md={6} sx={{ minWidth: '122px' }}>
+              <Controller
+                name="mode"
+                control={control}
+                render={({ field }) => (
+                  <FormControl fullWidth>
+                    <InputLabel>Mode</InputLabel>
+                    <Select {...field} label="Mode">
+                      {PAYMENT_MODES.map((mode) => (
+                        <MenuItem key={mode} value={mode}>
+                          {mode}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                )}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Amount"
+                {...register('amount', { valueAsNumber: true })}
+                error={!!errors.amount}
+                helperText={errors.amount?.message}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                label={watchMode === CASH_MODE ? 'Reference (Optional)' : 'Reference'}
+                {...register('reference')}
+                error={!!errors.reference}
+                helperText={errors.reference?.message}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                type="date"
+                label="Date"
+                InputLabelProps={{ shrink: true }}
+                {...register('date')}
+                error={!!errors.date}
+                helperText={errors.date?.message}
+              />
+            </Grid>
+          </Grid>
+          {submitError && (
+            <Typography color="error" variant="body2" sx={{ mt: 2 }}>
+              {submitError}
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={isSubmitting}>
+            Record Payment
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+const OutstandingReport = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [asOfDate, setAsOfDate] = useState(getToday);
+  const [search, setSearch] = useState('');
+  // The outstanding invoice a payment is being recorded against
+  const [payingInvoice, setPayingInvoice] = useState(null);
+
+  const loadInvoices = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setInvoices(await listInvoices());
+    } catch (error) {
+      console.error('Error loading invoices:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadInvoices();
+  }, [loadInvoices]);
+
+  // Reloads on every close, so a dialog dismissed after a conflict shows the
+  // latest balance
+  const handleClose = async () => {
+    setPayingInvoice(null);
+    await loadInvoices();
+  };
+
+  const term = search.trim().toLowerCase();
+  const outstanding = getOutstandingInvoices(invoices, asOfDate || getToday()).filter(
+    (invoice) => !term || invoice.customerName.toLowerCase().includes(term)
+  );
+  const ageing = getAgeingSummary(outstanding);
+  const totalDue = fromPaise(
+    outstanding.reduce((total, invoice) => total + toPaise(invoice.balanceDue), 0)
+  );
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          borderRadius: 2,
+          backgroundColor: '#ffffff',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+        }}
+      >
+        <Typography
+          variant="h4"
+          gutterBottom
+          sx={{
+            color: '#1a237e',
+            fontWeight: 600,
+            mb: 4,
+            textAlign: 'center',
+          }}
+        >
+          Outstanding
+        </Typography>
+
+        <Grid container spacing={2} sx={{ mb: 3 }}>
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              label="Search by customer"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              variant="outlined"
+            />
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <TextField
+              fullWidth
+              type="date"
+              label="Ageing As Of"
+              InputLabelProps={{ shrink: true }}
+              value={asOfDate}
+              onChange={(e) => setAsOfDate(e.target.value)}
+              variant="outlined"
+            />
+          </Grid>
+        </Grid>
+
+        <Card elevation={0} sx={{ backgroundColor: '#f5f5f5', mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" sx={{ color: '#1a237e', mb: 2 }}>
+              Ageing
+            </Typography>
+            <Grid container spacing={3}>
+              {ageing.map((bucket) => (
+                <Grid item xs={6} md={2} key={bucket.id}>
+                  <Typography variant="subtitle1" color="text.secondary">
+                    {bucket.label}
+                  </Typography>
+                  <Typography variant="h6" color="primary">
+                    {formatCurrency(bucket.balanceDue)}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {bucket.count} invoice{bucket.count === 1 ? '' : 's'}
+                  </Typography>
+                </Grid>
+              ))}
+              <Grid item xs={6} md={2}>
+                <Typography variant="subtitle1" color="text.secondary">
+                  Total Due
+                </Typography>
+                <Typography variant="h6" color="primary" sx={{ fontWeight: 'bold' }}>
+                  {formatCurrency(totalDue)}
+                </Typography>
+              </Grid>
+            </Grid>
+          </CardContent>
+        </Card>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Invoice No</TableCell>
+              <TableCell>Date</TableCell>
+              <TableCell>Customer</TableCell>
+              <TableCell>Due Date</TableCell>
+              <TableCell align="right">Days Overdue</TableCell>
+              <TableCell align="right">Total</TableCell>
+              <TableCell align="right">Notes</TableCell>
+              <TableCell align="right">Received</TableCell>
+              <TableCell align="right">Balance</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {outstanding.map((invoice) => (
+              <TableRow key={invoice.id}>
+                <TableCell>{invoice.invoiceNo}</TableCell>
+                <TableCell>{invoice.invoiceDate}</TableCell>
+                <TableCell>{invoice.customerName}</TableCell>
+                <TableCell>{invoice.dueDate}</TableCell>
+                <TableCell align="right">{invoice.daysOverdue || '—'}</TableCell>
+                <TableCell align="right">{formatCurrency(invoice.totalInvoiceValue)}</TableCell>
+                <TableCell align="right">
+                  {invoice.adjustments ? formatCurrency(invoice.adjustments) : '—'}
+                </TableCell>
+                <TableCell align="right">{formatCurrency(invoice.amountReceived)}</TableCell>
+                <TableCell align="right">{formatCurrency(invoice.balanceDue)}</TableCell>
+                <TableCell align="right">
+                  <Button size="small" onClick={() => setPayingInvoice(invoice)}>
+                    Record Payment
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+            {!isLoading && outstanding.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={10} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    Nothing outstanding
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      {payingInvoice && (
+        <ReceiptDialog
+          invoice={payingInvoice}
+          onClose={handleClose}
+          onSaved={handleClose}
+        />
+      )}
+    </Container>
+  );
+};
+
+export default OutstandingReport;
@@ -0,0 +1,421 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useForm, Controller } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Box,
+  Button,
+  Chip,
+  Container,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  FormControlLabel,
+  Grid,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import ArchiveIcon from '@mui/icons-material/Archive';
+import UnarchiveIcon from '@mui/icons-material/Unarchive';
+import { units } from '../data/mockData';
+import { catalogProductSchema, emptyCatalogProduct } from '../schemas/catalogSchema';
+import { ValidationError } from '../storage/errors';
+import { listProducts, saveProduct, setProductArchived } from '../storage/productStore';
+import { GST_RATES } from '../utils/tax';
+
+const ProductDialog = ({ product, onClose, onSaved }) => {
+  const [submitError, setSubmitError] = useState('');
+  const {
+    register,
+    handleSubmit,
+    control,
+    watch,
+    setError,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(catalogProductSchema),
+    defaultValues: {
+      ...emptyCatalogProduct,
+      ...product,
+      prices: { ...emptyCatalogProduct.prices, ...product?.prices },
+    },
+  });
+
+  const watchCodeType = watch('codeType');
+
+  const onSubmit = async (data) => {
+    try {
+      setSubmitError('');
+      await saveProduct(data);
+      onSaved();
+    } catch (error) {
+      console.error('Error saving product:', error);
+      if (error instanceof ValidationError) {
+        Object.entries(error.fields).forEach(([name, message]) =>
+          setError(name, { type: 'server', message })
+        );
+        setSubmitError('The server rejected some fields. Correct them and try again.');
+      } else {
+        setSubmitError('The product could not be saved. Please try again.');
+      }
+    }
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="md" fullWidth>
+      <form onSubmit={handleSubmit(onSubmit)}>
+        <DialogTitle>{product?.id ? 'Edit Product' : 'New Product'}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ pt: 1 }}>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                label="Product / Service Name"
+                {...register('name')}
+                error={!!errors.name}
+                helperText={errors.name?.message}
+              />
+            </Grid>
+            <Grid item xs={6} md={2} sx={{ minWidth: '112px' }}>
+              <Controller
+                name="codeType"
+                control={control}
+                render={({ field }) => (
+                  <FormControl fullWidth>
+                    <InputLabel>Type</InputLabel>
+                    <Select {...field} label="Type">
+                      <MenuItem value="HSN">Goods (HSN)</MenuItem>
+                      <MenuItem value="SAC">Service (SAC)</MenuItem>
+                    </Select>
+                  </FormControl>
+                )}
+              />
+            </Grid>
+            <Grid item xs={6} md={4}>
+              <TextField
+                fullWidth
+                label={watchCodeType === 'SAC' ? 'SAC Code' : 'HSN Code'}
+                {...register('hsnCode')}
+                error={!!errors.hsnCode}
+                helperText={errors.hsnCode?.message}
+              />
+            </Grid>
+            <Grid item xs={6} md={3} sx={{ minWidth: '112px' }}>
+              <Controller
+                name="unit"
+                control={control}
+                render={({ field }) => (
+                  <FormControl fullWidth error={!!errors.unit}>
+                    <InputLabel>Unit</InputLabel>
+                    <Select {...field} label="Unit">
+                      {units.map((unit) => (
+                        <MenuItem key={unit.code} value={unit.code}>
+                          {unit.code} - {unit.name}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                )}
+              />
+            </Grid>
+            <Grid item xs={6} md={3} sx={{ minWidth: '112px' }}>
+              <Controller
+                name="gstRate"
+                control={control}
+                render={({ field }) => (
+                  <FormControl fullWidth error={!!errors.gstRate}>
+                    <InputLabel>GST Rate</InputLabel>
+                    <Select {...field} label="GST Rate">
+                      {GST_RATES.map((rate) => (
+                        <MenuItem key={rate} value={rate}>
+                          {rate}%
+                        </MenuItem>
+                      ))}
+                    </Select>
+                    {errors.gstRate && (
+                      <Typography color="error" variant="caption">
+                        {errors.gstRate.message}
+                      </Typography>
+                    )}
+                  </FormControl>
+                )}
+              />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Cess %"
+                {...register('cessRate', { valueAsNumber: true })}
+                error={!!errors.cessRate}
+                helperText={errors.cessRate?.message}
+              />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Cess per Unit"
+                {...register('cessPerUnit', { valueAsNumber: true })}
+                error={!!errors.cessPerUnit}
+                helperText={errors.cessPerUnit?.message}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Default Price"
+                {...register('salePrice', { valueAsNumber: true })}
+                error={!!errors.salePrice}
+                helperText={errors.salePrice?.message}
+              />
+            </Grid>
+            <Grid item xs={6} md={4}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Retail Price"
+                {...register('prices.retail')}
+                error={!!errors.prices?.retail}
+                helperText={errors.prices?.retail?.message || 'Blank uses the default price'}
+              />
+            </Grid>
+            <Grid item xs={6} md={4}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Wholesale Price"
+                {...register('prices.wholesale')}
+                error={!!errors.prices?.wholesale}
+                helperText={errors.prices?.wholesale?.message || 'Blank uses the default price'}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <Controller
+                name="priceIncludesTax"
+                control={control}
+                render={({ field }) => (
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={field.value}
+                        onChange={(e) => field.onChange(e.target.checked)}
+                      />
+                    }
+                    label="Prices include GST (MRP)"
+                  />
+                )}
+              />
+            </Grid>
+          </Grid>
+          {submitError && (
+            <Typography color="error" variant="body2" sx={{ mt: 2 }}>
+              {submitError}
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={isSubmitting}>
+            Save Product
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+const ProductCatalog = () => {
+  const [catalog, setCatalog] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+  // `null` when the dialog is closed, `{}` for a new product
+  const [editingProduct, setEditingProduct] = useState(null);
+
+  const loadCatalog = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setCatalog(await listProducts({ includeArchived: true }));
+    } catch (error) {
+      console.error('Error loading products:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCatalog();
+  }, [loadCatalog]);
+
+  const handleSaved = async () => {
+    setEditingProduct(null);
+    await loadCatalog();
+  };
+
+  const handleToggleArchived = async (product) => {
+    try {
+      await setProductArchived(product, !product.archived);
+      await loadCatalog();
+    } catch (error) {
+      console.error('Error archiving product:', error);
+    }
+  };
+
+  const term = search.trim().toLowerCase();
+  const filteredCatalog = catalog.filter(
+    (product) =>
+      (showArchived || !product.archived) &&
+      (!term || product.name.toLowerCase().includes(term) || product.hsnCode.includes(term))
+  );
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          borderRadius: 2,
+          backgroundColor: '#ffffff',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+        }}
+      >
+        <Typography
+          variant="h4"
+          gutterBottom
+          sx={{
+            color: '#1a237e',
+            fontWeight: 600,
+            mb: 4,
+            textAlign: 'center',
+          }}
+        >
+          Product Catalog
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 2, mb: 3, alignItems: 'center' }}>
+          <TextField
+            fullWidth
+            label="Search by name or HSN/SAC code"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            variant="outlined"
+          />
+          <FormControlLabel
+            control={
+              <Switch checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+            }
+            label="Archived"
+          />
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => setEditingProduct({})}
+            sx={{ whiteSpace: 'nowrap', px: 3 }}
+          >
+            New Product
+          </Button>
+        </Box>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>HSN/SAC</TableCell>
+              <TableCell>Unit</TableCell>
+              <TableCell align="right">Default</TableCell>
+              <TableCell align="right">Retail</TableCell>
+              <TableCell align="right">Wholesale</TableCell>
+              <TableCell align="right">GST</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {filteredCatalog.map((product) => (
+              <TableRow key={product.id} sx={{ opacity: product.archived ? 0.6 : 1 }}>
+                <TableCell>
+                  {product.name}{' '}
+                  {product.archived && <Chip size="small" label="Archived" sx={{ ml: 1 }} />}
+                </TableCell>
+                <TableCell>
+                  {product.codeType} {product.hsnCode}
+                </TableCell>
+                <TableCell>{product.unit}</TableCell>
+                <TableCell align="right">
+                  ₹{Number(product.salePrice).toFixed(2)}
+                  {product.priceIncludesTax && (
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      incl. GST
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell align="right">
+                  {product.prices?.retail !== undefined
+                    ? `₹${Number(product.prices.retail).toFixed(2)}`
+                    : '—'}
+                </TableCell>
+                <TableCell align="right">
+                  {product.prices?.wholesale !== undefined
+                    ? `₹${Number(product.prices.wholesale).toFixed(2)}`
+                    : '—'}
+                </TableCell>
+                <TableCell align="right">{product.gstRate}%</TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Edit">
+                    <IconButton size="small" onClick={() => setEditingProduct(product)}>
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={product.archived ? 'Restore' : 'Archive'}>
+                    <IconButton size="small" onClick={() => handleToggleArchived(product)}>
+                      {product.archived ? (
+                        <UnarchiveIcon fontSize="small" />
+                      ) : (
+                        <ArchiveIcon fontSize="small" />
+                      )}
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+            {!isLoading && filteredCatalog.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={8} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    No products found
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      {editingProduct && (
+        <ProductDialog
+          product={editingProduct}
+          onClose={() => setEditingProduct(null)}
+          onSaved={handleSaved}
+        />
+      )}
+    </Container>
+  );
+};
+
+export default ProductCatalog;
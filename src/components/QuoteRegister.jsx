@@ -0,0 +1,233 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Container,
+  Grid,
+  IconButton,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import ReceiptLongIcon from '@mui/icons-material/ReceiptLong';
+import {
+  QUOTE_STATUS,
+  QUOTE_STATUS_LABELS,
+  getQuoteStatus,
+  listQuotes,
+  setQuoteStatus,
+} from '../storage/quoteStore';
+import { getToday } from '../utils/dates';
+import { DOCUMENT_LABELS, DOCUMENT_TYPES } from '../utils/documentTypes';
+import { formatCurrency } from '../utils/money';
+
+const STATUS_COLORS = {
+  [QUOTE_STATUS.DRAFT]: 'default',
+  [QUOTE_STATUS.SENT]: 'info',
+  [QUOTE_STATUS.ACCEPTED]: 'success',
+  [QUOTE_STATUS.EXPIRED]: 'warning',
+};
+
+// Statuses set by hand; accepted comes from converting and expired from the date
+const EDITABLE_STATUSES = [QUOTE_STATUS.DRAFT, QUOTE_STATUS.SENT];
+
+const QuoteRegister = ({ onCreate, onEdit, onConvert }) => {
+  const [quotes, setQuotes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [search, setSearch] = useState('');
+
+  const loadQuotes = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setQuotes(await listQuotes());
+    } catch (error) {
+      console.error('Error loading quotations:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadQuotes();
+  }, [loadQuotes]);
+
+  const handleStatusChange = async (quote, status) => {
+    try {
+      await setQuoteStatus(quote.id, status);
+      await loadQuotes();
+    } catch (error) {
+      console.error('Error updating quotation:', error);
+    }
+  };
+
+  const today = getToday();
+  const term = search.trim().toLowerCase();
+  const filteredQuotes = quotes.filter(
+    (quote) =>
+      !term ||
+      quote.invoiceNo.toLowerCase().includes(term) ||
+      quote.customerName.toLowerCase().includes(term)
+  );
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          borderRadius: 2,
+          backgroundColor: '#ffffff',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+        }}
+      >
+        <Typography
+          variant="h4"
+          gutterBottom
+          sx={{
+            color: '#1a237e',
+            fontWeight: 600,
+            mb: 4,
+            textAlign: 'center',
+          }}
+        >
+          Quotations
+        </Typography>
+
+        <Grid container spacing={2} sx={{ mb: 3 }} alignItems="center">
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              label="Search by number or customer"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              variant="outlined"
+            />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={() => onCreate(DOCUMENT_TYPES.QUOTATION)}
+              >
+                New Quotation
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<AddIcon />}
+                onClick={() => onCreate(DOCUMENT_TYPES.PROFORMA)}
+              >
+                New Proforma
+              </Button>
+            </Box>
+          </Grid>
+        </Grid>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Number</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell>Date</TableCell>
+              <TableCell>Valid Until</TableCell>
+              <TableCell>Customer</TableCell>
+              <TableCell align="right">Amount</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {filteredQuotes.map((quote) => {
+              const status = getQuoteStatus(quote, today);
+              const isConverted = !!quote.convertedInvoice;
+              return (
+                <TableRow key={quote.id}>
+                  <TableCell>{quote.invoiceNo}</TableCell>
+                  <TableCell>{DOCUMENT_LABELS[quote.documentType]}</TableCell>
+                  <TableCell>{quote.invoiceDate}</TableCell>
+                  <TableCell>{quote.validUntil}</TableCell>
+                  <TableCell>{quote.customerName}</TableCell>
+                  <TableCell align="right">{formatCurrency(quote.totalInvoiceValue)}</TableCell>
+                  <TableCell>
+                    {EDITABLE_STATUSES.includes(status) ? (
+                      <Select
+                        size="small"
+                        variant="standard"
+                        value={status}
+                        onChange={(e) => handleStatusChange(quote, e.target.value)}
+                      >
+                        {EDITABLE_STATUSES.map((item) => (
+                          <MenuItem key={item} value={item}>
+                            {QUOTE_STATUS_LABELS[item]}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    ) : (
+                      <Chip
+                        size="small"
+                        label={QUOTE_STATUS_LABELS[status]}
+                        color={STATUS_COLORS[status]}
+                      />
+                    )}
+                    {isConverted && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        Invoiced as {quote.convertedInvoice.invoiceNo}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit">
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() => onEdit(quote)}
+                          disabled={isConverted}
+                        >
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Convert to Invoice">
+                      <span>
+                        <IconButton
+                          size="small"
+                          color="primary"
+                          onClick={() => onConvert(quote)}
+                          disabled={isConverted}
+                        >
+                          <ReceiptLongIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+            {!isLoading && filteredQuotes.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={8} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    No quotations found
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Paper>
+    </Container>
+  );
+};
+
+export default QuoteRegister;
@@ -0,0 +1,144 @@
+import { useForm, Controller } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { emptySchedule, recurringTemplateSchema, scheduleSchema } from '../schemas/recurringSchema';
+import {
+  FREQUENCIES,
+  FREQUENCY_LABELS,
+  PLACEHOLDERS,
+  fillPlaceholders,
+  getNextOccurrence,
+} from '../utils/recurrence';
+
+const RecurringTemplateDialog = ({ template, narration, onClose, onSave }) => {
+  const {
+    register,
+    handleSubmit,
+    control,
+    watch,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(recurringTemplateSchema),
+    defaultValues: {
+      name: template.name || '',
+      schedule: { ...emptySchedule, ...template.schedule },
+    },
+  });
+
+  const watchSchedule = watch('schedule');
+  const parsedSchedule = scheduleSchema.safeParse(watchSchedule);
+  const nextDate = parsedSchedule.success
+    ? getNextOccurrence(parsedSchedule.data, template.lastGeneratedDate)
+    : null;
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+      <form onSubmit={handleSubmit(onSave)}>
+        <DialogTitle>{template.id ? 'Edit Recurring Schedule' : 'Save as Recurring'}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ pt: 1 }}>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Template Name"
+                {...register('name')}
+                error={!!errors.name}
+                helperText={errors.name?.message}
+              />
+            </Grid>
+            <Grid item xs={12} md={6} sx={{ minWidth: '122px' }}>
+              <Controller
+                name="schedule.frequency"
+                control={control}
+                render={({ field }) => (
+                  <FormControl fullWidth>
+                    <InputLabel>Frequency</InputLabel>
+                    <Select {...field} label="Frequency">
+                      {Object.values(FREQUENCIES).map((frequency) => (
+                        <MenuItem key={frequency} value={frequency}>
+                          {FREQUENCY_LABELS[frequency]}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                )}
+              />
+            </Grid>
+            {watchSchedule.frequency === FREQUENCIES.CUSTOM_DAY && (
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Day of Month"
+                  inputProps={{ min: 1, max: 31 }}
+                  {...register('schedule.dayOfMonth')}
+                  error={!!errors.schedule?.dayOfMonth}
+                  helperText={
+                    errors.schedule?.dayOfMonth?.message || 'Shorter months use their last day'
+                  }
+                />
+              </Grid>
+            )}
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                type="date"
+                label="Start Date"
+                InputLabelProps={{ shrink: true }}
+                {...register('schedule.startDate')}
+                error={!!errors.schedule?.startDate}
+                helperText={errors.schedule?.startDate?.message}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                type="date"
+                label="End Date (Optional)"
+                InputLabelProps={{ shrink: true }}
+                {...register('schedule.endDate')}
+                error={!!errors.schedule?.endDate}
+                helperText={errors.schedule?.endDate?.message}
+              />
+            </Grid>
+          </Grid>
+          {parsedSchedule.success && (
+            <Typography variant="body2" sx={{ mt: 2 }}>
+              {nextDate ? `Next invoice on ${nextDate}` : 'No further invoices on this schedule'}
+            </Typography>
+          )}
+          {narration && nextDate && (
+            <Typography variant="body2" color="text.secondary">
+              Narration: {fillPlaceholders(narration, nextDate)}
+            </Typography>
+          )}
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+            Use {Object.keys(PLACEHOLDERS).join(' and ')} in the narration for the invoice&apos;s
+            month and year. Due invoices are queued in Drafts for review when the app opens.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={isSubmitting}>
+            Save Template
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default RecurringTemplateDialog;
@@ -0,0 +1,235 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Container,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  IconButton,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import RecurringTemplateDialog from './RecurringTemplateDialog';
+import {
+  deleteTemplate,
+  generateDueInvoices,
+  listTemplates,
+  saveTemplate,
+  setTemplateActive,
+} from '../storage/recurringStore';
+import { describeSchedule, getNextOccurrence } from '../utils/recurrence';
+
+const RecurringTemplates = ({ onReview }) => {
+  const [templates, setTemplates] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [templateToDelete, setTemplateToDelete] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setTemplates(await listTemplates());
+    } catch (error) {
+      console.error('Error loading recurring templates:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  const handleSave = async ({ name, schedule }) => {
+    try {
+      await saveTemplate({ id: editingTemplate.id, name, schedule });
+      setEditingTemplate(null);
+      await loadTemplates();
+    } catch (error) {
+      console.error('Error saving recurring template:', error);
+    }
+  };
+
+  const handleToggleActive = async (template) => {
+    try {
+      await setTemplateActive(template.id, !template.active);
+      await loadTemplates();
+    } catch (error) {
+      console.error('Error updating recurring template:', error);
+    }
+  };
+
+  const handleConfirmDelete = async () => {
+    try {
+      await deleteTemplate(templateToDelete.id);
+      await loadTemplates();
+    } catch (error) {
+      console.error('Error deleting recurring template:', error);
+    } finally {
+      setTemplateToDelete(null);
+    }
+  };
+
+  const handleGenerate = async () => {
+    try {
+      const queued = await generateDueInvoices();
+      setMessage(
+        queued.length
+          ? `${queued.length} invoice${queued.length === 1 ? '' : 's'} queued in Drafts`
+          : 'No invoices are due'
+      );
+      await loadTemplates();
+    } catch (error) {
+      console.error('Error generating recurring invoices:', error);
+      setMessage('Due invoices could not be generated');
+    }
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Paper
+        elevation={3}
+        sx={{
+          p: 4,
+          borderRadius: 2,
+          backgroundColor: '#ffffff',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+        }}
+      >
+        <Typography
+          variant="h4"
+          gutterBottom
+          sx={{
+            color: '#1a237e',
+            fontWeight: 600,
+            mb: 4,
+            textAlign: 'center',
+          }}
+        >
+          Recurring Invoices
+        </Typography>
+
+        <Box
+          sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}
+        >
+          <Typography variant="body2" color="text.secondary">
+            Save an invoice as recurring from the invoice form. Due invoices are queued in Drafts
+            for review each time the app opens.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, flexShrink: 0 }}>
+            <Button variant="outlined" onClick={handleGenerate}>
+              Check Now
+            </Button>
+            <Button variant="contained" onClick={onReview}>
+              Review Drafts
+            </Button>
+          </Box>
+        </Box>
+        {message && (
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            {message}
+          </Typography>
+        )}
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Template</TableCell>
+              <TableCell>Customer</TableCell>
+              <TableCell>Schedule</TableCell>
+              <TableCell>Last Generated</TableCell>
+              <TableCell>Next Invoice</TableCell>
+              <TableCell>Active</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {templates.map((template) => {
+              const nextDate = getNextOccurrence(template.schedule, template.lastGeneratedDate);
+              return (
+                <TableRow key={template.id} sx={{ opacity: template.active ? 1 : 0.6 }}>
+                  <TableCell>{template.name}</TableCell>
+                  <TableCell>{template.customerName}</TableCell>
+                  <TableCell>{describeSchedule(template.schedule)}</TableCell>
+                  <TableCell>{template.lastGeneratedDate || '—'}</TableCell>
+                  <TableCell>{template.active && nextDate ? nextDate : '—'}</TableCell>
+                  <TableCell>
+                    <Switch
+                      size="small"
+                      checked={template.active}
+                      onChange={() => handleToggleActive(template)}
+                    />
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit Schedule">
+                      <IconButton size="small" onClick={() => setEditingTemplate(template)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton
+                        size="small"
+                        color="error"
+                        onClick={() => setTemplateToDelete(template)}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+            {!isLoading && templates.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={7} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    No recurring templates yet
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      {editingTemplate && (
+        <RecurringTemplateDialog
+          template={editingTemplate}
+          narration={editingTemplate.values.narration}
+          onClose={() => setEditingTemplate(null)}
+          onSave={handleSave}
+        />
+      )}
+
+      <Dialog open={!!templateToDelete} onClose={() => setTemplateToDelete(null)}>
+        <DialogTitle>Delete template {templateToDelete?.name}?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            No further invoices will be generated from it. Invoices already queued stay in Drafts.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTemplateToDelete(null)}>Keep</Button>
+          <Button color="error" onClick={handleConfirmDelete}>
+            Delete Template
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default RecurringTemplates;
@@ -0,0 +1,107 @@
+import { useState, useEffect } from 'react';
+import { useForm, Controller } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  Button,
+  Card,
+  CardContent,
+  FormControl,
+  FormControlLabel,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  Typography,
+} from '@mui/material';
+import { roundingSettingsSchema } from '../schemas/settingsSchema';
+import { getRoundingSettings, saveRoundingSettings } from '../storage/settingsStore';
+import { TAX_ROUNDING, defaultRoundingSettings } from '../utils/tax';
+
+const RoundingSettings = () => {
+  const [saveMessage, setSaveMessage] = useState('');
+
+  const {
+    handleSubmit,
+    control,
+    reset,
+    formState: { isSubmitting },
+  } = useForm({
+    resolver: zodResolver(roundingSettingsSchema),
+    defaultValues: defaultRoundingSettings,
+  });
+
+  useEffect(() => {
+    getRoundingSettings()
+      .then(reset)
+      .catch((error) => console.error('Error loading rounding settings:', error));
+  }, [reset]);
+
+  const onSubmit = async (data) => {
+    try {
+      await saveRoundingSettings(data);
+      setSaveMessage('Rounding settings saved');
+    } catch (error) {
+      console.error('Error saving rounding settings:', error);
+      setSaveMessage('The rounding settings could not be saved');
+    }
+  };
+
+  return (
+    <Card elevation={0} sx={{ backgroundColor: '#f5f5f5', mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" sx={{ color: '#1a237e', mb: 2 }}>
+          Tax Rounding
+        </Typography>
+        <form onSubmit={handleSubmit(onSubmit)}>
+          <Grid container spacing={3} alignItems="center">
+            <Grid item xs={12} md={5} sx={{ minWidth: '112px' }}>
+              <Controller
+                name="taxRounding"
+                control={control}
+                render={({ field }) => (
+                  <FormControl fullWidth>
+                    <InputLabel>Round Tax</InputLabel>
+                    <Select {...field} label="Round Tax" sx={{ backgroundColor: '#ffffff' }}>
+                      <MenuItem value={TAX_ROUNDING.LINE}>On every line</MenuItem>
+                      <MenuItem value={TAX_ROUNDING.INVOICE}>Once per rate on the invoice</MenuItem>
+                    </Select>
+                  </FormControl>
+                )}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <Controller
+                name="roundOffTotal"
+                control={control}
+                render={({ field }) => (
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={field.value}
+                        onChange={(e) => field.onChange(e.target.checked)}
+                      />
+                    }
+                    label="Round total to nearest rupee"
+                  />
+                )}
+              />
+            </Grid>
+            <Grid item xs={12} md={3} sx={{ textAlign: 'right' }}>
+              <Button type="submit" variant="contained" disabled={isSubmitting}>
+                Save Rounding
+              </Button>
+              {saveMessage && (
+                <Typography variant="caption" display="block" sx={{ mt: 1 }}>
+                  {saveMessage}
+                </Typography>
+              )}
+            </Grid>
+          </Grid>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RoundingSettings;
@@ -0,0 +1,43 @@
+import { Container, Paper, Typography } from '@mui/material';
+import BusinessProfileSettings from './BusinessProfileSettings';
+import NumberSeriesSettings from './NumberSeriesSettings';
+import RoundingSettings from './RoundingSettings';
+import { STORAGE_BACKEND_LABELS, storageBackend } from '../storage/db';
+import { DOCUMENT_TYPES } from '../utils/documentTypes';
+
+const Settings = () => (
+  <Container maxWidth="lg" sx={{ py: 4 }}>
+    <Paper
+      elevation={3}
+      sx={{
+        p: 4,
+        borderRadius: 2,
+        backgroundColor: '#ffffff',
+        boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+      }}
+    >
+      <Typography
+        variant="h4"
+        gutterBottom
+        sx={{
+          color: '#1a237e',
+          fontWeight: 600,
+          mb: 4,
+          textAlign: 'center',
+        }}
+      >
+        Settings
+      </Typography>
+      <BusinessProfileSettings />
+      {Object.values(DOCUMENT_TYPES).map((documentType) => (
+        <NumberSeriesSettings key={documentType} documentType={documentType} />
+      ))}
+      <RoundingSettings />
+      <Typography variant="caption" color="text.secondary" display="block">
+        Data is stored {STORAGE_BACKEND_LABELS[storageBackend]}. See the README to switch storage.
+      </Typography>
+    </Paper>
+  </Container>
+);
+
+export default Settings;
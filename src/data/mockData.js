@@ -1,37 +1,240 @@
+// Seed catalog, copied into the product store on first run
 export const products = [
-  { id: '1', name: 'Product A', hsnCode: '1001', salePrice: 500 },
-  { id: '2', name: 'Product B', hsnCode: '1002', salePrice: 300 },
-  { id: '3', name: 'Product C', hsnCode: '1003', salePrice: 700 },
-  { id: '4', name: 'Product D', hsnCode: '1004', salePrice: 400 },
+  {
+    id: '1',
+    name: 'Product A',
+    codeType: 'HSN',
+    hsnCode: '1001',
+    unit: 'KGS',
+    salePrice: 500,
+    prices: { retail: 550, wholesale: 470 },
+    gstRate: 5,
+  },
+  {
+    id: '2',
+    name: 'Product B',
+    codeType: 'HSN',
+    hsnCode: '1002',
+    unit: 'NOS',
+    salePrice: 300,
+    prices: { retail: 330, wholesale: 280 },
+    gstRate: 12,
+  },
+  {
+    id: '3',
+    name: 'Product C',
+    codeType: 'HSN',
+    hsnCode: '1003',
+    unit: 'NOS',
+    salePrice: 700,
+    prices: { retail: 760, wholesale: 650 },
+    gstRate: 18,
+  },
+  {
+    id: '4',
+    name: 'Product D',
+    codeType: 'HSN',
+    hsnCode: '1004',
+    unit: 'BOX',
+    salePrice: 400,
+    prices: { retail: 440, wholesale: 375 },
+    gstRate: 28,
+    cessRate: 12,
+  },
+  {
+    id: '5',
+    name: 'Product E',
+    codeType: 'HSN',
+    hsnCode: '1005',
+    unit: 'KGS',
+    salePrice: 250,
+    prices: { retail: 270, wholesale: 235 },
+    gstRate: 0,
+  },
+  {
+    id: '6',
+    name: 'Product F',
+    codeType: 'HSN',
+    hsnCode: '1006',
+    unit: 'NOS',
+    salePrice: 900,
+    prices: { retail: 990, wholesale: 850 },
+    gstRate: 28,
+    cessPerUnit: 50,
+  },
+  {
+    id: '7',
+    name: 'Installation Service',
+    codeType: 'SAC',
+    hsnCode: '998729',
+    unit: 'OTH',
+    salePrice: 1500,
+    prices: {},
+    gstRate: 18,
+  },
 ];
 
+export const priceLists = [
+  { id: 'default', name: 'Default' },
+  { id: 'retail', name: 'Retail' },
+  { id: 'wholesale', name: 'Wholesale' },
+];
+
+// Unit Quantity Codes (UQC) accepted in GST returns, with the decimal places
+// a quantity may have in each. Counted units are whole numbers.
+export const units = [
+  { code: 'BAG', name: 'Bags', decimals: 0 },
+  { code: 'BAL', name: 'Bale', decimals: 0 },
+  { code: 'BDL', name: 'Bundles', decimals: 0 },
+  { code: 'BKL', name: 'Buckles', decimals: 0 },
+  { code: 'BOU', name: 'Billion of Units', decimals: 3 },
+  { code: 'BOX', name: 'Box', decimals: 0 },
+  { code: 'BTL', name: 'Bottles', decimals: 0 },
+  { code: 'BUN', name: 'Bunches', decimals: 0 },
+  { code: 'CAN', name: 'Cans', decimals: 0 },
+  { code: 'CBM', name: 'Cubic Meters', decimals: 3 },
+  { code: 'CCM', name: 'Cubic Centimeters', decimals: 3 },
+  { code: 'CMS', name: 'Centimeters', decimals: 2 },
+  { code: 'CTN', name: 'Cartons', decimals: 0 },
+  { code: 'DOZ', name: 'Dozens', decimals: 0 },
+  { code: 'DRM', name: 'Drums', decimals: 0 },
+  { code: 'GGK', name: 'Great Gross', decimals: 0 },
+  { code: 'GMS', name: 'Grammes', decimals: 3 },
+  { code: 'GRS', name: 'Gross', decimals: 0 },
+  { code: 'GYD', name: 'Gross Yards', decimals: 3 },
+  { code: 'KGS', name: 'Kilograms', decimals: 3 },
+  { code: 'KLR', name: 'Kilolitre', decimals: 3 },
+  { code: 'KME', name: 'Kilometre', decimals: 3 },
+  { code: 'LTR', name: 'Litres', decimals: 3 },
+  { code: 'MLT', name: 'Mililitre', decimals: 3 },
+  { code: 'MTR', name: 'Meters', decimals: 3 },
+  { code: 'MTS', name: 'Metric Ton', decimals: 3 },
+  { code: 'NOS', name: 'Numbers', decimals: 0 },
+  { code: 'OTH', name: 'Others', decimals: 3 },
+  { code: 'PAC', name: 'Packs', decimals: 0 },
+  { code: 'PCS', name: 'Pieces', decimals: 0 },
+  { code: 'PRS', name: 'Pairs', decimals: 0 },
+  { code: 'QTL', name: 'Quintal', decimals: 3 },
+  { code: 'ROL', name: 'Rolls', decimals: 0 },
+  { code: 'SET', name: 'Sets', decimals: 0 },
+  { code: 'SQF', name: 'Square Feet', decimals: 3 },
+  { code: 'SQM', name: 'Square Meters', decimals: 3 },
+  { code: 'SQY', name: 'Square Yards', decimals: 3 },
+  { code: 'TBS', name: 'Tablets', decimals: 0 },
+  { code: 'TGM', name: 'Ten Gross', decimals: 0 },
+  { code: 'THD', name: 'Thousands', decimals: 3 },
+  { code: 'TON', name: 'Tonnes', decimals: 3 },
+  { code: 'TUB', name: 'Tubes', decimals: 0 },
+  { code: 'UGS', name: 'US Gallons', decimals: 3 },
+  { code: 'UNT', name: 'Units', decimals: 0 },
+  { code: 'YDS', name: 'Yards', decimals: 3 },
+];
+
+export const seller = {
+  name: 'Sample Traders Pvt Ltd',
+  address: '12, 4th Cross, Industrial Area, Peenya, Bengaluru 560058',
+  state: 'Karnataka',
+  gstin: '29AABCS1234F1ZN',
+  phone: '+91 80 4123 4567',
+  email: 'accounts@sampletraders.in',
+};
+
+// Places of supply with the two-digit GST state code that prefixes every
+// GSTIN. Union territories levy UTGST in place of SGST; "Outside India" is
+// only ever a place of supply, never a GSTIN prefix. Delhi, Puducherry and
+// Jammu and Kashmir have legislatures of their own and levy SGST like a state.
 export const states = [
-  'Andhra Pradesh',
-  'Arunachal Pradesh',
-  'Assam',
-  'Bihar',
-  'Chhattisgarh',
-  'Goa',
-  'Gujarat',
-  'Haryana',
-  'Himachal Pradesh',
-  'Jharkhand',
-  'Karnataka',
-  'Kerala',
-  'Madhya Pradesh',
-  'Maharashtra',
-  'Manipur',
-  'Meghalaya',
-  'Mizoram',
-  'Nagaland',
-  'Odisha',
-  'Punjab',
-  'Rajasthan',
-  'Sikkim',
-  'Tamil Nadu',
-  'Telangana',
-  'Tripura',
-  'Uttar Pradesh',
-  'Uttarakhand',
-  'West Bengal',
-];
\ No newline at end of file
+  { name: 'Andhra Pradesh', code: '37', type: 'state' },
+  { name: 'Arunachal Pradesh', code: '12', type: 'state' },
+  { name: 'Assam', code: '18', type: 'state' },
+  { name: 'Bihar', code: '10', type: 'state' },
+  { name: 'Chhattisgarh', code: '22', type: 'state' },
+  { name: 'Delhi', code: '07', type: 'state' },
+  { name: 'Goa', code: '30', type: 'state' },
+  { name: 'Gujarat', code: '24', type: 'state' },
+  { name: 'Haryana', code: '06', type: 'state' },
+  { name: 'Himachal Pradesh', code: '02', type: 'state' },
+  { name: 'Jammu and Kashmir', code: '01', type: 'state' },
+  { name: 'Jharkhand', code: '20', type: 'state' },
+  { name: 'Karnataka', code: '29', type: 'state' },
+  { name: 'Kerala', code: '32', type: 'state' },
+  { name: 'Madhya Pradesh', code: '23', type: 'state' },
+  { name: 'Maharashtra', code: '27', type: 'state' },
+  { name: 'Manipur', code: '14', type: 'state' },
+  { name: 'Meghalaya', code: '17', type: 'state' },
+  { name: 'Mizoram', code: '15', type: 'state' },
+  { name: 'Nagaland', code: '13', type: 'state' },
+  { name: 'Odisha', code: '21', type: 'state' },
+  { name: 'Puducherry', code: '34', type: 'state' },
+  { name: 'Punjab', code: '03', type: 'state' },
+  { name: 'Rajasthan', code: '08', type: 'state' },
+  { name: 'Sikkim', code: '11', type: 'state' },
+  { name: 'Tamil Nadu', code: '33', type: 'state' },
+  { name: 'Telangana', code: '36', type: 'state' },
+  { name: 'Tripura', code: '16', type: 'state' },
+  { name: 'Uttar Pradesh', code: '09', type: 'state' },
+  { name: 'Uttarakhand', code: '05', type: 'state' },
+  { name: 'West Bengal', code: '19', type: 'state' },
+  { name: 'Andaman and Nicobar Islands', code: '35', type: 'ut' },
+  { name: 'Chandigarh', code: '04', type: 'ut' },
+  { name: 'Dadra and Nagar Haveli and Daman and Diu', code: '26', type: 'ut' },
+  { name: 'Ladakh', code: '38', type: 'ut' },
+  { name: 'Lakshadweep', code: '31', type: 'ut' },
+  { name: 'Other Territory', code: '97', type: 'ut' },
+  { name: 'Outside India', code: '96', type: 'foreign' },
+];
+
+// Currencies export invoices are commonly raised in, by ISO 4217 code
+export const currencies = [
+  { code: 'USD', name: 'US Dollar' },
+  { code: 'EUR', name: 'Euro' },
+  { code: 'GBP', name: 'Pound Sterling' },
+  { code: 'AED', name: 'UAE Dirham' },
+  { code: 'AUD', name: 'Australian Dollar' },
+  { code: 'CAD', name: 'Canadian Dollar' },
+  { code: 'CHF', name: 'Swiss Franc' },
+  { code: 'CNY', name: 'Chinese Yuan' },
+  { code: 'HKD', name: 'Hong Kong Dollar' },
+  { code: 'JPY', name: 'Japanese Yen' },
+  { code: 'SAR', name: 'Saudi Riyal' },
+  { code: 'SGD', name: 'Singapore Dollar' },
+  { code: 'ZAR', name: 'South African Rand' },
+];
+
+// Destination countries by ISO 3166 alpha-2 code, as the e-invoice expects
+export const countries = [
+  { code: 'AE', name: 'United Arab Emirates' },
+  { code: 'AU', name: 'Australia' },
+  { code: 'BD', name: 'Bangladesh' },
+  { code: 'BE', name: 'Belgium' },
+  { code: 'BR', name: 'Brazil' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'CH', name: 'Switzerland' },
+  { code: 'CN', name: 'China' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'EG', name: 'Egypt' },
+  { code: 'ES', name: 'Spain' },
+  { code: 'FR', name: 'France' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'HK', name: 'Hong Kong' },
+  { code: 'ID', name: 'Indonesia' },
+  { code: 'IT', name: 'Italy' },
+  { code: 'JP', name: 'Japan' },
+  { code: 'KE', name: 'Kenya' },
+  { code: 'KR', name: 'South Korea' },
+  { code: 'LK', name: 'Sri Lanka' },
+  { code: 'MY', name: 'Malaysia' },
+  { code: 'NG', name: 'Nigeria' },
+  { code: 'NL', name: 'Netherlands' },
+  { code: 'NP', name: 'Nepal' },
+  { code: 'OM', name: 'Oman' },
+  { code: 'QA', name: 'Qatar' },
+  { code: 'RU', name: 'Russia' },
+  { code: 'SA', name: 'Saudi Arabia' },
+  { code: 'SG', name: 'Singapore' },
+  { code: 'TH', name: 'Thailand' },
+  { code: 'TR', name: 'Turkey' },
+  { code: 'US', name: 'United States' },
+  { code: 'VN', name: 'Vietnam' },
+  { code: 'ZA', name: 'South Africa' },
+];
@@ -0,0 +1,21 @@
+import { useEffect } from 'react';
+import { getStateFromGstin, isValidGstin } from '../utils/gstin';
+
+// A valid GSTIN entered before the state fills the state from its prefix.
+// Forms that keep the party under another path pass their field names.
+export const useStateFromGstin = (
+  watch,
+  setValue,
+  { gstinField = 'gstin', stateField = 'state' } = {}
+) => {
+  const gstin = watch(gstinField);
+  const state = watch(stateField);
+
+  useEffect(() => {
+    if (state || !isValidGstin(gstin || '')) return;
+    const gstinState = getStateFromGstin(gstin);
+    if (gstinState) {
+      setValue(stateField, gstinState, { shouldValidate: true, shouldDirty: true });
+    }
+  }, [gstin, state, stateField, setValue]);
+};
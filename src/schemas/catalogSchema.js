@@ -0,0 +1,62 @@
+import { z } from 'zod';
+import { GST_RATES } from '../utils/tax';
+
+export const HSN_CODE_PATTERN = /^\d{4}(\d{2}){0,2}$/;
+export const SAC_CODE_PATTERN = /^99\d{4}$/;
+
+export const emptyCatalogProduct = {
+  name: '',
+  codeType: 'HSN',
+  hsnCode: '',
+  unit: 'NOS',
+  salePrice: 0,
+  // MRP-style prices that already include GST and cess
+  priceIncludesTax: false,
+  prices: { retail: '', wholesale: '' },
+  gstRate: 18,
+  cessRate: 0,
+  cessPerUnit: 0,
+};
+
+const optionalPrice = z.preprocess(
+  (value) => (value === '' || value === null || Number.isNaN(value) ? undefined : value),
+  z.coerce.number().min(0, 'Price must be positive').optional()
+);
+
+export const catalogProductSchema = z
+  .object({
+    id: z.string().optional(),
+    createdAt: z.string().optional(),
+    archived: z.boolean().optional(),
+    name: z.string().trim().min(1, 'Product name is required'),
+    codeType: z.enum(['HSN', 'SAC']),
+    hsnCode: z.string().trim(),
+    unit: z.string().min(1, 'Unit is required'),
+    salePrice: z.coerce.number().min(0, 'Price must be positive'),
+    priceIncludesTax: z.boolean().default(false),
+    prices: z.object({
+      retail: optionalPrice,
+      wholesale: optionalPrice,
+    }),
+    gstRate: z.coerce
+      .number()
+      .refine((rate) => GST_RATES.includes(rate), 'Select a valid GST rate'),
+    cessRate: z.coerce.number().min(0, 'Cess rate must be positive').default(0),
+    cessPerUnit: z.coerce.number().min(0, 'Cess must be positive').default(0),
+  })
+  .superRefine((product, ctx) => {
+    if (product.codeType === 'SAC' && !SAC_CODE_PATTERN.test(product.hsnCode)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'SAC codes are 6 digits starting with 99',
+        path: ['hsnCode'],
+      });
+    }
+    if (product.codeType === 'HSN' && !HSN_CODE_PATTERN.test(product.hsnCode)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'HSN codes are 4, 6 or 8 digits',
+        path: ['hsnCode'],
+      });
+    }
+  });
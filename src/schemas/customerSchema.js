@@ -0,0 +1,35 @@
+import { z } from 'zod';
+import { getGstinError } from '../utils/gstin';
+
+export const emptyCustomer = {
+  name: '',
+  billingAddress: '',
+  shippingAddress: '',
+  state: '',
+  gstin: '',
+  phone: '',
+  email: '',
+};
+
+// Checks the GSTIN check digit and that its state code matches the state
+export const refineCustomerGstin = (customer, ctx) => {
+  if (!customer.gstin) return;
+  const message = getGstinError(customer.gstin, customer.state);
+  if (message) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message, path: ['gstin'] });
+  }
+};
+
+export const customerSchema = z
+  .object({
+    id: z.string().optional(),
+    createdAt: z.string().optional(),
+    name: z.string().trim().min(1, 'Customer name is required'),
+    billingAddress: z.string().min(1, 'Billing address is required'),
+    shippingAddress: z.string().optional(),
+    state: z.string().min(1, 'State is required'),
+    gstin: z.string().optional(),
+    phone: z.string().optional(),
+    email: z.union([z.literal(''), z.string().email('Invalid email address')]).optional(),
+  })
+  .superRefine(refineCustomerGstin);
@@ -0,0 +1,149 @@
+import { z } from 'zod';
+import { GSTIN_PATTERN } from '../utils/gstin';
+
+// Offline subset of the NIC e-invoice schema (INV-01, version 1.1): every
+// mandatory field plus the formats and lengths the IRP rejects most often.
+const text = (label, max, min = 1) =>
+  z
+    .string({ required_error: `${label} is required` })
+    .trim()
+    .min(min, min > 1 ? `${label} must be at least ${min} characters` : `${label} is required`)
+    .max(max, `${label} cannot exceed ${max} characters`);
+
+const amount = (label) =>
+  z.number({ required_error: `${label} is required` }).min(0, `${label} cannot be negative`);
+
+const gstin = (label) =>
+  z
+    .string({ required_error: `${label} is required` })
+    .regex(GSTIN_PATTERN, `${label} is not a valid GSTIN`);
+
+const stateCode = (label) =>
+  z.string({ required_error: `${label} is required` }).regex(/^\d{2}$/, `${label} is required`);
+
+const pin = z
+  .number({ required_error: 'PIN code is required' })
+  .int()
+  .min(100000, 'PIN code must be 6 digits')
+  .max(999999, 'PIN code must be 6 digits');
+
+const address = {
+  Addr1: text('Address line 1', 100, 3),
+  Addr2: text('Address line 2', 100, 3).optional(),
+  Loc: text('Location', 50, 3),
+  Pin: pin,
+  Stcd: stateCode('State code'),
+};
+
+const itemSchema = z.object({
+  SlNo: text('Serial number', 6),
+  PrdDesc: text('Product description', 300, 3).optional(),
+  IsServc: z.enum(['Y', 'N']),
+  HsnCd: z
+    .string({ required_error: 'HSN/SAC code is required' })
+    .regex(/^\d{4}(\d{2}){0,2}$/, 'HSN/SAC code must be 4, 6 or 8 digits'),
+  Qty: amount('Quantity').optional(),
+  FreeQty: amount('Free quantity').optional(),
+  Unit: text('Unit', 8, 3).optional(),
+  UnitPrice: amount('Unit price'),
+  TotAmt: amount('Gross amount'),
+  Discount: amount('Discount').optional(),
+  AssAmt: amount('Taxable value'),
+  GstRt: amount('GST rate'),
+  IgstAmt: amount('IGST').optional(),
+  CgstAmt: amount('CGST').optional(),
+  SgstAmt: amount('SGST').optional(),
+  CesRt: amount('Cess rate').optional(),
+  CesAmt: amount('Cess').optional(),
+  CesNonAdvlAmt: amount('Non ad valorem cess').optional(),
+  TotItemVal: amount('Item total'),
+});
+
+export const eInvoiceSchema = z.object({
+  Version: z.literal('1.1'),
+  TranDtls: z.object({
+    TaxSch: z.literal('GST'),
+    SupTyp: z.enum(['B2B', 'SEZWP', 'SEZWOP', 'EXPWP', 'EXPWOP', 'DEXP']),
+    RegRev: z.enum(['Y', 'N']).optional(),
+    IgstOnIntra: z.enum(['Y', 'N']).optional(),
+  }),
+  DocDtls: z.object({
+    Typ: z.enum(['INV', 'CRN', 'DBN']),
+    No: z
+      .string({ required_error: 'Document number is required' })
+      .regex(/^[1-9A-Za-z][A-Za-z0-9/-]{0,15}$/, 'Document number is not valid for the IRP'),
+    Dt: z
+      .string({ required_error: 'Document date is required' })
+      .regex(/^\d{2}\/\d{2}\/\d{4}$/, 'Document date is required'),
+  }),
+  SellerDtls: z.object({
+    Gstin: gstin('Seller GSTIN'),
+    LglNm: text('Seller legal name', 100, 3),
+    ...address,
+    Ph: text('Seller phone', 12, 6).optional(),
+    Em: text('Seller email', 100, 6).optional(),
+  }),
+  BuyerDtls: z.object({
+    // Unregistered overseas buyers are reported as URP
+    Gstin: z
+      .string({ required_error: 'Buyer GSTIN is required' })
+      .refine(
+        (value) => value === 'URP' || GSTIN_PATTERN.test(value),
+        'Buyer GSTIN is not a valid GSTIN'
+      ),
+    LglNm: text('Buyer legal name', 100, 3),
+    Pos: stateCode('Place of supply'),
+    ...address,
+  }),
+  ShipDtls: z
+    .object({
+      LglNm: text('Ship-to name', 100, 3),
+      ...address,
+    })
+    .optional(),
+  ItemList: z.array(itemSchema).min(1, 'At least one item is required').max(1000),
+  ExpDtls: z
+    .object({
+      ShipBNo: text('Shipping bill number', 20).optional(),
+      ShipBDt: z
+        .string()
+        .regex(/^\d{2}\/\d{2}\/\d{4}$/, 'Shipping bill date is not valid')
+        .optional(),
+      Port: z
+        .string()
+        .regex(/^[A-Z0-9]{6}$/, 'Port code must be 6 letters or digits')
+        .optional(),
+      RefClm: z.enum(['Y', 'N']).optional(),
+      ForCur: z
+        .string({ required_error: 'Foreign currency is required' })
+        .regex(/^[A-Z]{3}$/, 'Foreign currency is required'),
+      CntCode: z
+        .string({ required_error: 'Country code is required' })
+        .regex(/^[A-Z]{2}$/, 'Country code is required'),
+    })
+    .optional(),
+  RefDtls: z
+    .object({
+      PrecDocDtls: z
+        .array(
+          z.object({
+            InvNo: text('Original invoice number', 16, 1),
+            InvDt: z
+              .string()
+              .regex(/^\d{2}\/\d{2}\/\d{4}$/, 'Original invoice date is required'),
+          })
+        )
+        .min(1),
+    })
+    .optional(),
+  ValDtls: z.object({
+    AssVal: amount('Total taxable value'),
+    CgstVal: amount('Total CGST').optional(),
+    SgstVal: amount('Total SGST').optional(),
+    IgstVal: amount('Total IGST').optional(),
+    CesVal: amount('Total cess').optional(),
+    Discount: amount('Invoice discount').optional(),
+    RndOffAmt: z.number().min(-99.99).max(99.99).optional(),
+    TotInvVal: amount('Total invoice value'),
+  }),
+});
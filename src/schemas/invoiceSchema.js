@@ -0,0 +1,536 @@
+import { z } from 'zod';
+import {
+  MAX_INVOICE_NO_LENGTH,
+  INVOICE_NO_PATTERN,
+  isDuplicateInvoiceNumber,
+} from '../utils/invoiceNumber';
+import {
+  DOCUMENT_TYPES,
+  INVOICE_STATUS,
+  isNote,
+  isQuote,
+  takesPayment,
+} from '../utils/documentTypes';
+import { formatCurrency, fromPaise, toPaise } from '../utils/money';
+import { DEFAULT_PRICE_LIST } from '../utils/priceList';
+import { getInvoiceDiscount } from '../utils/invoicePayload';
+import { DEFAULT_UNIT, countDecimals, getUnitDecimals, roundQuantity } from '../utils/units';
+import { CASH_MODE, PAYMENT_METHODS, PAYMENT_MODES, sumPayments } from '../utils/payments';
+import { OUTSIDE_INDIA, SUPPLY_TYPES, isExport, isSez, isUnderLut } from '../utils/supplyTypes';
+import {
+  DISCOUNT_TYPES,
+  calculateInvoice,
+  calculateLineDiscount,
+  getTaxType,
+} from '../utils/tax';
+import { HSN_CODE_PATTERN } from './catalogSchema';
+import { refineCustomerGstin } from './customerSchema';
+
+export const emptyProduct = {
+  productId: '',
+  productName: '',
+  hsnCode: '',
+  qty: 1,
+  unit: DEFAULT_UNIT,
+  // Scheme quantity listed on the invoice but not charged
+  freeQty: 0,
+  salePrice: 0,
+  discountType: DISCOUNT_TYPES.FLAT,
+  discount: 0,
+  gstRate: 0,
+  cessRate: 0,
+  cessPerUnit: 0,
+  priceIncludesTax: false,
+};
+
+// Shipping details are often only known after the invoice, so they may be blank
+export const emptyExportDetails = {
+  currency: '',
+  exchangeRate: 0,
+  portCode: '',
+  shippingBillNo: '',
+  shippingBillDate: '',
+};
+
+// A blank date means the payment was taken on the invoice date
+export const emptyPayment = {
+  mode: CASH_MODE,
+  amount: 0,
+  reference: '',
+  date: '',
+};
+
+// Drafts and reopened invoices are merged onto these defaults, so every
+// entry point into the form starts from the same shape.
+export const emptyInvoice = {
+  documentType: DOCUMENT_TYPES.INVOICE,
+  // Set on credit and debit notes to the invoice they amend
+  originalInvoice: null,
+  reasonCode: '',
+  // Set on tax invoices converted from a quotation or proforma invoice
+  sourceQuote: null,
+  invoiceNo: '',
+  invoiceDate: '',
+  // Quotations and proforma invoices only
+  validUntil: '',
+  // Blank until the business profile loads and fills in the default branch
+  branchId: '',
+  priceList: DEFAULT_PRICE_LIST,
+  // Default for new lines; each line keeps its own flag
+  priceIncludesTax: false,
+  supplyType: SUPPLY_TYPES.REGULAR,
+  // Country is only asked for on exports, where the state is "Outside India"
+  customer: {
+    name: '',
+    billingAddress: '',
+    shippingAddress: '',
+    state: '',
+    gstin: '',
+    country: '',
+  },
+  products: [emptyProduct],
+  invoiceDiscountType: DISCOUNT_TYPES.FLAT,
+  invoiceDiscount: 0,
+  exportDetails: emptyExportDetails,
+  paymentMethod: PAYMENT_METHODS.PAID,
+  dueDate: '',
+  payments: [emptyPayment],
+  narration: '',
+};
+
+// Invoices saved before split payments had one method, which was either
+// "On Credit" or the mode the whole amount was paid by.
+const toPaymentValues = ({ paymentMethod = PAYMENT_METHODS.PAID, transactionId, payments }) => {
+  if (payments) {
+    return {
+      paymentMethod,
+      payments: payments.map((payment) => ({ ...emptyPayment, ...payment })),
+    };
+  }
+  if (paymentMethod === PAYMENT_METHODS.PAID) {
+    return { paymentMethod, payments: [emptyPayment] };
+  }
+  if (paymentMethod === PAYMENT_METHODS.CREDIT) {
+    return { paymentMethod, payments: [] };
+  }
+  return {
+    paymentMethod: PAYMENT_METHODS.PAID,
+    payments: [{ ...emptyPayment, mode: paymentMethod, reference: transactionId || '' }],
+  };
+};
+
+export const toInvoiceFormValues = ({ customer = {}, ...values } = {}) => ({
+  ...emptyInvoice,
+  ...values,
+  customer: {
+    ...emptyInvoice.customer,
+    // Invoices saved before billing and shipping were split had one address
+    billingAddress: customer.address || '',
+    ...customer,
+  },
+  products: (values.products?.length ? values.products : [emptyProduct]).map((product) => ({
+    ...emptyProduct,
+    ...product,
+  })),
+  ...toPaymentValues(values),
+});
+
+// A note starts from the original invoice's values. Each line keeps the
+// index of the original line it amends in `sourceLine`.
+export const toNoteFormValues = (invoice, documentType) => {
+  const values = toInvoiceFormValues(invoice.values);
+  return {
+    ...values,
+    documentType,
+    originalInvoice: {
+      id: invoice.id,
+      invoiceNo: invoice.invoiceNo,
+      invoiceDate: invoice.invoiceDate,
+      totalInvoiceValue: invoice.totalInvoiceValue,
+    },
+    reasonCode: '',
+    invoiceNo: '',
+    invoiceDate: '',
+    products: values.products.map((product, index) => ({ ...product, sourceLine: index })),
+    // A flat discount was for the whole invoice and can't carry over to part of it
+    invoiceDiscount:
+      values.invoiceDiscountType === DISCOUNT_TYPES.PERCENT ? values.invoiceDiscount : 0,
+    paymentMethod: PAYMENT_METHODS.PAID,
+    dueDate: '',
+    payments: [],
+    narration: '',
+  };
+};
+
+// Nothing is paid against a quotation or proforma invoice
+export const toQuoteFormValues = (documentType) => ({
+  ...emptyInvoice,
+  documentType,
+  payments: [],
+});
+
+// A tax invoice converted from a quotation or proforma invoice starts from
+// its customer and lines and links back to it, but takes its own number.
+export const toConvertedInvoiceValues = (quote) => ({
+  ...toInvoiceFormValues(quote.values),
+  documentType: DOCUMENT_TYPES.INVOICE,
+  sourceQuote: {
+    id: quote.id,
+    documentType: quote.documentType,
+    invoiceNo: quote.invoiceNo,
+    invoiceDate: quote.invoiceDate,
+  },
+  invoiceNo: '',
+  invoiceDate: '',
+  validUntil: '',
+  paymentMethod: PAYMENT_METHODS.PAID,
+  dueDate: '',
+  payments: [emptyPayment],
+});
+
+// Quantities may only have as many decimals as their unit allows
+const refineQuantities = (product, ctx) => {
+  const decimals = getUnitDecimals(product.unit);
+  ['qty', 'freeQty'].forEach((field) => {
+    if (countDecimals(product[field]) > decimals) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: decimals
+          ? `${product.unit} allows up to ${decimals} decimal places`
+          : `${product.unit} is counted in whole units`,
+        path: [field],
+      });
+    }
+  });
+};
+
+export const productSchema = z.object({
+  productId: z.string().optional(),
+  sourceLine: z.number().int().optional(),
+  productName: z.string().min(1, 'Product name is required'),
+  hsnCode: z
+    .string()
+    .min(1, 'HSN code is required')
+    .regex(HSN_CODE_PATTERN, 'HSN/SAC code must be 4, 6 or 8 digits'),
+  qty: z.coerce.number().positive('Quantity must be more than zero'),
+  unit: z.string().min(1, 'Unit is required').default(DEFAULT_UNIT),
+  freeQty: z.coerce.number().min(0, 'Free quantity cannot be negative').default(0),
+  salePrice: z.coerce.number().min(0, 'Sale price must be positive'),
+  priceIncludesTax: z.boolean().default(false),
+  discountType: z.enum([DISCOUNT_TYPES.FLAT, DISCOUNT_TYPES.PERCENT]).default(DISCOUNT_TYPES.FLAT),
+  discount: z.coerce.number().min(0, 'Discount must be positive').default(0),
+  gstRate: z.coerce.number().min(0, 'GST rate must be positive').default(0),
+  cessRate: z.coerce.number().min(0, 'Cess rate must be positive').default(0),
+  cessPerUnit: z.coerce.number().min(0, 'Cess must be positive').default(0),
+  taxableValue: z.number().optional(),
+  cgst: z.number().optional(),
+  sgst: z.number().optional(),
+  igst: z.number().optional(),
+  cess: z.number().optional(),
+  totalValue: z.number().optional(),
+}).superRefine(refineQuantities);
+
+export const paymentSchema = z
+  .object({
+    mode: z.enum(PAYMENT_MODES),
+    amount: z.coerce.number().positive('Amount must be more than zero'),
+    reference: z.string().trim().optional(),
+    date: z.string().optional(),
+  })
+  .refine((payment) => payment.mode === CASH_MODE || !!payment.reference, {
+    message: 'Reference is required for this mode',
+    path: ['reference'],
+  });
+
+// A payment recorded after the invoice can't be more than what is still due
+export const createReceiptSchema = ({ balanceDue, invoiceDate }) =>
+  paymentSchema.superRefine((payment, ctx) => {
+    if (!payment.date) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Date is required', path: ['date'] });
+    } else if (payment.date < invoiceDate) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Date cannot be before the invoice date',
+        path: ['date'],
+      });
+    }
+    if (toPaise(payment.amount) > toPaise(balanceDue)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Cannot exceed the balance of ${formatCurrency(balanceDue)}`,
+        path: ['amount'],
+      });
+    }
+  });
+
+// Indian customs port codes, e.g. INNSA1 for Nhava Sheva
+const PORT_CODE_PATTERN = /^[A-Z]{2}[A-Z0-9]{4}$/;
+
+// Exports need the buyer's country and the currency the invoice is converted
+// to; SEZ units are always registered, so their GSTIN is required.
+const refineSupplyType = (data, ctx) => {
+  const addIssue = (path, message) =>
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message, path });
+
+  if (isSez(data.supplyType) && !data.customer.gstin) {
+    addIssue(['customer', 'gstin'], 'GSTIN of the SEZ unit is required');
+  }
+  if (!isExport(data.supplyType)) return;
+
+  const { exportDetails } = data;
+  if (data.customer.state !== OUTSIDE_INDIA) {
+    addIssue(['customer', 'state'], `Place of supply of an export is ${OUTSIDE_INDIA}`);
+  }
+  if (!data.customer.country) {
+    addIssue(['customer', 'country'], 'Country is required for exports');
+  }
+  if (!exportDetails.currency) {
+    addIssue(['exportDetails', 'currency'], 'Currency is required for exports');
+  }
+  if (!(exportDetails.exchangeRate > 0)) {
+    addIssue(['exportDetails', 'exchangeRate'], 'Exchange rate is required for exports');
+  }
+  if (exportDetails.shippingBillDate && !exportDetails.shippingBillNo) {
+    addIssue(['exportDetails', 'shippingBillNo'], 'Shipping bill number is required with its date');
+  }
+  if (exportDetails.shippingBillNo && !exportDetails.shippingBillDate) {
+    addIssue(['exportDetails', 'shippingBillDate'], 'Shipping bill date is required');
+  }
+  if (exportDetails.shippingBillDate && exportDetails.shippingBillDate < data.invoiceDate) {
+    addIssue(
+      ['exportDetails', 'shippingBillDate'],
+      'Shipping bill date cannot be before the invoice date'
+    );
+  }
+};
+
+export const invoiceSchema = z.object({
+  documentType: z.enum(Object.values(DOCUMENT_TYPES)).default(DOCUMENT_TYPES.INVOICE),
+  originalInvoice: z
+    .object({
+      id: z.string(),
+      invoiceNo: z.string(),
+      invoiceDate: z.string(),
+      totalInvoiceValue: z.number().optional(),
+    })
+    .nullable()
+    .default(null),
+  reasonCode: z.string().optional(),
+  sourceQuote: z
+    .object({
+      id: z.string(),
+      documentType: z.string(),
+      invoiceNo: z.string(),
+      invoiceDate: z.string(),
+    })
+    .nullable()
+    .default(null),
+  invoiceNo: z
+    .string()
+    .min(1, 'Invoice number is required')
+    .max(MAX_INVOICE_NO_LENGTH, `Invoice number cannot exceed ${MAX_INVOICE_NO_LENGTH} characters`)
+    .regex(INVOICE_NO_PATTERN, 'Only letters, digits, "/" and "-" are allowed'),
+  invoiceDate: z.string().min(1, 'Invoice date is required'),
+  validUntil: z.string().optional(),
+  branchId: z.string().optional(),
+  priceList: z.string().default(DEFAULT_PRICE_LIST),
+  priceIncludesTax: z.boolean().default(false),
+  customer: z.object({
+    name: z.string().min(1, 'Customer name is required'),
+    billingAddress: z.string().min(1, 'Billing address is required'),
+    shippingAddress: z.string().optional(),
+    state: z.string().min(1, 'State is required'),
+    gstin: z.string().optional(),
+    country: z.string().optional(),
+  }).superRefine(refineCustomerGstin),
+  products: z.array(productSchema).min(1, 'At least one product is required'),
+  invoiceDiscountType: z
+    .enum([DISCOUNT_TYPES.FLAT, DISCOUNT_TYPES.PERCENT])
+    .default(DISCOUNT_TYPES.FLAT),
+  invoiceDiscount: z.coerce.number().min(0, 'Discount must be positive').default(0),
+  supplyType: z.enum(Object.values(SUPPLY_TYPES)).default(SUPPLY_TYPES.REGULAR),
+  exportDetails: z.object({
+    currency: z.string().optional(),
+    exchangeRate: z.coerce.number().min(0, 'Exchange rate must be positive').default(0),
+    portCode: z
+      .string()
+      .regex(PORT_CODE_PATTERN, 'Port code is 6 letters or digits, e.g. INNSA1')
+      .or(z.literal(''))
+      .optional(),
+    shippingBillNo: z
+      .string()
+      .regex(/^\d{1,20}$/, 'Shipping bill number must be digits')
+      .or(z.literal(''))
+      .optional(),
+    shippingBillDate: z.string().optional(),
+  }).default(emptyExportDetails),
+  paymentMethod: z.enum([PAYMENT_METHODS.PAID, PAYMENT_METHODS.CREDIT]),
+  dueDate: z.string().optional(),
+  payments: z.array(paymentSchema).default([]),
+  narration: z.string().optional(),
+}).refine(
+  (data) => data.paymentMethod !== PAYMENT_METHODS.CREDIT || !!data.dueDate,
+  { message: 'Due date is required for credit sales', path: ['dueDate'] }
+).refine(
+  (data) =>
+    data.paymentMethod !== PAYMENT_METHODS.CREDIT ||
+    !data.dueDate ||
+    data.dueDate >= data.invoiceDate,
+  { message: 'Due date cannot be before the invoice date', path: ['dueDate'] }
+).refine(
+  (data) =>
+    !takesPayment(data.documentType) ||
+    data.paymentMethod !== PAYMENT_METHODS.PAID ||
+    data.payments.length > 0,
+  { message: 'Add at least one payment, or sell on credit', path: ['payments'] }
+).refine(
+  (data) => !isNote(data.documentType) || !!data.reasonCode,
+  { message: 'Reason is required', path: ['reasonCode'] }
+).refine(
+  (data) => !isQuote(data.documentType) || !!data.validUntil,
+  { message: 'Valid until date is required', path: ['validUntil'] }
+).refine(
+  (data) => !isQuote(data.documentType) || !data.validUntil || data.validUntil >= data.invoiceDate,
+  { message: 'Valid until cannot be before the date', path: ['validUntil'] }
+).superRefine(refineSupplyType).superRefine((data, ctx) => {
+  // No discount may take a line's taxable value below zero
+  data.products.forEach((product, index) => {
+    if (calculateLineDiscount(product).netValue < 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Discount cannot exceed the line amount',
+        path: ['products', index, 'discount'],
+      });
+    }
+  });
+
+  const lineTotal = data.products.reduce(
+    (sum, product) => sum + calculateLineDiscount(product).netValue,
+    0
+  );
+  const exceedsTotal =
+    data.invoiceDiscountType === DISCOUNT_TYPES.PERCENT
+      ? data.invoiceDiscount > 100
+      : data.invoiceDiscount > lineTotal;
+  if (exceedsTotal) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'Invoice discount cannot exceed the invoice amount',
+      path: ['invoiceDiscount'],
+    });
+  }
+});
+
+const getLineValue = (line) => toPaise(calculateLineDiscount(line).netValue);
+
+// What is left of each original line after earlier notes of the same type
+const getRemainingLines = (original, documentType, existingInvoices, currentId) => {
+  const earlierNotes = existingInvoices.filter(
+    (record) =>
+      record.id !== currentId &&
+      record.status !== INVOICE_STATUS.CANCELLED &&
+      record.values?.documentType === documentType &&
+      record.values?.originalInvoice?.id === original.id
+  );
+
+  return original.values.products.map((product, index) =>
+    earlierNotes
+      .flatMap((note) => note.values.products.filter((line) => line.sourceLine === index))
+      .reduce(
+        (remaining, line) => ({
+          qty: roundQuantity(remaining.qty - Number(line.qty)),
+          value: remaining.value - getLineValue(line),
+        }),
+        { qty: Number(product.qty), value: getLineValue(product) }
+      )
+  );
+};
+
+// Credit and debit notes may only amend lines of the original invoice, up to
+// the quantities and values not already covered by earlier notes.
+const refineNoteLines = (data, ctx, { existingInvoices, currentId }) => {
+  const original = existingInvoices.find((record) => record.id === data.originalInvoice?.id);
+  if (!original) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'The original invoice could not be found',
+      path: ['invoiceNo'],
+    });
+    return;
+  }
+
+  const remainingLines = getRemainingLines(original, data.documentType, existingInvoices, currentId);
+  data.products.forEach((product, index) => {
+    const remaining = remainingLines[product.sourceLine];
+    if (!remaining) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Only lines from the original invoice can be added',
+        path: ['products', index, 'productName'],
+      });
+      return;
+    }
+    if (product.qty > remaining.qty) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Only ${Math.max(remaining.qty, 0)} left on the original invoice`,
+        path: ['products', index, 'qty'],
+      });
+    }
+    if (getLineValue(product) > remaining.value) {
+      const remainingValue = formatCurrency(fromPaise(Math.max(remaining.value, 0)));
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Cannot exceed ${remainingValue} left on the original line`,
+        path: ['products', index, 'salePrice'],
+      });
+    }
+  });
+};
+
+// Payments taken with the invoice must cover it exactly unless the balance is
+// on credit, and never more than the invoice total.
+const refinePayments = (data, ctx, { seller, rounding }) => {
+  const { totals } = calculateInvoice(data.products, {
+    taxType: getTaxType(seller.state, data.customer.state, data.supplyType),
+    invoiceDiscount: getInvoiceDiscount(data),
+    rounding,
+    withoutTax: isUnderLut(data.supplyType),
+  });
+  const paid = sumPayments(data.payments);
+  const total = toPaise(totals.grandTotal);
+
+  if (paid > total) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: `Payments cannot exceed the invoice total of ${formatCurrency(totals.grandTotal)}`,
+      path: ['payments'],
+    });
+  } else if (data.paymentMethod === PAYMENT_METHODS.PAID && paid < total) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: `Payments are ${formatCurrency(fromPaise(total - paid))} short of the total. Sell on credit to leave a balance.`,
+      path: ['payments'],
+    });
+  }
+};
+
+// Saved invoices, the seller and rounding are only known at runtime, so the
+// duplicate check, the note limits and the payment total are layered on top
+// of the static schema.
+export const createInvoiceSchema = ({ existingInvoices = [], currentId, seller, rounding } = {}) =>
+  invoiceSchema.superRefine((data, ctx) => {
+    if (isDuplicateInvoiceNumber(data.invoiceNo, data.invoiceDate, existingInvoices, currentId)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'This number is already used in this financial year',
+        path: ['invoiceNo'],
+      });
+    }
+    if (isNote(data.documentType)) {
+      refineNoteLines(data, ctx, { existingInvoices, currentId });
+    }
+    if (seller && takesPayment(data.documentType)) {
+      refinePayments(data, ctx, { seller, rounding });
+    }
+  });
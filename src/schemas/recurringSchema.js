@@ -0,0 +1,31 @@
+import { z } from 'zod';
+import { FREQUENCIES } from '../utils/recurrence';
+
+export const emptySchedule = {
+  frequency: FREQUENCIES.MONTHLY,
+  dayOfMonth: 1,
+  startDate: '',
+  endDate: '',
+};
+
+export const scheduleSchema = z
+  .object({
+    frequency: z.enum(Object.values(FREQUENCIES)),
+    // Only used by custom-day schedules; shorter months use their last day
+    dayOfMonth: z.coerce
+      .number()
+      .int('Day must be a whole number')
+      .min(1, 'Day must be between 1 and 31')
+      .max(31, 'Day must be between 1 and 31'),
+    startDate: z.string().min(1, 'Start date is required'),
+    endDate: z.string().optional(),
+  })
+  .refine((schedule) => !schedule.endDate || schedule.endDate >= schedule.startDate, {
+    message: 'End date cannot be before the start date',
+    path: ['endDate'],
+  });
+
+export const recurringTemplateSchema = z.object({
+  name: z.string().trim().min(1, 'Template name is required'),
+  schedule: scheduleSchema,
+});
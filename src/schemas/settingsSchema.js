@@ -0,0 +1,99 @@
+import { z } from 'zod';
+import { getGstinError } from '../utils/gstin';
+import {
+  MAX_INVOICE_NO_LENGTH,
+  formatInvoiceNumber,
+  getFinancialYear,
+} from '../utils/invoiceNumber';
+import { TAX_ROUNDING } from '../utils/tax';
+
+export const numberSeriesSchema = z
+  .object({
+    prefix: z.string().regex(/^[A-Za-z0-9/-]*$/, 'Only letters, digits, "/" and "-" are allowed'),
+    includeFinancialYear: z.boolean(),
+    separator: z.enum(['/', '-', '']),
+    padding: z.coerce
+      .number()
+      .int('Padding must be a whole number')
+      .min(1, 'Padding must be at least 1')
+      .max(8, 'Padding cannot exceed 8'),
+  })
+  .refine(
+    (series) =>
+      formatInvoiceNumber(series, getFinancialYear(), 1).length <= MAX_INVOICE_NO_LENGTH,
+    {
+      message: `Invoice numbers in this series would exceed ${MAX_INVOICE_NO_LENGTH} characters`,
+      path: ['prefix'],
+    }
+  );
+
+export const roundingSettingsSchema = z.object({
+  taxRounding: z.enum([TAX_ROUNDING.LINE, TAX_ROUNDING.INVOICE]),
+  roundOffTotal: z.boolean(),
+});
+
+const ledgerName = z.string().trim().min(1, 'Ledger name is required');
+
+export const ledgerMappingSchema = z.object({
+  sales: ledgerName,
+  cgst: ledgerName,
+  sgst: ledgerName,
+  utgst: ledgerName,
+  igst: ledgerName,
+  cess: ledgerName,
+  roundOff: ledgerName,
+  party: z.string().trim(),
+});
+
+export const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+// Logos are stored as data URLs in settings, so they are kept small
+export const MAX_LOGO_BYTES = 200 * 1024;
+
+export const emptyBranch = {
+  name: '',
+  gstin: '',
+  address: '',
+  state: '',
+  phone: '',
+  email: '',
+  bank: { accountName: '', accountNumber: '', ifsc: '', bankName: '', branchName: '' },
+  logo: '',
+  terms: '',
+};
+
+export const branchSchema = z
+  .object({
+    id: z.string().optional(),
+    name: z.string().trim().min(1, 'Business name is required'),
+    gstin: z.string().trim().toUpperCase(),
+    address: z.string().trim().min(1, 'Address is required'),
+    state: z.string().min(1, 'State is required'),
+    phone: z.string().trim().optional(),
+    email: z.union([z.literal(''), z.string().email('Invalid email address')]).optional(),
+    bank: z.object({
+      accountName: z.string().trim().optional(),
+      accountNumber: z
+        .string()
+        .trim()
+        .regex(/^\d{0,18}$/, 'Account number must be up to 18 digits')
+        .optional(),
+      ifsc: z
+        .string()
+        .trim()
+        .toUpperCase()
+        .refine((ifsc) => !ifsc || IFSC_PATTERN.test(ifsc), 'Invalid IFSC code')
+        .optional(),
+      bankName: z.string().trim().optional(),
+      branchName: z.string().trim().optional(),
+    }),
+    logo: z.string().optional(),
+    terms: z.string().optional(),
+  })
+  .superRefine((branch, ctx) => {
+    // Every branch issues invoices, so unlike a customer's its GSTIN is required
+    const message = getGstinError(branch.gstin, branch.state);
+    if (message) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message, path: ['gstin'] });
+    }
+  });
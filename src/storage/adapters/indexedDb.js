@@ -0,0 +1,58 @@
+import { getNextVersion } from './versions';
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Keeps each store in an IndexedDB object store of the same name
+export const createIndexedDbAdapter = ({ name, version, stores }) => {
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          stores.forEach((store) => {
+            if (!db.objectStoreNames.contains(store)) {
+              db.createObjectStore(store, { keyPath: 'id' });
+            }
+          });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  };
+
+  const getObjectStore = async (store, mode) => {
+    const db = await openDb();
+    return db.transaction(store, mode).objectStore(store);
+  };
+
+  return {
+    getAll: async (store) => requestToPromise((await getObjectStore(store, 'readonly')).getAll()),
+
+    getById: async (store, id) =>
+      requestToPromise((await getObjectStore(store, 'readonly')).get(id)),
+
+    // The version check and the write share one transaction
+    put: async (store, record) => {
+      const objectStore = await getObjectStore(store, 'readwrite');
+      const stored = await requestToPromise(objectStore.get(record.id));
+      const saved = { ...record, version: getNextVersion(stored, record) };
+      await requestToPromise(objectStore.put(saved));
+      return saved;
+    },
+
+    remove: async (store, id) =>
+      requestToPromise((await getObjectStore(store, 'readwrite')).delete(id)),
+  };
+};
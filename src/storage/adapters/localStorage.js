@@ -0,0 +1,29 @@
+import { getNextVersion } from './versions';
+
+// Keeps each store as one JSON object of records by id under its own key
+export const createLocalStorageAdapter = ({ prefix }) => {
+  const getKey = (store) => `${prefix}:${store}`;
+
+  const readStore = (store) => JSON.parse(localStorage.getItem(getKey(store)) || '{}');
+
+  const writeStore = (store, records) =>
+    localStorage.setItem(getKey(store), JSON.stringify(records));
+
+  return {
+    getAll: async (store) => Object.values(readStore(store)),
+
+    getById: async (store, id) => readStore(store)[id],
+
+    put: async (store, record) => {
+      const records = readStore(store);
+      const saved = { ...record, version: getNextVersion(records[record.id], record) };
+      writeStore(store, { ...records, [record.id]: saved });
+      return saved;
+    },
+
+    remove: async (store, id) => {
+      const { [id]: removed, ...records } = readStore(store);
+      if (removed) writeStore(store, records);
+    },
+  };
+};
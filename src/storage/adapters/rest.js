@@ -0,0 +1,37 @@
+import { ConflictError, ValidationError } from '../errors';
+
+// Talks to the bundled REST server (see server/index.js), which keeps each
+// store as a collection at `${baseUrl}/${store}`
+export const createRestAdapter = ({ baseUrl }) => {
+  const request = async (path, { method = 'GET', body, allowMissing = false } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (response.status === 204) return undefined;
+    // A missing record reads as undefined, as it does in the browser stores
+    if (response.status === 404 && allowMissing) return undefined;
+
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 409) throw new ConflictError(data.error, data.current);
+    if (response.status === 422) throw new ValidationError(data.error, data.fields);
+    if (!response.ok) {
+      throw new Error(data.error || `The server responded with status ${response.status}`);
+    }
+    return data;
+  };
+
+  const getRecordPath = (store, id) => `/${store}/${encodeURIComponent(id)}`;
+
+  return {
+    getAll: (store) => request(`/${store}`),
+
+    getById: (store, id) => request(getRecordPath(store, id), { allowMissing: true }),
+
+    put: (store, record) =>
+      request(getRecordPath(store, record.id), { method: 'PUT', body: record }),
+
+    remove: (store, id) => request(getRecordPath(store, id), { method: 'DELETE' }),
+  };
+};
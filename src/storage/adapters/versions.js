@@ -0,0 +1,12 @@
+import { ConflictError } from '../errors';
+
+// Every write bumps a record's version. A record saved with the version it
+// was read at is rejected when the stored copy has moved on since; records
+// written without a version always overwrite.
+export const getNextVersion = (stored, record) => {
+  const storedVersion = stored?.version ?? 0;
+  if (stored && record.version !== undefined && record.version !== storedVersion) {
+    throw new ConflictError('The record was changed after it was opened', stored);
+  }
+  return storedVersion + 1;
+};
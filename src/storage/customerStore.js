@@ -0,0 +1,25 @@
+import { getAll, put, remove } from './db';
+
+const STORE = 'customers';
+
+export const listCustomers = async () => {
+  const customers = await getAll(STORE);
+  return customers.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const saveCustomer = async (customer) => {
+  const now = new Date().toISOString();
+  return put(STORE, {
+    ...customer,
+    id: customer.id || crypto.randomUUID(),
+    createdAt: customer.createdAt || now,
+    updatedAt: now,
+  });
+};
+
+export const deleteCustomer = (id) => remove(STORE, id);
+
+export const findCustomerByName = (customers, name) => {
+  const term = name.trim().toLowerCase();
+  return customers.find((customer) => customer.name.trim().toLowerCase() === term);
+};
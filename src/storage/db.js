@@ -0,0 +1,49 @@
+import { createIndexedDbAdapter } from './adapters/indexedDb';
+import { createLocalStorageAdapter } from './adapters/localStorage';
+import { createRestAdapter } from './adapters/rest';
+
+const DB_NAME = 'invoice-form';
+const DB_VERSION = 7;
+
+// Every store is keyed by `id`; bump DB_VERSION when adding a store so the
+// upgrade handler creates it on existing databases.
+const STORES = ['invoices', 'settings', 'drafts', 'customers', 'products', 'quotes', 'recurring'];
+
+export const STORAGE_BACKENDS = {
+  INDEXED_DB: 'indexeddb',
+  LOCAL_STORAGE: 'local-storage',
+  REST: 'rest',
+};
+
+export const STORAGE_BACKEND_LABELS = {
+  [STORAGE_BACKENDS.INDEXED_DB]: 'in this browser (IndexedDB)',
+  [STORAGE_BACKENDS.LOCAL_STORAGE]: "in this browser's local storage",
+  [STORAGE_BACKENDS.REST]: 'on the local REST server',
+};
+
+// Picked at build time with VITE_STORAGE; the REST server is reached at
+// VITE_API_URL, which the dev server proxies to the local server by default.
+export const storageBackend = import.meta.env.VITE_STORAGE || STORAGE_BACKENDS.INDEXED_DB;
+
+const ADAPTERS = {
+  [STORAGE_BACKENDS.INDEXED_DB]: () =>
+    createIndexedDbAdapter({ name: DB_NAME, version: DB_VERSION, stores: STORES }),
+  [STORAGE_BACKENDS.LOCAL_STORAGE]: () => createLocalStorageAdapter({ prefix: DB_NAME }),
+  [STORAGE_BACKENDS.REST]: () =>
+    createRestAdapter({ baseUrl: import.meta.env.VITE_API_URL || '/api' }),
+};
+
+if (!ADAPTERS[storageBackend]) {
+  throw new Error(`Unknown storage backend "${storageBackend}"`);
+}
+
+const adapter = ADAPTERS[storageBackend]();
+
+export const getAll = (store) => adapter.getAll(store);
+
+export const getById = (store, id) => adapter.getById(store, id);
+
+// Resolves to the record as stored, with its new version
+export const put = (store, record) => adapter.put(store, record);
+
+export const remove = (store, id) => adapter.remove(store, id);
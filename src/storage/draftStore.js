@@ -0,0 +1,29 @@
+import { getAll, getById, put, remove } from './db';
+
+const STORE = 'drafts';
+
+export const listDrafts = async () => {
+  const drafts = await getAll(STORE);
+  return drafts.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const getDraft = (id) => getById(STORE, id);
+
+// `invoiceId` is set when the draft holds unsaved edits to a stored invoice,
+// and `templateName` when a recurring template queued it for review. Autosaves
+// keep the template name of the draft they overwrite.
+export const saveDraft = async ({ id, invoiceId, values, templateName }) => {
+  const existing = await getById(STORE, id);
+
+  return put(STORE, {
+    id,
+    invoiceId,
+    templateName: templateName || existing?.templateName,
+    invoiceNo: values.invoiceNo || '',
+    customerName: values.customer?.name || '',
+    values,
+    updatedAt: new Date().toISOString(),
+  });
+};
+
+export const deleteDraft = (id) => remove(STORE, id);
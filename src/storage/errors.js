@@ -0,0 +1,19 @@
+// Thrown when a record was changed by someone else after it was read.
+// `current` is the stored copy, so the caller can reload or overwrite it.
+export class ConflictError extends Error {
+  constructor(message, current) {
+    super(message);
+    this.name = 'ConflictError';
+    this.current = current;
+  }
+}
+
+// Thrown when the storage backend rejects a record. `fields` maps form field
+// paths such as "customer.name" to their messages.
+export class ValidationError extends Error {
+  constructor(message, fields = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
@@ -0,0 +1,66 @@
+import { getAll, getById, put } from './db';
+import { INVOICE_STATUS, getDocumentType } from '../utils/documentTypes';
+
+const STORE = 'invoices';
+
+export const listInvoices = async () => {
+  const invoices = await getAll(STORE);
+  return invoices.sort(
+    (a, b) => b.invoiceDate.localeCompare(a.invoiceDate) || b.createdAt.localeCompare(a.createdAt)
+  );
+};
+
+export const getInvoice = (id) => getById(STORE, id);
+
+// Keeps the raw form values next to the generated payload so an invoice can
+// be reopened in the form exactly as it was entered. `version` is the one the
+// form opened the invoice at, so edits saved elsewhere since are reported as a
+// conflict instead of being overwritten.
+export const saveInvoice = async ({ id, values, payload, version }) => {
+  const now = new Date().toISOString();
+  const existing = id ? await getById(STORE, id) : null;
+
+  return put(STORE, {
+    ...existing,
+    id: existing?.id || crypto.randomUUID(),
+    documentType: getDocumentType(payload),
+    invoiceNo: payload.invoiceNo,
+    invoiceDate: payload.invoiceDate,
+    customerName: payload.customer.name,
+    totalInvoiceValue: payload.totalInvoiceValue,
+    status: existing?.status || INVOICE_STATUS.ACTIVE,
+    values,
+    payload,
+    version: version ?? existing?.version,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  });
+};
+
+// Payments received after the invoice was issued. The payload keeps only what
+// was paid with the invoice, so reprints match the original document.
+export const recordPayment = async (id, payment) => {
+  const invoice = await getById(STORE, id);
+  if (!invoice) throw new Error('Invoice not found');
+
+  const now = new Date().toISOString();
+  return put(STORE, {
+    ...invoice,
+    receipts: [...(invoice.receipts || []), { ...payment, id: crypto.randomUUID(), createdAt: now }],
+    updatedAt: now,
+  });
+};
+
+// Cancelled invoices stay in the register so the number series has no gaps
+export const cancelInvoice = async (id) => {
+  const invoice = await getById(STORE, id);
+  if (!invoice) throw new Error('Invoice not found');
+
+  const now = new Date().toISOString();
+  return put(STORE, {
+    ...invoice,
+    status: INVOICE_STATUS.CANCELLED,
+    cancelledAt: now,
+    updatedAt: now,
+  });
+};
@@ -0,0 +1,36 @@
+import { getAll, put } from './db';
+import { products as seedProducts } from '../data/mockData';
+
+const STORE = 'products';
+
+const seedCatalog = async () => {
+  const now = new Date().toISOString();
+  await Promise.all(
+    seedProducts.map((product) =>
+      put(STORE, { ...product, archived: false, createdAt: now, updatedAt: now })
+    )
+  );
+  return getAll(STORE);
+};
+
+export const listProducts = async ({ includeArchived = false } = {}) => {
+  const stored = await getAll(STORE);
+  const products = stored.length ? stored : await seedCatalog();
+  return products
+    .filter((product) => includeArchived || !product.archived)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const saveProduct = async (product) => {
+  const now = new Date().toISOString();
+  return put(STORE, {
+    archived: false,
+    ...product,
+    id: product.id || crypto.randomUUID(),
+    createdAt: product.createdAt || now,
+    updatedAt: now,
+  });
+};
+
+// Archived products stay on old invoices but are no longer offered for new ones
+export const setProductArchived = (product, archived) => saveProduct({ ...product, archived });
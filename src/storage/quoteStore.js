@@ -0,0 +1,82 @@
+import { getAll, getById, put } from './db';
+import { getDocumentType } from '../utils/documentTypes';
+
+const STORE = 'quotes';
+
+// Expired is never stored; a quote past its validity date that was not
+// accepted shows as expired (see getQuoteStatus).
+export const QUOTE_STATUS = {
+  DRAFT: 'draft',
+  SENT: 'sent',
+  ACCEPTED: 'accepted',
+  EXPIRED: 'expired',
+};
+
+export const QUOTE_STATUS_LABELS = {
+  [QUOTE_STATUS.DRAFT]: 'Draft',
+  [QUOTE_STATUS.SENT]: 'Sent',
+  [QUOTE_STATUS.ACCEPTED]: 'Accepted',
+  [QUOTE_STATUS.EXPIRED]: 'Expired',
+};
+
+export const getQuoteStatus = (quote, today) =>
+  quote.status !== QUOTE_STATUS.ACCEPTED && quote.validUntil && quote.validUntil < today
+    ? QUOTE_STATUS.EXPIRED
+    : quote.status;
+
+export const listQuotes = async () => {
+  const quotes = await getAll(STORE);
+  return quotes.sort(
+    (a, b) => b.invoiceDate.localeCompare(a.invoiceDate) || b.createdAt.localeCompare(a.createdAt)
+  );
+};
+
+export const getQuote = (id) => getById(STORE, id);
+
+// Same shape as a stored invoice, so the form numbers and reopens quotes the
+// same way.
+export const saveQuote = async ({ id, values, payload, version }) => {
+  const now = new Date().toISOString();
+  const existing = id ? await getById(STORE, id) : null;
+
+  return put(STORE, {
+    ...existing,
+    id: existing?.id || crypto.randomUUID(),
+    documentType: getDocumentType(payload),
+    invoiceNo: payload.invoiceNo,
+    invoiceDate: payload.invoiceDate,
+    validUntil: payload.validUntil,
+    customerName: payload.customer.name,
+    totalInvoiceValue: payload.totalInvoiceValue,
+    status: existing?.status || QUOTE_STATUS.DRAFT,
+    values,
+    payload,
+    version: version ?? existing?.version,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  });
+};
+
+export const setQuoteStatus = async (id, status) => {
+  const quote = await getById(STORE, id);
+  if (!quote) throw new Error('Quote not found');
+
+  return put(STORE, { ...quote, status, updatedAt: new Date().toISOString() });
+};
+
+// Converting a quote accepts it and remembers the tax invoice it became. A
+// quote already converted keeps its link to the first invoice.
+export const markQuoteConverted = async (id, invoice) => {
+  const quote = await getById(STORE, id);
+  if (!quote) throw new Error('Quote not found');
+  if (quote.convertedInvoice) return quote;
+
+  const now = new Date().toISOString();
+  return put(STORE, {
+    ...quote,
+    status: QUOTE_STATUS.ACCEPTED,
+    convertedInvoice: { id: invoice.id, invoiceNo: invoice.invoiceNo },
+    convertedAt: now,
+    updatedAt: now,
+  });
+};
@@ -0,0 +1,70 @@
+import { getAll, getById, put, remove } from './db';
+import { saveDraft } from './draftStore';
+import { getToday } from '../utils/dates';
+import { buildRecurringValues, getDueDates } from '../utils/recurrence';
+
+const STORE = 'recurring';
+
+export const listTemplates = async () => {
+  const templates = await getAll(STORE);
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const getTemplate = (id) => getById(STORE, id);
+
+// `lastGeneratedDate` is the latest invoice date already queued, so editing a
+// schedule never re-issues invoices that were generated before.
+export const saveTemplate = async ({ id, name, schedule, values }) => {
+  const now = new Date().toISOString();
+  const existing = id ? await getById(STORE, id) : null;
+
+  return put(STORE, {
+    ...existing,
+    id: existing?.id || crypto.randomUUID(),
+    name: name.trim(),
+    schedule,
+    values: values || existing.values,
+    customerName: (values || existing.values).customer.name,
+    active: existing?.active ?? true,
+    lastGeneratedDate: existing?.lastGeneratedDate || null,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  });
+};
+
+export const setTemplateActive = async (id, active) => {
+  const template = await getById(STORE, id);
+  if (!template) throw new Error('Template not found');
+
+  return put(STORE, { ...template, active, updatedAt: new Date().toISOString() });
+};
+
+export const deleteTemplate = (id) => remove(STORE, id);
+
+// Queues a draft for every invoice that fell due up to `today`. Drafts are
+// keyed by template and date, so a second run never queues one twice.
+export const generateDueInvoices = async (today = getToday()) => {
+  const templates = await getAll(STORE);
+  const queued = [];
+
+  for (const template of templates) {
+    const dates = getDueDates(template, today);
+    if (dates.length === 0) continue;
+
+    for (const date of dates) {
+      queued.push(
+        await saveDraft({
+          id: `${template.id}:${date}`,
+          values: buildRecurringValues(template, date),
+          templateName: template.name,
+        })
+      );
+    }
+    await put(STORE, {
+      ...template,
+      lastGeneratedDate: dates[dates.length - 1],
+      updatedAt: new Date().toISOString(),
+    });
+  }
+  return queued;
+};
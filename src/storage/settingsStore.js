@@ -0,0 +1,51 @@
+import { getById, put } from './db';
+import { defaultBusinessProfile } from '../utils/businessProfile';
+import { DOCUMENT_TYPES } from '../utils/documentTypes';
+import { getDefaultNumberSeries } from '../utils/invoiceNumber';
+import { defaultLedgerMapping } from '../utils/journal';
+import { defaultRoundingSettings } from '../utils/tax';
+
+const STORE = 'settings';
+
+const getSetting = async (key, defaultValue) => {
+  const record = await getById(STORE, key);
+  return record ? record.value : defaultValue;
+};
+
+const saveSetting = async (key, value) => {
+  await put(STORE, { id: key, value });
+  return value;
+};
+
+// The invoice series keeps the key it had before notes got series of their own
+const getNumberSeriesKey = (documentType) =>
+  documentType === DOCUMENT_TYPES.INVOICE ? 'numberSeries' : `numberSeries:${documentType}`;
+
+export const getNumberSeries = async (documentType = DOCUMENT_TYPES.INVOICE) => {
+  const defaults = getDefaultNumberSeries(documentType);
+  return {
+    ...defaults,
+    ...(await getSetting(getNumberSeriesKey(documentType), defaults)),
+  };
+};
+
+export const saveNumberSeries = (series, documentType = DOCUMENT_TYPES.INVOICE) =>
+  saveSetting(getNumberSeriesKey(documentType), series);
+
+export const getRoundingSettings = async () => ({
+  ...defaultRoundingSettings,
+  ...(await getSetting('rounding', defaultRoundingSettings)),
+});
+
+export const saveRoundingSettings = (rounding) => saveSetting('rounding', rounding);
+
+export const getLedgerMapping = async () => ({
+  ...defaultLedgerMapping,
+  ...(await getSetting('ledgerMapping', defaultLedgerMapping)),
+});
+
+export const saveLedgerMapping = (mapping) => saveSetting('ledgerMapping', mapping);
+
+export const getBusinessProfile = () => getSetting('businessProfile', defaultBusinessProfile);
+
+export const saveBusinessProfile = (profile) => saveSetting('businessProfile', profile);
@@ -0,0 +1,71 @@
+import { toPaise } from './money';
+
+const ONES = [
+  '',
+  'One',
+  'Two',
+  'Three',
+  'Four',
+  'Five',
+  'Six',
+  'Seven',
+  'Eight',
+  'Nine',
+  'Ten',
+  'Eleven',
+  'Twelve',
+  'Thirteen',
+  'Fourteen',
+  'Fifteen',
+  'Sixteen',
+  'Seventeen',
+  'Eighteen',
+  'Nineteen',
+];
+
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigitsToWords = (num) =>
+  num < 20 ? ONES[num] : [TENS[Math.floor(num / 10)], ONES[num % 10]].filter(Boolean).join(' ');
+
+const threeDigitsToWords = (num) => {
+  const hundreds = Math.floor(num / 100);
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', twoDigitsToWords(num % 100)]
+    .filter(Boolean)
+    .join(' ');
+};
+
+// Indian grouping: the last three digits, then pairs for thousand and lakh,
+// and everything above is counted in crores.
+export const numberToWords = (num) => {
+  const value = Math.floor(Math.abs(num));
+  if (value === 0) return 'Zero';
+
+  const crore = Math.floor(value / 10000000);
+  const lakh = Math.floor(value / 100000) % 100;
+  const thousand = Math.floor(value / 1000) % 100;
+  const rest = value % 1000;
+
+  return [
+    crore ? `${numberToWords(crore)} Crore` : '',
+    lakh ? `${twoDigitsToWords(lakh)} Lakh` : '',
+    thousand ? `${twoDigitsToWords(thousand)} Thousand` : '',
+    threeDigitsToWords(rest),
+  ]
+    .filter(Boolean)
+    .join(' ');
+};
+
+// "Rupees One Lakh Twenty Three Thousand Four Hundred Fifty Six and Forty
+// Five Paise Only"; the paise part is left out for whole-rupee amounts.
+export const amountInWords = (amount) => {
+  const paise = Math.abs(toPaise(amount));
+  const rupees = Math.floor(paise / 100);
+  const remainingPaise = paise % 100;
+
+  return [
+    `Rupees ${numberToWords(rupees)}`,
+    remainingPaise ? ` and ${twoDigitsToWords(remainingPaise)} Paise` : '',
+    ' Only',
+  ].join('');
+};
@@ -0,0 +1,44 @@
+import { seller } from '../data/mockData';
+
+const DEFAULT_BRANCH_ID = 'main';
+
+// Until a profile is saved, invoices are issued by the sample seller
+export const defaultBusinessProfile = {
+  defaultBranchId: DEFAULT_BRANCH_ID,
+  branches: [
+    {
+      id: DEFAULT_BRANCH_ID,
+      ...seller,
+      bank: { accountName: '', accountNumber: '', ifsc: '', bankName: '', branchName: '' },
+      logo: '',
+      terms: '',
+    },
+  ],
+};
+
+// Falls back to the default branch when the branch has since been removed
+export const getBranch = (profile, branchId) =>
+  profile.branches.find((branch) => branch.id === branchId) ||
+  profile.branches.find((branch) => branch.id === profile.defaultBranchId) ||
+  profile.branches[0];
+
+// The seller as stored on each invoice, logo included, so a reprint shows the
+// business as it was when the invoice was issued. An empty logo is kept so it
+// is not mistaken for an invoice saved before logos were stored.
+export const toSellerBlock = (branch) => ({
+  branchId: branch.id,
+  name: branch.name,
+  gstin: branch.gstin,
+  address: branch.address,
+  state: branch.state,
+  phone: branch.phone || undefined,
+  email: branch.email || undefined,
+  bank: branch.bank?.accountNumber ? branch.bank : undefined,
+  terms: branch.terms || undefined,
+  logo: branch.logo || '',
+});
+
+// The seller an invoice was issued by. Invoices saved before the business
+// profile carry no seller block and were issued by the default branch.
+export const getInvoiceSeller = (invoice, profile) =>
+  invoice.seller || toSellerBlock(getBranch(profile, profile.defaultBranchId));
@@ -0,0 +1,11 @@
+const escapeCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` is a list of { header, value } where value reads a cell from a row
+export const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => escapeCell(column.header)).join(','),
+    ...rows.map((row) => columns.map((column) => escapeCell(column.value(row))).join(',')),
+  ].join('\n');
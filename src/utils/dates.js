@@ -0,0 +1,7 @@
+// Local date as "YYYY-MM-DD"
+export const getToday = (date = new Date()) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
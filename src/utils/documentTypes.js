@@ -0,0 +1,56 @@
+// Every stored document is one of these; records saved before notes existed
+// have no type and are tax invoices. Quotations and proforma invoices are
+// kept apart from tax documents and never reach the returns.
+export const DOCUMENT_TYPES = {
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'credit-note',
+  DEBIT_NOTE: 'debit-note',
+  QUOTATION: 'quotation',
+  PROFORMA: 'proforma',
+};
+
+// Invoices and notes are active until cancelled
+export const INVOICE_STATUS = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled',
+};
+
+export const DOCUMENT_LABELS = {
+  [DOCUMENT_TYPES.INVOICE]: 'Tax Invoice',
+  [DOCUMENT_TYPES.CREDIT_NOTE]: 'Credit Note',
+  [DOCUMENT_TYPES.DEBIT_NOTE]: 'Debit Note',
+  [DOCUMENT_TYPES.QUOTATION]: 'Quotation',
+  [DOCUMENT_TYPES.PROFORMA]: 'Proforma Invoice',
+};
+
+// What the document's number and date are labelled as, e.g. "Note No"
+export const DOCUMENT_SHORT_LABELS = {
+  [DOCUMENT_TYPES.INVOICE]: 'Invoice',
+  [DOCUMENT_TYPES.CREDIT_NOTE]: 'Note',
+  [DOCUMENT_TYPES.DEBIT_NOTE]: 'Note',
+  [DOCUMENT_TYPES.QUOTATION]: 'Quotation',
+  [DOCUMENT_TYPES.PROFORMA]: 'Proforma',
+};
+
+// Reasons used by the GST portal for credit and debit notes
+export const NOTE_REASONS = [
+  { code: '01', label: 'Sales Return' },
+  { code: '02', label: 'Post Sale Discount' },
+  { code: '03', label: 'Deficiency in Services' },
+  { code: '04', label: 'Correction in Invoice' },
+  { code: '05', label: 'Change in POS' },
+  { code: '06', label: 'Finalization of Provisional Assessment' },
+  { code: '07', label: 'Others' },
+];
+
+export const getDocumentType = (payload) => payload.documentType || DOCUMENT_TYPES.INVOICE;
+
+export const isNote = (documentType) =>
+  documentType === DOCUMENT_TYPES.CREDIT_NOTE || documentType === DOCUMENT_TYPES.DEBIT_NOTE;
+
+export const isQuote = (documentType) =>
+  documentType === DOCUMENT_TYPES.QUOTATION || documentType === DOCUMENT_TYPES.PROFORMA;
+
+// Payments are only taken against tax invoices. A note adjusts the balance of
+// the invoice it amends, and nothing is paid against a quotation.
+export const takesPayment = (documentType) => documentType === DOCUMENT_TYPES.INVOICE;
@@ -0,0 +1,15 @@
+export const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadJson = (data, fileName) =>
+  downloadFile(JSON.stringify(data, null, 2), fileName, 'application/json');
+
+export const downloadCsv = (csv, fileName) => downloadFile(csv, fileName, 'text/csv');
+
+export const downloadXml = (xml, fileName) => downloadFile(xml, fileName, 'application/xml');
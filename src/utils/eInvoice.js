@@ -0,0 +1,215 @@
+import { eInvoiceSchema } from '../schemas/eInvoiceSchema';
+import { DOCUMENT_TYPES, getDocumentType } from './documentTypes';
+import { fromPaise, roundHalfUp, toPaise } from './money';
+import { getStateCode } from './states';
+import { SUPPLY_TYPES, getSupplyType, isExport, isUnderLut } from './supplyTypes';
+import { TAX_TYPES } from './tax';
+
+const MAX_ADDRESS_LINE = 100;
+
+// 2026-04-01 -> 01/04/2026
+const formatDate = (date = '') => date.split('-').reverse().join('/');
+
+const DOCUMENT_CODES = {
+  [DOCUMENT_TYPES.INVOICE]: 'INV',
+  [DOCUMENT_TYPES.CREDIT_NOTE]: 'CRN',
+  [DOCUMENT_TYPES.DEBIT_NOTE]: 'DBN',
+};
+
+const SUPPLY_CODES = {
+  [SUPPLY_TYPES.REGULAR]: 'B2B',
+  [SUPPLY_TYPES.EXPORT_WITH_PAYMENT]: 'EXPWP',
+  [SUPPLY_TYPES.EXPORT_UNDER_LUT]: 'EXPWOP',
+  [SUPPLY_TYPES.SEZ_WITH_PAYMENT]: 'SEZWP',
+  [SUPPLY_TYPES.SEZ_UNDER_LUT]: 'SEZWOP',
+};
+
+// Overseas buyers are unregistered and have no Indian PIN code
+const UNREGISTERED_BUYER = 'URP';
+const FOREIGN_PIN = 999999;
+
+// Our addresses are free text, so the IRP address fields are pulled out of
+// them: the 6-digit PIN, the last part as the location and the rest as the
+// address lines. Anything that can't be found is left out and reported by
+// validateEInvoice.
+const splitAddress = (address = '', state) => {
+  const pin = address.match(/\b\d{6}\b/)?.[0];
+  const parts = address
+    .replace(pin, '')
+    .split(/[\n,]/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (parts.length > 1 && parts[parts.length - 1].toLowerCase() === state?.toLowerCase()) {
+    parts.pop();
+  }
+  const location = parts.length > 1 ? parts.pop() : undefined;
+
+  const lines = parts.reduce(
+    (acc, part) => {
+      const line = acc[acc.length - 1];
+      const joined = line ? `${line}, ${part}` : part;
+      if (joined.length <= MAX_ADDRESS_LINE || acc.length === 2) acc[acc.length - 1] = joined;
+      else acc.push(part);
+      return acc;
+    },
+    ['']
+  );
+
+  return {
+    Addr1: lines[0] || undefined,
+    Addr2: lines[1] ? lines[1].slice(0, MAX_ADDRESS_LINE) : undefined,
+    Loc: location,
+    Pin: pin ? Number(pin) : undefined,
+    Stcd: getStateCode(state),
+  };
+};
+
+const isService = (hsnCode = '') => hsnCode.startsWith('99');
+
+// The IRP checks TotAmt against UnitPrice x Qty. A price entered with tax has
+// no exact price before tax, so its unit price is rounded up to the three
+// decimals the IRP allows and the line total follows from it. The paise this
+// adds over the taxable value are shown as discount, so AssAmt still adds up.
+const getItemAmounts = (product) => {
+  const qty = Number(product.qty);
+  const taxableValue = toPaise(product.taxableValue);
+  const discount = toPaise(product.discount.amount) + toPaise(product.discount.invoiceDiscountShare);
+  if (!product.priceIncludesTax || !qty) {
+    return {
+      unitPrice: Number(product.exclusivePrice ?? product.salePrice),
+      total: taxableValue + discount,
+      discount,
+    };
+  }
+  // In tenths of a paisa
+  const unitPrice = Math.ceil(((taxableValue + discount) * 10) / qty - 1e-9);
+  const total = roundHalfUp((unitPrice * qty) / 10);
+  return { unitPrice: unitPrice / 1000, total, discount: total - taxableValue };
+};
+
+// Maps a stored invoice payload to the government e-invoice JSON (INV-01).
+// Units come from the line itself or, for older invoices, the catalog.
+export const buildEInvoice = (invoice, { seller, catalog = [] }) => {
+  const isInterState = invoice.taxType === TAX_TYPES.INTER_STATE;
+  const supplyType = getSupplyType(invoice);
+  const { customer, exportDetails } = invoice;
+  const shippingAddress = customer.shippingAddress || customer.billingAddress;
+
+  const items = invoice.products.map((product, index) => {
+    const cess = toPaise(product.cess);
+    const nonAdValoremCess = toPaise(product.nonAdValoremCess);
+    const { unitPrice, total, discount } = getItemAmounts(product);
+    const unit =
+      product.unit || catalog.find((item) => item.id === product.productId)?.unit || undefined;
+
+    return {
+      SlNo: String(index + 1),
+      PrdDesc: product.productName,
+      IsServc: isService(product.hsnCode) ? 'Y' : 'N',
+      HsnCd: product.hsnCode,
+      Qty: Number(product.qty),
+      FreeQty: product.freeQty || undefined,
+      Unit: unit,
+      UnitPrice: unitPrice,
+      TotAmt: fromPaise(total),
+      Discount: fromPaise(discount),
+      AssAmt: product.taxableValue,
+      GstRt: product.gstRate,
+      IgstAmt: product.gst.igst || 0,
+      CgstAmt: product.gst.cgst || 0,
+      SgstAmt: product.gst.sgst || 0,
+      CesRt: product.cessRate || 0,
+      CesAmt: fromPaise(cess - nonAdValoremCess),
+      CesNonAdvlAmt: fromPaise(nonAdValoremCess),
+      TotItemVal: product.totalValue,
+    };
+  });
+
+  const sum = (...fields) =>
+    fromPaise(
+      items.reduce(
+        (total, item) => total + fields.reduce((acc, field) => acc + toPaise(item[field]), 0),
+        0
+      )
+    );
+
+  return {
+    Version: '1.1',
+    TranDtls: {
+      TaxSch: 'GST',
+      SupTyp: SUPPLY_CODES[supplyType],
+      RegRev: 'N',
+      IgstOnIntra: 'N',
+    },
+    DocDtls: {
+      Typ: DOCUMENT_CODES[getDocumentType(invoice)],
+      No: invoice.invoiceNo,
+      Dt: formatDate(invoice.invoiceDate),
+    },
+    SellerDtls: {
+      Gstin: seller.gstin,
+      LglNm: seller.name,
+      ...splitAddress(seller.address, seller.state),
+      Ph: seller.phone?.replace(/\D/g, '') || undefined,
+      Em: seller.email || undefined,
+    },
+    BuyerDtls: {
+      Gstin: isExport(supplyType) ? UNREGISTERED_BUYER : customer.gstin,
+      LglNm: customer.name,
+      Pos: getStateCode(invoice.placeOfSupply),
+      ...splitAddress(customer.billingAddress, customer.state),
+      ...(isExport(supplyType) && { Pin: FOREIGN_PIN }),
+    },
+    ShipDtls:
+      shippingAddress !== customer.billingAddress
+        ? { LglNm: customer.name, ...splitAddress(shippingAddress, invoice.placeOfSupply) }
+        : undefined,
+    ItemList: items,
+    ExpDtls: isExport(supplyType)
+      ? {
+          ShipBNo: exportDetails.shippingBillNo,
+          ShipBDt: exportDetails.shippingBillDate
+            ? formatDate(exportDetails.shippingBillDate)
+            : undefined,
+          Port: exportDetails.portCode,
+          // IGST paid on an export is claimed back as a refund
+          RefClm: isUnderLut(supplyType) ? 'N' : 'Y',
+          ForCur: exportDetails.currency,
+          CntCode: customer.country,
+        }
+      : undefined,
+    // Notes refer back to the invoice they amend
+    RefDtls: invoice.originalInvoice
+      ? {
+          PrecDocDtls: [
+            {
+              InvNo: invoice.originalInvoice.invoiceNo,
+              InvDt: formatDate(invoice.originalInvoice.invoiceDate),
+            },
+          ],
+        }
+      : undefined,
+    ValDtls: {
+      AssVal: sum('AssAmt'),
+      CgstVal: isInterState ? 0 : sum('CgstAmt'),
+      SgstVal: isInterState ? 0 : sum('SgstAmt'),
+      IgstVal: isInterState ? sum('IgstAmt') : 0,
+      CesVal: sum('CesAmt', 'CesNonAdvlAmt'),
+      // Invoice discounts are already spread into each item's Discount
+      Discount: 0,
+      RndOffAmt: invoice.roundOff || 0,
+      TotInvVal: invoice.totalInvoiceValue,
+    },
+  };
+};
+
+// Lists every field the IRP would reject, e.g.
+// { field: 'BuyerDtls.Pin', message: 'PIN code is required' }
+export const validateEInvoice = (eInvoice) => {
+  const result = eInvoiceSchema.safeParse(eInvoice);
+  if (result.success) return [];
+  return result.error.issues.map((issue) => ({
+    field: issue.path.join('.'),
+    message: issue.message,
+  }));
+};
@@ -0,0 +1,40 @@
+import { getStateNameByCode } from './states';
+
+export const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[0-9A-Z]{1}Z[0-9A-Z]{1}$/;
+
+const CHECKSUM_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+export const isValidGstinFormat = (gstin) => GSTIN_PATTERN.test(gstin);
+
+// The 15th character is a Luhn mod-36 check digit over the first 14: every
+// second character's value is doubled and its base-36 digits are summed.
+export const calculateGstinCheckDigit = (gstin) => {
+  const sum = gstin
+    .slice(0, 14)
+    .split('')
+    .reduce((acc, char, index) => {
+      const product = CHECKSUM_CHARSET.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+      return acc + Math.floor(product / 36) + (product % 36);
+    }, 0);
+  return CHECKSUM_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+export const isValidGstinChecksum = (gstin) => calculateGstinCheckDigit(gstin) === gstin[14];
+
+export const isValidGstin = (gstin) => isValidGstinFormat(gstin) && isValidGstinChecksum(gstin);
+
+export const getStateFromGstin = (gstin) => getStateNameByCode(gstin.slice(0, 2));
+
+// Returns the validation message for a GSTIN, or undefined when it is valid
+// and registered in the given state.
+export const getGstinError = (gstin, state) => {
+  if (!isValidGstinFormat(gstin)) return 'Invalid GSTIN format';
+  if (!isValidGstinChecksum(gstin)) return 'Invalid GSTIN: check digit does not match';
+
+  const gstinState = getStateFromGstin(gstin);
+  if (!gstinState) return `Unknown state code ${gstin.slice(0, 2)} in GSTIN`;
+  if (state && state !== gstinState) {
+    return `GSTIN state code ${gstin.slice(0, 2)} is ${gstinState}, but the selected state is ${state}`;
+  }
+  return undefined;
+};
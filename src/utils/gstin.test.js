@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateGstinCheckDigit,
+  getGstinError,
+  getStateFromGstin,
+  isValidGstin,
+} from './gstin.js';
+
+const VALID_GSTIN = '27AAPFU0939F1ZV';
+
+describe('calculateGstinCheckDigit', () => {
+  it('matches the check digit of a registered GSTIN', () => {
+    assert.equal(calculateGstinCheckDigit(VALID_GSTIN), 'V');
+    assert.equal(isValidGstin(VALID_GSTIN), true);
+  });
+});
+
+describe('getStateFromGstin', () => {
+  it('reads the state from the first two digits', () => {
+    assert.equal(getStateFromGstin(VALID_GSTIN), 'Maharashtra');
+  });
+});
+
+describe('getGstinError', () => {
+  it('accepts a valid GSTIN in its own state or with no state picked', () => {
+    assert.equal(getGstinError(VALID_GSTIN, 'Maharashtra'), undefined);
+    assert.equal(getGstinError(VALID_GSTIN, ''), undefined);
+  });
+
+  it('rejects a wrong check digit', () => {
+    assert.equal(getGstinError('27AAPFU0939F1ZA'), 'Invalid GSTIN: check digit does not match');
+    assert.equal(isValidGstin('27AAPFU0939F1ZA'), false);
+  });
+
+  it('rejects a malformed GSTIN before checking its digit', () => {
+    ['', '27AAPFU0939F1Z', '27aapfu0939f1zv', '27AAPFU0939F1XV', 'AAAPFU0939F1ZVV'].forEach(
+      (gstin) => assert.equal(getGstinError(gstin), 'Invalid GSTIN format')
+    );
+  });
+
+  it('rejects an unknown state code', () => {
+    assert.equal(getGstinError('99AAPFU0939F1ZK'), 'Unknown state code 99 in GSTIN');
+  });
+
+  it('rejects a GSTIN from another state', () => {
+    assert.equal(
+      getGstinError(VALID_GSTIN, 'Karnataka'),
+      'GSTIN state code 27 is Maharashtra, but the selected state is Karnataka'
+    );
+  });
+});
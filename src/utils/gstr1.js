@@ -0,0 +1,413 @@
+import { units } from '../data/mockData';
+import { toCsv } from './csv';
+import { DOCUMENT_TYPES, getDocumentType } from './documentTypes';
+import { fromPaise, toPaise } from './money';
+import { getStateCode } from './states';
+import { SUPPLY_TYPES, getSupplyType, isExport, isUnderLut } from './supplyTypes';
+import { TAX_TYPES } from './tax';
+import { roundQuantity } from './units';
+
+// Unregistered inter-state invoices above this value are reported one by one
+// as B2C Large (₹1 lakh since August 2024); the rest are summed as B2C Small.
+export const B2CL_THRESHOLD = 100000;
+
+export const GSTR1_SECTIONS = [
+  { id: 'b2b', label: 'B2B Invoices' },
+  { id: 'b2cl', label: 'B2C Large' },
+  { id: 'b2cs', label: 'B2C Small' },
+  { id: 'exp', label: 'Exports' },
+  { id: 'cdnr', label: 'Credit/Debit Notes (Registered)' },
+  { id: 'cdnur', label: 'Credit/Debit Notes (Unregistered)' },
+  { id: 'hsn', label: 'HSN Summary' },
+];
+
+const AMOUNT_FIELDS = ['taxableValue', 'igst', 'cgst', 'sgst', 'cess'];
+
+const emptyAmounts = () => ({ taxableValue: 0, igst: 0, cgst: 0, sgst: 0, cess: 0 });
+
+const getLineAmounts = (product) => ({
+  taxableValue: toPaise(product.taxableValue),
+  igst: toPaise(product.gst.igst),
+  cgst: toPaise(product.gst.cgst),
+  sgst: toPaise(product.gst.sgst),
+  cess: toPaise(product.cess),
+});
+
+const addAmounts = (target, amounts, sign = 1) => {
+  AMOUNT_FIELDS.forEach((field) => {
+    target[field] += sign * amounts[field];
+  });
+  return target;
+};
+
+const toRupees = (row) => ({
+  ...row,
+  ...Object.fromEntries(AMOUNT_FIELDS.map((field) => [field, fromPaise(row[field])])),
+  ...(row.value !== undefined && { value: fromPaise(row.value) }),
+  ...(row.totalValue !== undefined && { totalValue: fromPaise(row.totalValue) }),
+  ...(row.items && { items: row.items.map(toRupees) }),
+});
+
+// GSTR-1 reports each document as one item per tax rate
+const summarizeByRate = (products) =>
+  Object.values(
+    products.reduce((acc, product) => {
+      const entry = acc[product.gstRate] || { rate: product.gstRate, ...emptyAmounts() };
+      acc[product.gstRate] = addAmounts(entry, getLineAmounts(product));
+      return acc;
+    }, {})
+  ).sort((a, b) => a.rate - b.rate);
+
+const getUqc = (product, catalog) =>
+  product.unit || catalog.find((item) => item.id === product.productId)?.unit || 'OTH';
+
+// Groups a period's saved documents ("YYYY-MM") into the GSTR-1 sections.
+// Credit notes reduce the B2C Small and HSN totals, debit notes add to them.
+// SEZ supplies are reported with B2B, and notes on exports as unregistered.
+export const buildGstr1Report = (records, { period, catalog = [] }) => {
+  const b2b = [];
+  const b2cl = [];
+  const exp = [];
+  const cdnr = [];
+  const cdnur = [];
+  const b2cs = {};
+  const hsn = {};
+
+  records
+    .filter((record) => record.invoiceDate.startsWith(period))
+    .forEach(({ payload }) => {
+      const documentType = getDocumentType(payload);
+      const isNote = documentType !== DOCUMENT_TYPES.INVOICE;
+      const sign = documentType === DOCUMENT_TYPES.CREDIT_NOTE ? -1 : 1;
+      const isInterState = payload.taxType === TAX_TYPES.INTER_STATE;
+      const supplyType = getSupplyType(payload);
+      // A note is reported in the same section as the invoice it amends
+      const sectionValue = payload.originalInvoice?.totalInvoiceValue ?? payload.totalInvoiceValue;
+
+      const document = {
+        gstin: payload.customer.gstin,
+        receiverName: payload.customer.name,
+        number: payload.invoiceNo,
+        date: payload.invoiceDate,
+        value: toPaise(payload.totalInvoiceValue),
+        placeOfSupply: payload.placeOfSupply,
+        isInterState,
+        noteType: isNote ? (sign < 0 ? 'C' : 'D') : undefined,
+        supplyType,
+        portCode: payload.exportDetails?.portCode,
+        shippingBillNo: payload.exportDetails?.shippingBillNo,
+        shippingBillDate: payload.exportDetails?.shippingBillDate,
+        items: summarizeByRate(payload.products),
+      };
+
+      if (isExport(supplyType)) {
+        (isNote ? cdnur : exp).push(document);
+      } else if (payload.customer.gstin) {
+        (isNote ? cdnr : b2b).push(document);
+      } else if (isInterState && sectionValue > B2CL_THRESHOLD) {
+        (isNote ? cdnur : b2cl).push(document);
+      } else {
+        const supplyType = isInterState ? 'INTER' : 'INTRA';
+        document.items.forEach((item) => {
+          const key = `${supplyType}|${payload.placeOfSupply}|${item.rate}`;
+          const entry = b2cs[key] || {
+            supplyType,
+            placeOfSupply: payload.placeOfSupply,
+            rate: item.rate,
+            ...emptyAmounts(),
+          };
+          b2cs[key] = addAmounts(entry, item, sign);
+        });
+      }
+
+      payload.products.forEach((product) => {
+        const uqc = getUqc(product, catalog);
+        const key = `${product.hsnCode}|${uqc}|${product.gstRate}`;
+        const amounts = getLineAmounts(product);
+        const entry = hsn[key] || {
+          hsnCode: product.hsnCode,
+          description: product.productName,
+          uqc,
+          rate: product.gstRate,
+          qty: 0,
+          totalValue: 0,
+          ...emptyAmounts(),
+        };
+        // Free scheme quantity is still supplied, so it counts towards the total
+        const qty = Number(product.qty) + (Number(product.freeQty) || 0);
+        entry.qty = roundQuantity(entry.qty + sign * qty);
+        entry.totalValue += sign * toPaise(product.totalValue);
+        hsn[key] = addAmounts(entry, amounts, sign);
+      });
+    });
+
+  return {
+    b2b: b2b.map(toRupees),
+    b2cl: b2cl.map(toRupees),
+    b2cs: Object.values(b2cs).map(toRupees),
+    exp: exp.map(toRupees),
+    cdnr: cdnr.map(toRupees),
+    cdnur: cdnur.map(toRupees),
+    hsn: Object.values(hsn)
+      .sort((a, b) => a.hsnCode.localeCompare(b.hsnCode) || a.rate - b.rate)
+      .map(toRupees),
+  };
+};
+
+// 2026-10-18 -> 18-10-2026 for the JSON, 18-Oct-2026 for the CSV templates
+const formatJsonDate = (date) => date.split('-').reverse().join('-');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const formatCsvDate = (date) => {
+  const [year, month, day] = date.split('-');
+  return `${day}-${MONTHS[Number(month) - 1]}-${year}`;
+};
+
+// Invoice types of B2B and registered note entries
+const INVOICE_TYPES = {
+  [SUPPLY_TYPES.SEZ_WITH_PAYMENT]: { code: 'SEWP', label: 'SEZ supplies with payment' },
+  [SUPPLY_TYPES.SEZ_UNDER_LUT]: { code: 'SEWOP', label: 'SEZ supplies without payment' },
+};
+const REGULAR_INVOICE_TYPE = { code: 'R', label: 'Regular B2B' };
+
+const getInvoiceType = (document) => INVOICE_TYPES[document.supplyType] || REGULAR_INVOICE_TYPE;
+
+// Unregistered note types: B2C Large, or exports with or without IGST paid
+const getUnregisteredType = (document) =>
+  isExport(document.supplyType)
+    ? isUnderLut(document.supplyType)
+      ? 'EXPWOP'
+      : 'EXPWP'
+    : 'B2CL';
+
+const getExportType = (document) => (isUnderLut(document.supplyType) ? 'WOPAY' : 'WPAY');
+
+const groupBy = (rows, getKey) =>
+  rows.reduce((acc, row) => {
+    const key = getKey(row);
+    acc[key] = [...(acc[key] || []), row];
+    return acc;
+  }, {});
+
+const toItems = (items, { isInterState }) =>
+  items.map((item, index) => ({
+    num: index + 1,
+    itm_det: {
+      txval: item.taxableValue,
+      rt: item.rate,
+      ...(isInterState ? { iamt: item.igst } : { camt: item.cgst, samt: item.sgst }),
+      csamt: item.cess,
+    },
+  }));
+
+// JSON accepted by the GSTR-1 offline tool and the portal's upload
+export const toGstr1Json = (report, { seller, period }) => {
+  const [year, month] = period.split('-');
+  const toDocument = (document) => ({
+    val: document.value,
+    pos: getStateCode(document.placeOfSupply),
+    itms: toItems(document.items, document),
+  });
+
+  return {
+    gstin: seller.gstin,
+    fp: `${month}${year}`,
+    b2b: Object.entries(groupBy(report.b2b, (document) => document.gstin)).map(
+      ([ctin, documents]) => ({
+        ctin,
+        inv: documents.map((document) => ({
+          inum: document.number,
+          idt: formatJsonDate(document.date),
+          rchrg: 'N',
+          inv_typ: getInvoiceType(document).code,
+          ...toDocument(document),
+        })),
+      })
+    ),
+    b2cl: Object.entries(groupBy(report.b2cl, (document) => document.placeOfSupply)).map(
+      ([state, documents]) => ({
+        pos: getStateCode(state),
+        inv: documents.map((document) => ({
+          inum: document.number,
+          idt: formatJsonDate(document.date),
+          val: document.value,
+          itms: toItems(document.items, { isInterState: true }),
+        })),
+      })
+    ),
+    b2cs: report.b2cs.map((row) => ({
+      sply_ty: row.supplyType,
+      pos: getStateCode(row.placeOfSupply),
+      typ: 'OE',
+      rt: row.rate,
+      txval: row.taxableValue,
+      ...(row.supplyType === 'INTER' ? { iamt: row.igst } : { camt: row.cgst, samt: row.sgst }),
+      csamt: row.cess,
+    })),
+    cdnr: Object.entries(groupBy(report.cdnr, (document) => document.gstin)).map(
+      ([ctin, documents]) => ({
+        ctin,
+        nt: documents.map((document) => ({
+          ntty: document.noteType,
+          nt_num: document.number,
+          nt_dt: formatJsonDate(document.date),
+          rchrg: 'N',
+          inv_typ: getInvoiceType(document).code,
+          ...toDocument(document),
+        })),
+      })
+    ),
+    exp: Object.entries(groupBy(report.exp, getExportType)).map(([expType, documents]) => ({
+      exp_typ: expType,
+      inv: documents.map((document) => ({
+        inum: document.number,
+        idt: formatJsonDate(document.date),
+        val: document.value,
+        sbpcode: document.portCode || undefined,
+        sbnum: document.shippingBillNo || undefined,
+        sbdt: document.shippingBillDate ? formatJsonDate(document.shippingBillDate) : undefined,
+        itms: document.items.map((item) => ({
+          txval: item.taxableValue,
+          rt: item.rate,
+          iamt: item.igst,
+          csamt: item.cess,
+        })),
+      })),
+    })),
+    cdnur: report.cdnur.map((document) => ({
+      typ: getUnregisteredType(document),
+      ntty: document.noteType,
+      nt_num: document.number,
+      nt_dt: formatJsonDate(document.date),
+      ...toDocument(document),
+    })),
+    hsn: {
+      data: report.hsn.map((row, index) => ({
+        num: index + 1,
+        hsn_sc: row.hsnCode,
+        desc: row.description,
+        uqc: row.uqc,
+        qty: row.qty,
+        rt: row.rate,
+        txval: row.taxableValue,
+        iamt: row.igst,
+        camt: row.cgst,
+        samt: row.sgst,
+        csamt: row.cess,
+      })),
+    },
+  };
+};
+
+const formatPlaceOfSupply = (state) => `${getStateCode(state)}-${state}`;
+
+const formatUqc = (code) => {
+  const unit = units.find((item) => item.code === code);
+  return unit ? `${unit.code}-${unit.name.toUpperCase()}` : code;
+};
+
+// One row per document and rate, as in the offline tool's CSV templates
+const flattenItems = (documents) =>
+  documents.flatMap((document) => document.items.map((item) => ({ ...document, ...item })));
+
+const CSV_COLUMNS = {
+  b2b: [
+    { header: 'GSTIN/UIN of Recipient', value: (row) => row.gstin },
+    { header: 'Receiver Name', value: (row) => row.receiverName },
+    { header: 'Invoice Number', value: (row) => row.number },
+    { header: 'Invoice date', value: (row) => formatCsvDate(row.date) },
+    { header: 'Invoice Value', value: (row) => row.value },
+    { header: 'Place Of Supply', value: (row) => formatPlaceOfSupply(row.placeOfSupply) },
+    { header: 'Reverse Charge', value: () => 'N' },
+    { header: 'Applicable % of Tax Rate', value: () => '' },
+    { header: 'Invoice Type', value: (row) => getInvoiceType(row).label },
+    { header: 'E-Commerce GSTIN', value: () => '' },
+    { header: 'Rate', value: (row) => row.rate },
+    { header: 'Taxable Value', value: (row) => row.taxableValue },
+    { header: 'Cess Amount', value: (row) => row.cess },
+  ],
+  b2cl: [
+    { header: 'Invoice Number', value: (row) => row.number },
+    { header: 'Invoice date', value: (row) => formatCsvDate(row.date) },
+    { header: 'Invoice Value', value: (row) => row.value },
+    { header: 'Place Of Supply', value: (row) => formatPlaceOfSupply(row.placeOfSupply) },
+    { header: 'Applicable % of Tax Rate', value: () => '' },
+    { header: 'Rate', value: (row) => row.rate },
+    { header: 'Taxable Value', value: (row) => row.taxableValue },
+    { header: 'Cess Amount', value: (row) => row.cess },
+    { header: 'E-Commerce GSTIN', value: () => '' },
+  ],
+  b2cs: [
+    { header: 'Type', value: () => 'OE' },
+    { header: 'Place Of Supply', value: (row) => formatPlaceOfSupply(row.placeOfSupply) },
+    { header: 'Applicable % of Tax Rate', value: () => '' },
+    { header: 'Rate', value: (row) => row.rate },
+    { header: 'Taxable Value', value: (row) => row.taxableValue },
+    { header: 'Cess Amount', value: (row) => row.cess },
+    { header: 'E-Commerce GSTIN', value: () => '' },
+  ],
+  exp: [
+    { header: 'Export Type', value: getExportType },
+    { header: 'Invoice Number', value: (row) => row.number },
+    { header: 'Invoice date', value: (row) => formatCsvDate(row.date) },
+    { header: 'Invoice Value', value: (row) => row.value },
+    { header: 'Port Code', value: (row) => row.portCode || '' },
+    { header: 'Shipping Bill Number', value: (row) => row.shippingBillNo || '' },
+    {
+      header: 'Shipping Bill Date',
+      value: (row) => (row.shippingBillDate ? formatCsvDate(row.shippingBillDate) : ''),
+    },
+    { header: 'Rate', value: (row) => row.rate },
+    { header: 'Taxable Value', value: (row) => row.taxableValue },
+    { header: 'Cess Amount', value: (row) => row.cess },
+  ],
+  cdnr: [
+    { header: 'GSTIN/UIN of Recipient', value: (row) => row.gstin },
+    { header: 'Receiver Name', value: (row) => row.receiverName },
+    { header: 'Note Number', value: (row) => row.number },
+    { header: 'Note Date', value: (row) => formatCsvDate(row.date) },
+    { header: 'Note Type', value: (row) => row.noteType },
+    { header: 'Place Of Supply', value: (row) => formatPlaceOfSupply(row.placeOfSupply) },
+    { header: 'Reverse Charge', value: () => 'N' },
+    { header: 'Note Supply Type', value: (row) => getInvoiceType(row).label },
+    { header: 'Note Value', value: (row) => row.value },
+    { header: 'Applicable % of Tax Rate', value: () => '' },
+    { header: 'Rate', value: (row) => row.rate },
+    { header: 'Taxable Value', value: (row) => row.taxableValue },
+    { header: 'Cess Amount', value: (row) => row.cess },
+  ],
+  cdnur: [
+    { header: 'UR Type', value: getUnregisteredType },
+    { header: 'Note Number', value: (row) => row.number },
+    { header: 'Note Date', value: (row) => formatCsvDate(row.date) },
+    { header: 'Note Type', value: (row) => row.noteType },
+    { header: 'Place Of Supply', value: (row) => formatPlaceOfSupply(row.placeOfSupply) },
+    { header: 'Note Value', value: (row) => row.value },
+    { header: 'Applicable % of Tax Rate', value: () => '' },
+    { header: 'Rate', value: (row) => row.rate },
+    { header: 'Taxable Value', value: (row) => row.taxableValue },
+    { header: 'Cess Amount', value: (row) => row.cess },
+  ],
+  hsn: [
+    { header: 'HSN', value: (row) => row.hsnCode },
+    { header: 'Description', value: (row) => row.description },
+    { header: 'UQC', value: (row) => formatUqc(row.uqc) },
+    { header: 'Total Quantity', value: (row) => row.qty },
+    { header: 'Total Value', value: (row) => row.totalValue },
+    { header: 'Rate', value: (row) => row.rate },
+    { header: 'Taxable Value', value: (row) => row.taxableValue },
+    { header: 'Integrated Tax Amount', value: (row) => row.igst },
+    { header: 'Central Tax Amount', value: (row) => row.cgst },
+    { header: 'State/UT Tax Amount', value: (row) => row.sgst },
+    { header: 'Cess Amount', value: (row) => row.cess },
+  ],
+};
+
+const DOCUMENT_SECTIONS = ['b2b', 'b2cl', 'exp', 'cdnr', 'cdnur'];
+
+export const toGstr1Csv = (report, section) =>
+  toCsv(
+    CSV_COLUMNS[section],
+    DOCUMENT_SECTIONS.includes(section) ? flattenItems(report[section]) : report[section]
+  );
@@ -0,0 +1,194 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOCUMENT_TYPES } from './documentTypes.js';
+import { B2CL_THRESHOLD, buildGstr1Report, toGstr1Json } from './gstr1.js';
+import { SUPPLY_TYPES } from './supplyTypes.js';
+import { TAX_TYPES } from './tax.js';
+
+const SELLER_STATE = 'Maharashtra';
+
+// A stored record with one line at 18%, taxed by where it is supplied
+const record = ({
+  invoiceNo,
+  invoiceDate = '2026-04-10',
+  gstin,
+  placeOfSupply = SELLER_STATE,
+  taxableValue = 1000,
+  supplyType = SUPPLY_TYPES.REGULAR,
+  documentType,
+  originalInvoice,
+  hsnCode = '8471',
+  qty = 1,
+  totalInvoiceValue: total,
+}) => {
+  const isInterState = placeOfSupply !== SELLER_STATE || supplyType !== SUPPLY_TYPES.REGULAR;
+  const tax = (taxableValue * 18) / 100;
+  const totalInvoiceValue = total ?? taxableValue + tax;
+  return {
+    invoiceDate,
+    payload: {
+      documentType,
+      invoiceNo,
+      invoiceDate,
+      supplyType,
+      originalInvoice,
+      customer: { name: `Customer of ${invoiceNo}`, gstin },
+      placeOfSupply,
+      taxType: isInterState ? TAX_TYPES.INTER_STATE : TAX_TYPES.INTRA_STATE,
+      totalInvoiceValue,
+      products: [
+        {
+          productName: 'Laptop',
+          hsnCode,
+          unit: 'NOS',
+          qty,
+          gstRate: 18,
+          taxableValue,
+          gst: isInterState ? { igst: tax } : { cgst: tax / 2, sgst: tax / 2 },
+          totalValue: totalInvoiceValue,
+        },
+      ],
+    },
+  };
+};
+
+const numbers = (documents) => documents.map((document) => document.number);
+
+describe('buildGstr1Report', () => {
+  const records = [
+    record({ invoiceNo: 'B2B-1', gstin: '29AAPFU0939F1ZR', placeOfSupply: 'Karnataka' }),
+    record({
+      invoiceNo: 'SEZ-1',
+      gstin: '27AAPFU0939F1ZV',
+      supplyType: SUPPLY_TYPES.SEZ_UNDER_LUT,
+    }),
+    record({ invoiceNo: 'B2CL-1', placeOfSupply: 'Karnataka', taxableValue: 90000 }),
+    record({ invoiceNo: 'B2CS-1', placeOfSupply: 'Karnataka', taxableValue: 80000 }),
+    record({ invoiceNo: 'B2CS-2', taxableValue: 200000 }),
+    record({
+      invoiceNo: 'EXP-1',
+      placeOfSupply: 'Other Countries',
+      supplyType: SUPPLY_TYPES.EXPORT_UNDER_LUT,
+    }),
+    record({
+      invoiceNo: 'CN-1',
+      documentType: DOCUMENT_TYPES.CREDIT_NOTE,
+      gstin: '29AAPFU0939F1ZR',
+      placeOfSupply: 'Karnataka',
+      taxableValue: 100,
+    }),
+    record({
+      invoiceNo: 'CN-2',
+      documentType: DOCUMENT_TYPES.CREDIT_NOTE,
+      placeOfSupply: 'Karnataka',
+      taxableValue: 100,
+      originalInvoice: { invoiceNo: 'B2CL-1', totalInvoiceValue: 106200 },
+    }),
+    record({
+      invoiceNo: 'DN-1',
+      documentType: DOCUMENT_TYPES.DEBIT_NOTE,
+      placeOfSupply: 'Karnataka',
+      taxableValue: 500,
+      originalInvoice: { invoiceNo: 'B2CS-1', totalInvoiceValue: 94400 },
+    }),
+    record({ invoiceNo: 'MAY-1', invoiceDate: '2026-05-02', gstin: '29AAPFU0939F1ZR' }),
+  ];
+  const report = buildGstr1Report(records, { period: '2026-04' });
+
+  it('reports only documents dated in the period', () => {
+    const all = [report.b2b, report.b2cl, report.exp, report.cdnr, report.cdnur].flatMap(numbers);
+    assert.equal(all.includes('MAY-1'), false);
+  });
+
+  it('puts registered buyers, SEZ units included, in B2B', () => {
+    assert.deepEqual(numbers(report.b2b), ['B2B-1', 'SEZ-1']);
+  });
+
+  it('reports unregistered inter-state invoices above the threshold as B2C Large', () => {
+    assert.deepEqual(numbers(report.b2cl), ['B2CL-1']);
+  });
+
+  it('sums other unregistered supplies by type, state and rate, netting their notes', () => {
+    assert.deepEqual(report.b2cs, [
+      {
+        supplyType: 'INTER',
+        placeOfSupply: 'Karnataka',
+        rate: 18,
+        taxableValue: 80500,
+        igst: 14490,
+        cgst: 0,
+        sgst: 0,
+        cess: 0,
+      },
+      {
+        supplyType: 'INTRA',
+        placeOfSupply: SELLER_STATE,
+        rate: 18,
+        taxableValue: 200000,
+        igst: 0,
+        cgst: 18000,
+        sgst: 18000,
+        cess: 0,
+      },
+    ]);
+  });
+
+  it('reports exports on their own', () => {
+    assert.deepEqual(numbers(report.exp), ['EXP-1']);
+  });
+
+  it('reports notes in the section of the invoice they amend', () => {
+    assert.deepEqual(numbers(report.cdnr), ['CN-1']);
+    assert.equal(report.cdnr[0].noteType, 'C');
+    assert.deepEqual(numbers(report.cdnur), ['CN-2']);
+  });
+
+  it('nets credit notes out of the HSN summary', () => {
+    assert.deepEqual(report.hsn, [
+      {
+        hsnCode: '8471',
+        description: 'Laptop',
+        uqc: 'NOS',
+        rate: 18,
+        qty: 5,
+        totalValue: 440494,
+        taxableValue: 373300,
+        igst: 31194,
+        cgst: 18000,
+        sgst: 18000,
+        cess: 0,
+      },
+    ]);
+  });
+
+  it('keeps an invoice of exactly the threshold in B2C Small', () => {
+    const edge = (invoiceNo, totalInvoiceValue) =>
+      record({ invoiceNo, placeOfSupply: 'Karnataka', taxableValue: 84746, totalInvoiceValue });
+    const { b2cl, b2cs } = buildGstr1Report(
+      [edge('EDGE-1', B2CL_THRESHOLD), edge('EDGE-2', B2CL_THRESHOLD + 0.01)],
+      { period: '2026-04' }
+    );
+    assert.deepEqual(numbers(b2cl), ['EDGE-2']);
+    assert.equal(b2cs[0].taxableValue, 84746);
+  });
+
+  it('reports an unregistered note against an export by its export type', () => {
+    const json = toGstr1Json(
+      buildGstr1Report(
+        [
+          record({
+            invoiceNo: 'CN-3',
+            documentType: DOCUMENT_TYPES.CREDIT_NOTE,
+            placeOfSupply: 'Other Countries',
+            supplyType: SUPPLY_TYPES.EXPORT_UNDER_LUT,
+          }),
+        ],
+        { period: '2026-04' }
+      ),
+      { seller: { gstin: '27AAPFU0939F1ZV' }, period: '2026-04' }
+    );
+    assert.equal(json.fp, '042026');
+    assert.equal(json.cdnur[0].typ, 'EXPWOP');
+    assert.equal(json.cdnur[0].ntty, 'C');
+  });
+});
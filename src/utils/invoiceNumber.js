@@ -0,0 +1,74 @@
+import { DOCUMENT_TYPES } from './documentTypes';
+
+// GST rules cap a document number at 16 characters made of letters, digits,
+// "/" and "-", unique and consecutive within a financial year.
+export const MAX_INVOICE_NO_LENGTH = 16;
+export const INVOICE_NO_PATTERN = /^[A-Za-z0-9/-]+$/;
+
+export const defaultNumberSeries = {
+  prefix: 'INV/',
+  includeFinancialYear: true,
+  separator: '/',
+  padding: 4,
+};
+
+// Notes are numbered in series of their own, and quotations and proforma
+// invoices in reference series that never use up tax invoice numbers
+const SERIES_PREFIXES = {
+  [DOCUMENT_TYPES.INVOICE]: 'INV/',
+  [DOCUMENT_TYPES.CREDIT_NOTE]: 'CN/',
+  [DOCUMENT_TYPES.DEBIT_NOTE]: 'DN/',
+  [DOCUMENT_TYPES.QUOTATION]: 'QT/',
+  [DOCUMENT_TYPES.PROFORMA]: 'PI/',
+};
+
+export const getDefaultNumberSeries = (documentType = DOCUMENT_TYPES.INVOICE) => ({
+  ...defaultNumberSeries,
+  prefix: SERIES_PREFIXES[documentType],
+});
+
+const toDate = (value) => (value ? new Date(`${value}T00:00:00`) : new Date());
+
+// The Indian financial year runs from 1 April to 31 March, e.g. "2026-27"
+export const getFinancialYear = (dateValue) => {
+  const date = toDate(dateValue);
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const getSeriesPrefix = (series, financialYear) =>
+  series.includeFinancialYear
+    ? `${series.prefix}${financialYear}${series.separator}`
+    : series.prefix;
+
+export const formatInvoiceNumber = (series, financialYear, sequence) =>
+  `${getSeriesPrefix(series, financialYear)}${String(sequence).padStart(series.padding, '0')}`;
+
+// Continues after the highest number already issued in the same series and
+// financial year, so cancelled invoices keep their number and leave no gap.
+export const getNextInvoiceNumber = (series, dateValue, existingInvoices) => {
+  const financialYear = getFinancialYear(dateValue);
+  const seriesPrefix = getSeriesPrefix(series, financialYear);
+
+  const lastSequence = existingInvoices
+    .filter(
+      (invoice) =>
+        getFinancialYear(invoice.invoiceDate) === financialYear &&
+        invoice.invoiceNo.startsWith(seriesPrefix)
+    )
+    .map((invoice) => Number(invoice.invoiceNo.slice(seriesPrefix.length)))
+    .filter(Number.isInteger)
+    .reduce((max, sequence) => Math.max(max, sequence), 0);
+
+  return formatInvoiceNumber(series, financialYear, lastSequence + 1);
+};
+
+export const isDuplicateInvoiceNumber = (invoiceNo, dateValue, existingInvoices, currentId) => {
+  const financialYear = getFinancialYear(dateValue);
+  return existingInvoices.some(
+    (invoice) =>
+      invoice.id !== currentId &&
+      invoice.invoiceNo.toUpperCase() === invoiceNo.toUpperCase() &&
+      getFinancialYear(invoice.invoiceDate) === financialYear
+  );
+};
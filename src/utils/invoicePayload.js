@@ -0,0 +1,135 @@
+import { amountInWords } from './amountInWords';
+import { toSellerBlock } from './businessProfile';
+import { DOCUMENT_TYPES, NOTE_REASONS, isNote, isQuote, takesPayment } from './documentTypes';
+import { fromPaise, toForeignAmount, toPaise } from './money';
+import { PAYMENT_METHODS, sumPayments } from './payments';
+import { getStateTaxLabel } from './states';
+import { getSupplyType, isExport, isUnderLut } from './supplyTypes';
+import { TAX_TYPES, calculateInvoice, getTaxType } from './tax';
+
+export const getInvoiceDiscount = (data) => ({
+  type: data.invoiceDiscountType,
+  value: data.invoiceDiscount,
+});
+
+// Builds the invoice document stored in the register and used for printing
+// from validated form values.
+export const buildInvoicePayload = (data, { seller, rounding }) => {
+  const supplyType = getSupplyType(data);
+  const taxType = getTaxType(seller.state, data.customer.state, supplyType);
+  const { lines, totals, taxBreakup } = calculateInvoice(data.products, {
+    taxType,
+    invoiceDiscount: getInvoiceDiscount(data),
+    rounding,
+    withoutTax: isUnderLut(supplyType),
+  });
+  const { exportDetails } = data;
+
+  const documentType = data.documentType || DOCUMENT_TYPES.INVOICE;
+
+  return {
+    documentType,
+    ...(isNote(documentType) && {
+      originalInvoice: {
+        invoiceNo: data.originalInvoice.invoiceNo,
+        invoiceDate: data.originalInvoice.invoiceDate,
+        totalInvoiceValue: data.originalInvoice.totalInvoiceValue,
+      },
+      reason: NOTE_REASONS.find((reason) => reason.code === data.reasonCode),
+    }),
+    sourceQuote: data.sourceQuote
+      ? {
+          documentType: data.sourceQuote.documentType,
+          invoiceNo: data.sourceQuote.invoiceNo,
+          invoiceDate: data.sourceQuote.invoiceDate,
+        }
+      : undefined,
+    invoiceNo: data.invoiceNo,
+    invoiceDate: data.invoiceDate,
+    validUntil: isQuote(documentType) ? data.validUntil : undefined,
+    seller: toSellerBlock(seller),
+    priceList: data.priceList,
+    priceIncludesTax: data.products.some((product) => product.priceIncludesTax),
+    customer: {
+      name: data.customer.name,
+      billingAddress: data.customer.billingAddress,
+      shippingAddress: data.customer.shippingAddress || data.customer.billingAddress,
+      state: data.customer.state,
+      gstin: data.customer.gstin || undefined,
+      country: isExport(supplyType) ? data.customer.country : undefined,
+    },
+    placeOfSupply: data.customer.state,
+    supplyType,
+    taxType,
+    // SGST, or UTGST when the seller is in a union territory
+    stateTaxLabel: getStateTaxLabel(seller.state),
+    products: data.products.map((product, index) => {
+      const values = lines[index];
+      return {
+        productId: product.productId || undefined,
+        productName: product.productName,
+        hsnCode: product.hsnCode,
+        qty: product.qty,
+        unit: product.unit,
+        freeQty: product.freeQty || undefined,
+        salePrice: product.salePrice,
+        // An inclusive price is kept as entered next to the price before tax
+        priceIncludesTax: product.priceIncludesTax || undefined,
+        inclusivePrice: product.priceIncludesTax ? product.salePrice : undefined,
+        exclusivePrice: values.exclusivePrice,
+        discount: {
+          type: product.discountType,
+          value: product.discount,
+          amount: values.discountAmount,
+          invoiceDiscountShare: values.invoiceDiscountShare,
+        },
+        taxableValue: values.taxableValue,
+        gstRate: values.gstRate,
+        gst:
+          taxType === TAX_TYPES.INTER_STATE
+            ? { igst: values.igst }
+            : { cgst: values.cgst, sgst: values.sgst },
+        cess: values.cess || undefined,
+        cessRate: product.cessRate || undefined,
+        nonAdValoremCess: values.nonAdValoremCess || undefined,
+        totalValue: values.totalValue,
+      };
+    }),
+    invoiceDiscount: data.invoiceDiscount
+      ? {
+          type: data.invoiceDiscountType,
+          value: data.invoiceDiscount,
+          amount: totals.totalInvoiceDiscount,
+        }
+      : undefined,
+    taxBreakup,
+    totalBeforeRoundOff: totals.totalValue,
+    roundOff: totals.roundOff,
+    totalInvoiceValue: totals.grandTotal,
+    amountInWords: amountInWords(totals.grandTotal),
+    // Amounts stay in rupees; exports also carry the total in their currency
+    exportDetails: isExport(supplyType)
+      ? {
+          currency: exportDetails.currency,
+          exchangeRate: exportDetails.exchangeRate,
+          portCode: exportDetails.portCode || undefined,
+          shippingBillNo: exportDetails.shippingBillNo || undefined,
+          shippingBillDate: exportDetails.shippingBillDate || undefined,
+          totalInvoiceValue: toForeignAmount(totals.grandTotal, exportDetails.exchangeRate),
+        }
+      : undefined,
+    ...(takesPayment(documentType) && {
+      paymentMethod: data.paymentMethod,
+      dueDate: data.paymentMethod === PAYMENT_METHODS.CREDIT ? data.dueDate : undefined,
+      payments: data.payments.map((payment) => ({
+        mode: payment.mode,
+        amount: payment.amount,
+        reference: payment.reference || undefined,
+        date: payment.date || data.invoiceDate,
+      })),
+      // As issued; receipts recorded later are kept on the invoice record
+      balanceDue: fromPaise(toPaise(totals.grandTotal) - sumPayments(data.payments)),
+    }),
+    narration: data.narration || undefined,
+  };
+};
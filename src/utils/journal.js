@@ -0,0 +1,81 @@
+import { toCsv } from './csv';
+import { DOCUMENT_TYPES, getDocumentType } from './documentTypes';
+import { fromPaise, toPaise } from './money';
+
+// Ledger names as they exist in the books. A blank party ledger posts each
+// invoice to a ledger named after its customer.
+export const defaultLedgerMapping = {
+  sales: 'Sales',
+  cgst: 'Output CGST',
+  sgst: 'Output SGST',
+  utgst: 'Output UTGST',
+  igst: 'Output IGST',
+  cess: 'Output Cess',
+  roundOff: 'Round Off',
+  party: '',
+};
+
+export const VOUCHER_TYPES = {
+  [DOCUMENT_TYPES.INVOICE]: 'Sales',
+  [DOCUMENT_TYPES.CREDIT_NOTE]: 'Credit Note',
+  [DOCUMENT_TYPES.DEBIT_NOTE]: 'Debit Note',
+};
+
+const sumLines = (products, read) =>
+  products.reduce((total, product) => total + toPaise(read(product)), 0);
+
+// Double-entry lines for one invoice payload, in paise: the party is debited
+// with the invoice total and sales, taxes and round-off are credited. A credit
+// note posts the same lines the other way round. A seller in a union territory
+// charges UTGST in place of SGST, which has a ledger of its own.
+export const buildJournalEntries = (invoice, mapping = defaultLedgerMapping) => {
+  const isCreditNote = getDocumentType(invoice) === DOCUMENT_TYPES.CREDIT_NOTE;
+  const stateTaxLedger = invoice.stateTaxLabel === 'UTGST' ? mapping.utgst : mapping.sgst;
+  const credits = [
+    { ledger: mapping.sales, amount: sumLines(invoice.products, (product) => product.taxableValue) },
+    { ledger: mapping.cgst, amount: sumLines(invoice.products, (product) => product.gst.cgst) },
+    { ledger: stateTaxLedger, amount: sumLines(invoice.products, (product) => product.gst.sgst) },
+    { ledger: mapping.igst, amount: sumLines(invoice.products, (product) => product.gst.igst) },
+    { ledger: mapping.cess, amount: sumLines(invoice.products, (product) => product.cess) },
+    { ledger: mapping.roundOff, amount: toPaise(invoice.roundOff) },
+  ].filter((entry) => entry.amount !== 0);
+  const party = {
+    ledger: mapping.party || invoice.customer.name,
+    amount: -credits.reduce((total, entry) => total + entry.amount, 0),
+  };
+
+  // Positive amounts are credits; a negative round-off becomes a debit
+  return [party, ...credits].map(({ ledger, amount }) => {
+    const signed = isCreditNote ? -amount : amount;
+    return {
+      ledger,
+      debit: signed < 0 ? -signed : 0,
+      credit: signed > 0 ? signed : 0,
+    };
+  });
+};
+
+const JOURNAL_COLUMNS = [
+  { header: 'Date', value: (row) => row.date },
+  { header: 'Voucher Type', value: (row) => row.voucherType },
+  { header: 'Voucher No', value: (row) => row.voucherNo },
+  { header: 'Ledger', value: (row) => row.ledger },
+  { header: 'Debit', value: (row) => (row.debit ? fromPaise(row.debit).toFixed(2) : '') },
+  { header: 'Credit', value: (row) => (row.credit ? fromPaise(row.credit).toFixed(2) : '') },
+  { header: 'Narration', value: (row) => row.narration },
+];
+
+// A plain journal most accounting tools can import: one row per ledger line
+export const toJournalCsv = (invoices, mapping) =>
+  toCsv(
+    JOURNAL_COLUMNS,
+    invoices.flatMap((invoice) =>
+      buildJournalEntries(invoice, mapping).map((entry) => ({
+        ...entry,
+        date: invoice.invoiceDate,
+        voucherType: VOUCHER_TYPES[getDocumentType(invoice)],
+        voucherNo: invoice.invoiceNo,
+        narration: invoice.narration,
+      }))
+    )
+  );
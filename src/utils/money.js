@@ -0,0 +1,60 @@
+// Amounts are calculated in integer paise and only converted back to rupees
+// at the edges, so totals never pick up floating-point residue.
+
+// Rounds half away from zero; the epsilon absorbs float noise such as
+// 100.49999999999999 from 1005 * 10 / 100.
+export const roundHalfUp = (value) => Math.sign(value) * Math.round(Math.abs(value) + 1e-9);
+
+export const toPaise = (rupees) => {
+  const value = Number(rupees);
+  return Number.isFinite(value) ? roundHalfUp(value * 100) : 0;
+};
+
+export const fromPaise = (paise) => paise / 100;
+
+export const percentOf = (paise, rate) => roundHalfUp((paise * (Number(rate) || 0)) / 100);
+
+// Splits a paise amount in proportion to the weights using the largest
+// remainder method, so the parts always add back up to the exact total.
+export const allocatePaise = (totalPaise, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!totalPaise || totalWeight <= 0) return weights.map(() => 0);
+
+  const exactShares = weights.map((weight) => (totalPaise * weight) / totalWeight);
+  const shares = exactShares.map(Math.trunc);
+  let remainder = totalPaise - shares.reduce((sum, share) => sum + share, 0);
+  const step = Math.sign(remainder);
+
+  exactShares
+    .map((share, index) => ({ index, fraction: Math.abs(share - shares[index]) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remainder !== 0) {
+        shares[index] += step;
+        remainder -= step;
+      }
+    });
+
+  return shares;
+};
+
+// Difference needed to bring a total to the nearest whole rupee
+export const getRoundOff = (paise) => roundHalfUp(paise / 100) * 100 - paise;
+
+const currencyFormat = new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+});
+
+// ₹1,23,456.78 with lakh/crore digit grouping
+export const formatCurrency = (rupees) => currencyFormat.format(Number(rupees) || 0);
+
+// Rupees converted at `exchangeRate` rupees per unit of a foreign currency,
+// to the cent
+export const toForeignAmount = (rupees, exchangeRate) =>
+  Number(exchangeRate) > 0 ? fromPaise(roundHalfUp(toPaise(rupees) / Number(exchangeRate))) : 0;
+
+export const formatForeignCurrency = (amount, currency) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(Number(amount) || 0);
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocatePaise, getRoundOff, percentOf, roundHalfUp, toPaise } from './money.js';
+
+describe('toPaise', () => {
+  it('converts rupees without float residue', () => {
+    assert.equal(toPaise(89.99), 8999);
+    assert.equal(toPaise(0.1 + 0.2), 30);
+    assert.equal(toPaise('1234.565'), 123457);
+  });
+
+  it('treats anything that is not a number as zero', () => {
+    assert.equal(toPaise(''), 0);
+    assert.equal(toPaise(undefined), 0);
+    assert.equal(toPaise('abc'), 0);
+  });
+});
+
+describe('roundHalfUp', () => {
+  it('rounds halves away from zero', () => {
+    assert.equal(roundHalfUp(2.5), 3);
+    assert.equal(roundHalfUp(-2.5), -3);
+    assert.equal(roundHalfUp((1005 * 10) / 100), 101);
+  });
+});
+
+describe('percentOf', () => {
+  it('rounds the tax on a line to the paisa', () => {
+    // 9% of ₹269.97 is ₹24.2973
+    assert.equal(percentOf(26997, 9), 2430);
+    assert.equal(percentOf(26997, 18), 4859);
+  });
+});
+
+describe('allocatePaise', () => {
+  it('gives the leftover paise to the largest remainders', () => {
+    assert.deepEqual(allocatePaise(100, [1, 1, 1]), [34, 33, 33]);
+    assert.deepEqual(allocatePaise(100, [1000, 2000, 3000]), [17, 33, 50]);
+    assert.deepEqual(allocatePaise(7, [1, 2, 4]), [1, 2, 4]);
+  });
+
+  it('always adds back up to the total', () => {
+    const shares = allocatePaise(1001, [333, 333, 334, 1]);
+    assert.equal(shares.reduce((sum, share) => sum + share, 0), 1001);
+  });
+
+  it('splits negative amounts the same way', () => {
+    assert.deepEqual(allocatePaise(-100, [1, 1, 1]), [-34, -33, -33]);
+  });
+
+  it('gives nothing when there is nothing to weigh against', () => {
+    assert.deepEqual(allocatePaise(100, [0, 0]), [0, 0]);
+    assert.deepEqual(allocatePaise(0, [1, 2]), [0, 0]);
+  });
+});
+
+describe('getRoundOff', () => {
+  it('rounds the total to the nearest rupee, halves up', () => {
+    assert.equal(getRoundOff(31857), 43);
+    assert.equal(getRoundOff(31849), -49);
+    assert.equal(getRoundOff(31850), 50);
+    assert.equal(getRoundOff(31800), 0);
+  });
+});
@@ -0,0 +1,112 @@
+import { DOCUMENT_TYPES, INVOICE_STATUS, getDocumentType, isNote } from './documentTypes';
+import { fromPaise, toPaise } from './money';
+
+export const PAYMENT_METHODS = {
+  PAID: 'Paid',
+  CREDIT: 'On Credit',
+};
+
+export const PAYMENT_MODES = ['Cash', 'UPI', 'Card', 'Online Transfer', 'Cheque'];
+
+// The only mode that needs no reference to reconcile against
+export const CASH_MODE = 'Cash';
+
+export const AGEING_BUCKETS = [
+  { id: 'notDue', label: 'Not Due', maxDays: 0 },
+  { id: 'upTo30', label: '1-30 Days', maxDays: 30 },
+  { id: 'upTo60', label: '31-60 Days', maxDays: 60 },
+  { id: 'upTo90', label: '61-90 Days', maxDays: 90 },
+  { id: 'over90', label: 'Over 90 Days', maxDays: Infinity },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const sumPayments = (payments = []) =>
+  payments.reduce((total, payment) => total + toPaise(Number(payment.amount) || 0), 0);
+
+// Payments taken with the invoice plus receipts recorded against it later.
+// Invoices saved before split payments only have a payment method, and
+// anything not on credit was paid in full.
+export const getAmountReceived = (invoice) => {
+  const { payload } = invoice;
+  const received = payload.payments
+    ? sumPayments(payload.payments)
+    : payload.paymentMethod === PAYMENT_METHODS.CREDIT
+      ? 0
+      : toPaise(payload.totalInvoiceValue);
+  return fromPaise(received + sumPayments(invoice.receipts));
+};
+
+// `adjustments` is the net of notes raised against the invoice, see below
+export const getBalanceDue = (invoice, adjustments = 0) =>
+  fromPaise(
+    toPaise(invoice.payload.totalInvoiceValue) +
+      toPaise(adjustments) -
+      toPaise(getAmountReceived(invoice))
+  );
+
+// What active notes add to or take off each invoice they amend, keyed by the
+// invoice's id. Debit notes raise what the customer owes and credit notes
+// lower it.
+export const getNoteAdjustments = (invoices) =>
+  invoices
+    .filter(
+      (record) =>
+        record.status === INVOICE_STATUS.ACTIVE &&
+        isNote(getDocumentType(record.payload)) &&
+        record.values?.originalInvoice?.id
+    )
+    .reduce((totals, note) => {
+      const invoiceId = note.values.originalInvoice.id;
+      const amount = toPaise(note.payload.totalInvoiceValue);
+      const sign = getDocumentType(note.payload) === DOCUMENT_TYPES.DEBIT_NOTE ? 1 : -1;
+      return totals.set(invoiceId, fromPaise(toPaise(totals.get(invoiceId) || 0) + sign * amount));
+    }, new Map());
+
+// Whole days past the due date on `today`, both as YYYY-MM-DD
+export const getDaysOverdue = (dueDate, today) =>
+  Math.max(0, Math.round((Date.parse(today) - Date.parse(dueDate)) / DAY_MS));
+
+export const getAgeingBucket = (daysOverdue) =>
+  AGEING_BUCKETS.find((bucket) => daysOverdue <= bucket.maxDays);
+
+// Active tax invoices with money still to collect after the notes raised
+// against them, oldest due first
+export const getOutstandingInvoices = (invoices, today) => {
+  const noteAdjustments = getNoteAdjustments(invoices);
+
+  return invoices
+    .filter(
+      (invoice) =>
+        invoice.status === INVOICE_STATUS.ACTIVE &&
+        getDocumentType(invoice.payload) === DOCUMENT_TYPES.INVOICE
+    )
+    .map((invoice) => {
+      const dueDate = invoice.payload.dueDate || invoice.invoiceDate;
+      const daysOverdue = getDaysOverdue(dueDate, today);
+      const adjustments = noteAdjustments.get(invoice.id) || 0;
+      return {
+        ...invoice,
+        dueDate,
+        daysOverdue,
+        adjustments,
+        amountReceived: getAmountReceived(invoice),
+        balanceDue: getBalanceDue(invoice, adjustments),
+        bucket: getAgeingBucket(daysOverdue).id,
+      };
+    })
+    .filter((invoice) => invoice.balanceDue > 0)
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+};
+
+export const getAgeingSummary = (outstanding) =>
+  AGEING_BUCKETS.map((bucket) => {
+    const invoices = outstanding.filter((invoice) => invoice.bucket === bucket.id);
+    return {
+      ...bucket,
+      count: invoices.length,
+      balanceDue: fromPaise(
+        invoices.reduce((total, invoice) => total + toPaise(invoice.balanceDue), 0)
+      ),
+    };
+  });
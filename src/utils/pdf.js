@@ -0,0 +1,26 @@
+// jsPDF and html2canvas are bundled with the app and loaded on demand, so the
+// PDF is produced entirely in the browser and works without a network.
+export const downloadElementAsPdf = async (element, fileName) => {
+  const [{ jsPDF }, { default: html2canvas }] = await Promise.all([
+    import('jspdf'),
+    import('html2canvas'),
+  ]);
+
+  const canvas = await html2canvas(element, { scale: 2, backgroundColor: '#ffffff' });
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const imageHeight = (canvas.height * pageWidth) / canvas.width;
+  const image = canvas.toDataURL('image/png');
+
+  // Long invoices are sliced across pages by shifting the same image up
+  let offset = 0;
+  pdf.addImage(image, 'PNG', 0, offset, pageWidth, imageHeight);
+  while (imageHeight + offset > pageHeight) {
+    offset -= pageHeight;
+    pdf.addPage();
+    pdf.addImage(image, 'PNG', 0, offset, pageWidth, imageHeight);
+  }
+
+  pdf.save(fileName);
+};
@@ -0,0 +1,7 @@
+export const DEFAULT_PRICE_LIST = 'default';
+
+// Falls back to the product's default price when it has none for the list
+export const getProductPrice = (product, priceListId = DEFAULT_PRICE_LIST) => {
+  const listPrice = product.prices?.[priceListId];
+  return listPrice === undefined || listPrice === '' ? product.salePrice || 0 : Number(listPrice);
+};
@@ -0,0 +1,143 @@
+// Schedules for recurring invoice templates. Everything here works on
+// "YYYY-MM-DD" strings and takes today's date as an argument, so nothing
+// depends on the system clock.
+
+export const FREQUENCIES = {
+  MONTHLY: 'monthly',
+  QUARTERLY: 'quarterly',
+  YEARLY: 'yearly',
+  CUSTOM_DAY: 'custom-day',
+};
+
+export const FREQUENCY_LABELS = {
+  [FREQUENCIES.MONTHLY]: 'Monthly',
+  [FREQUENCIES.QUARTERLY]: 'Quarterly',
+  [FREQUENCIES.YEARLY]: 'Yearly',
+  [FREQUENCIES.CUSTOM_DAY]: 'Monthly on a set day',
+};
+
+const INTERVAL_MONTHS = {
+  [FREQUENCIES.MONTHLY]: 1,
+  [FREQUENCIES.QUARTERLY]: 3,
+  [FREQUENCIES.YEARLY]: 12,
+  [FREQUENCIES.CUSTOM_DAY]: 1,
+};
+
+const MONTH_NAMES = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return { year, month, day };
+};
+
+// Narration placeholders and what they are replaced with
+export const PLACEHOLDERS = {
+  '{month}': (date) => MONTH_NAMES[parseDate(date).month - 1],
+  '{year}': (date) => String(parseDate(date).year),
+};
+
+const formatDate = ({ year, month, day }) =>
+  [year, String(month).padStart(2, '0'), String(day).padStart(2, '0')].join('-');
+
+const getDaysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// The given day in a month, or its last day when the month is shorter
+const getDateInMonth = (year, month, day) =>
+  formatDate({ year, month, day: Math.min(day, getDaysInMonth(year, month)) });
+
+export const addMonths = (date, months) => {
+  const { year, month, day } = parseDate(date);
+  const index = year * 12 + month - 1 + months;
+  return getDateInMonth(Math.floor(index / 12), (index % 12) + 1, day);
+};
+
+export const addDays = (date, days) =>
+  new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+
+export const getDaysBetween = (from, to) =>
+  Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+// Day of the month each invoice falls on: the start date's day, or the set
+// day for custom schedules
+const getAnchorDay = (schedule) =>
+  schedule.frequency === FREQUENCIES.CUSTOM_DAY
+    ? Number(schedule.dayOfMonth)
+    : parseDate(schedule.startDate).day;
+
+// Invoice dates of a schedule after `after` (exclusive) up to `until`
+// (inclusive). Dates before the start or past the end date are never returned.
+export const getOccurrences = (schedule, { after, until }) => {
+  const interval = INTERVAL_MONTHS[schedule.frequency];
+  const anchorDay = getAnchorDay(schedule);
+  const last = schedule.endDate && schedule.endDate < until ? schedule.endDate : until;
+  const start = parseDate(schedule.startDate);
+
+  const occurrences = [];
+  for (let index = start.year * 12 + start.month - 1; ; index += interval) {
+    const date = getDateInMonth(Math.floor(index / 12), (index % 12) + 1, anchorDay);
+    if (date > last) break;
+    if (date >= schedule.startDate && (!after || date > after)) {
+      occurrences.push(date);
+    }
+  }
+  return occurrences;
+};
+
+// The first invoice date after `after`, or null when the schedule has ended
+export const getNextOccurrence = (schedule, after) => {
+  // The longest interval is a year, so the next date is always within two
+  const until = addMonths(after && after > schedule.startDate ? after : schedule.startDate, 24);
+  return getOccurrences(schedule, { after, until })[0] || null;
+};
+
+// Invoice dates a template still has to generate as of `today`
+export const getDueDates = (template, today) =>
+  template.active
+    ? getOccurrences(template.schedule, { after: template.lastGeneratedDate, until: today })
+    : [];
+
+export const fillPlaceholders = (text, date) =>
+  Object.entries(PLACEHOLDERS).reduce(
+    (result, [placeholder, getValue]) => result.split(placeholder).join(getValue(date)),
+    text || ''
+  );
+
+// Form values for one generated invoice. It takes the next number in the
+// series when reviewed, and a credit due date keeps the template's term.
+export const buildRecurringValues = (template, invoiceDate) => {
+  const { values } = template;
+  const dueInDays =
+    values.dueDate && values.invoiceDate ? getDaysBetween(values.invoiceDate, values.dueDate) : 0;
+  return {
+    ...values,
+    sourceQuote: null,
+    invoiceNo: '',
+    invoiceDate,
+    dueDate: values.dueDate ? addDays(invoiceDate, dueInDays) : '',
+    payments: (values.payments || []).map((payment) => ({ ...payment, date: '' })),
+    narration: fillPlaceholders(values.narration, invoiceDate),
+  };
+};
+
+export const describeSchedule = (schedule) => {
+  const ends = schedule.endDate ? ` until ${schedule.endDate}` : '';
+  if (schedule.frequency === FREQUENCIES.CUSTOM_DAY) {
+    return `Monthly on day ${schedule.dayOfMonth} from ${schedule.startDate}${ends}`;
+  }
+  return `${FREQUENCY_LABELS[schedule.frequency]} from ${schedule.startDate}${ends}`;
+};
@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FREQUENCIES,
+  buildRecurringValues,
+  getDueDates,
+  getNextOccurrence,
+  getOccurrences,
+} from './recurrence.js';
+
+const monthly = (startDate, extra) => ({ frequency: FREQUENCIES.MONTHLY, startDate, ...extra });
+
+describe('getOccurrences', () => {
+  it('uses the last day of shorter months and returns to the start day after', () => {
+    assert.deepEqual(getOccurrences(monthly('2025-01-31'), { until: '2025-05-31' }), [
+      '2025-01-31',
+      '2025-02-28',
+      '2025-03-31',
+      '2025-04-30',
+      '2025-05-31',
+    ]);
+  });
+
+  it('falls on 29 February in leap years only', () => {
+    assert.deepEqual(getOccurrences(monthly('2024-01-31'), { until: '2024-03-01' }), [
+      '2024-01-31',
+      '2024-02-29',
+    ]);
+    const yearly = { frequency: FREQUENCIES.YEARLY, startDate: '2024-02-29' };
+    assert.deepEqual(getOccurrences(yearly, { until: '2028-12-31' }), [
+      '2024-02-29',
+      '2025-02-28',
+      '2026-02-28',
+      '2027-02-28',
+      '2028-02-29',
+    ]);
+  });
+
+  it('clamps a custom day to short months and skips days before the start', () => {
+    const schedule = { frequency: FREQUENCIES.CUSTOM_DAY, startDate: '2025-01-20', dayOfMonth: 31 };
+    assert.deepEqual(getOccurrences(schedule, { until: '2025-04-30' }), [
+      '2025-01-31',
+      '2025-02-28',
+      '2025-03-31',
+      '2025-04-30',
+    ]);
+    const early = { ...schedule, dayOfMonth: 5 };
+    assert.deepEqual(getOccurrences(early, { until: '2025-03-31' }), ['2025-02-05', '2025-03-05']);
+  });
+
+  it('stops at the end date', () => {
+    const schedule = {
+      frequency: FREQUENCIES.QUARTERLY,
+      startDate: '2025-01-15',
+      endDate: '2025-09-30',
+    };
+    assert.deepEqual(getOccurrences(schedule, { until: '2026-06-30' }), [
+      '2025-01-15',
+      '2025-04-15',
+      '2025-07-15',
+    ]);
+    assert.equal(getNextOccurrence(schedule, '2025-07-15'), null);
+  });
+});
+
+describe('getNextOccurrence', () => {
+  it('returns the start date before anything is generated', () => {
+    assert.equal(getNextOccurrence(monthly('2025-03-10')), '2025-03-10');
+  });
+
+  it('keeps the start day after a short month', () => {
+    assert.equal(getNextOccurrence(monthly('2025-01-31'), '2025-02-28'), '2025-03-31');
+  });
+});
+
+describe('getDueDates', () => {
+  const template = {
+    active: true,
+    schedule: monthly('2025-01-10'),
+    lastGeneratedDate: '2025-02-10',
+  };
+
+  it('catches up on every period missed since the last run', () => {
+    assert.deepEqual(getDueDates(template, '2025-06-05'), [
+      '2025-03-10',
+      '2025-04-10',
+      '2025-05-10',
+    ]);
+  });
+
+  it('includes an invoice due today and nothing already generated', () => {
+    assert.deepEqual(getDueDates(template, '2025-03-10'), ['2025-03-10']);
+    assert.deepEqual(getDueDates(template, '2025-03-09'), []);
+  });
+
+  it('generates nothing for a paused template', () => {
+    assert.deepEqual(getDueDates({ ...template, active: false }, '2025-06-05'), []);
+  });
+});
+
+describe('buildRecurringValues', () => {
+  it('keeps the credit term and fills the narration for the new date', () => {
+    const values = buildRecurringValues(
+      {
+        values: {
+          invoiceNo: 'INV-7',
+          invoiceDate: '2025-01-10',
+          dueDate: '2025-02-09',
+          narration: 'Retainer for {month} {year}',
+          payments: [],
+        },
+      },
+      '2025-03-10'
+    );
+    assert.equal(values.invoiceNo, '');
+    assert.equal(values.dueDate, '2025-04-09');
+    assert.equal(values.narration, 'Retainer for March 2025');
+  });
+});
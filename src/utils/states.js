@@ -0,0 +1,22 @@
+import { states } from '../data/mockData';
+
+export const STATE_TYPES = {
+  STATE: 'state',
+  UNION_TERRITORY: 'ut',
+  FOREIGN: 'foreign',
+};
+
+export const getState = (name) => states.find((state) => state.name === name);
+
+export const getStateCode = (name) => getState(name)?.code;
+
+// The state a GSTIN is registered in, from its two-digit prefix
+export const getStateNameByCode = (code) =>
+  states.find((state) => state.code === code && state.type !== STATE_TYPES.FOREIGN)?.name;
+
+export const isUnionTerritory = (name) => getState(name)?.type === STATE_TYPES.UNION_TERRITORY;
+
+// The seller's location decides whether the state half of intra-state tax is
+// SGST or UTGST; the amounts are worked out the same way.
+export const getStateTaxLabel = (sellerState) =>
+  isUnionTerritory(sellerState) ? 'UTGST' : 'SGST';
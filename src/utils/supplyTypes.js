@@ -0,0 +1,45 @@
+// Exports and supplies to SEZ units are zero-rated: either made under a
+// letter of undertaking (LUT) or bond without tax, or with IGST paid and
+// later refunded. Records saved before supply types existed are regular.
+export const SUPPLY_TYPES = {
+  REGULAR: 'regular',
+  EXPORT_WITH_PAYMENT: 'export-with-payment',
+  EXPORT_UNDER_LUT: 'export-under-lut',
+  SEZ_WITH_PAYMENT: 'sez-with-payment',
+  SEZ_UNDER_LUT: 'sez-under-lut',
+};
+
+export const SUPPLY_TYPE_LABELS = {
+  [SUPPLY_TYPES.REGULAR]: 'Regular',
+  [SUPPLY_TYPES.EXPORT_WITH_PAYMENT]: 'Export with IGST Paid',
+  [SUPPLY_TYPES.EXPORT_UNDER_LUT]: 'Export under LUT/Bond',
+  [SUPPLY_TYPES.SEZ_WITH_PAYMENT]: 'SEZ with IGST Paid',
+  [SUPPLY_TYPES.SEZ_UNDER_LUT]: 'SEZ under LUT/Bond',
+};
+
+// Place of supply for every export
+export const OUTSIDE_INDIA = 'Outside India';
+
+export const getSupplyType = (payload) => payload.supplyType || SUPPLY_TYPES.REGULAR;
+
+export const isExport = (supplyType) =>
+  supplyType === SUPPLY_TYPES.EXPORT_WITH_PAYMENT || supplyType === SUPPLY_TYPES.EXPORT_UNDER_LUT;
+
+export const isSez = (supplyType) =>
+  supplyType === SUPPLY_TYPES.SEZ_WITH_PAYMENT || supplyType === SUPPLY_TYPES.SEZ_UNDER_LUT;
+
+export const isZeroRated = (supplyType) => isExport(supplyType) || isSez(supplyType);
+
+export const isUnderLut = (supplyType) =>
+  supplyType === SUPPLY_TYPES.EXPORT_UNDER_LUT || supplyType === SUPPLY_TYPES.SEZ_UNDER_LUT;
+
+// Endorsements the rules require on zero-rated invoices
+export const SUPPLY_DECLARATIONS = {
+  [SUPPLY_TYPES.EXPORT_WITH_PAYMENT]: 'Supply meant for export on payment of integrated tax',
+  [SUPPLY_TYPES.EXPORT_UNDER_LUT]:
+    'Supply meant for export under bond or letter of undertaking without payment of integrated tax',
+  [SUPPLY_TYPES.SEZ_WITH_PAYMENT]:
+    'Supply meant for SEZ unit or developer for authorised operations on payment of integrated tax',
+  [SUPPLY_TYPES.SEZ_UNDER_LUT]:
+    'Supply meant for SEZ unit or developer for authorised operations under bond or letter of undertaking without payment of integrated tax',
+};
@@ -0,0 +1,69 @@
+import { getDocumentType } from './documentTypes';
+import { VOUCHER_TYPES, buildJournalEntries } from './journal';
+import { fromPaise } from './money';
+
+const escapeXml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const tag = (name, value) => `<${name}>${escapeXml(value)}</${name}>`;
+
+// Tally stores debits as negative amounts flagged as deemed positive
+const toLedgerEntry = ({ ledger, debit, credit }, isParty) =>
+  [
+    '<ALLLEDGERENTRIES.LIST>',
+    tag('LEDGERNAME', ledger),
+    tag('ISDEEMEDPOSITIVE', debit ? 'Yes' : 'No'),
+    tag('ISPARTYLEDGER', isParty ? 'Yes' : 'No'),
+    tag('AMOUNT', fromPaise(debit ? -debit : credit).toFixed(2)),
+    '</ALLLEDGERENTRIES.LIST>',
+  ].join('');
+
+const toVoucher = (invoice, mapping) => {
+  const voucherType = VOUCHER_TYPES[getDocumentType(invoice)];
+  const entries = buildJournalEntries(invoice, mapping);
+
+  return [
+    `<TALLYMESSAGE xmlns:UDF="TallyUDF">`,
+    `<VOUCHER VCHTYPE="${escapeXml(voucherType)}" ACTION="Create">`,
+    tag('DATE', invoice.invoiceDate.replace(/-/g, '')),
+    tag('VOUCHERTYPENAME', voucherType),
+    tag('VOUCHERNUMBER', invoice.invoiceNo),
+    tag('PARTYLEDGERNAME', entries[0].ledger),
+    tag('PARTYNAME', invoice.customer.name),
+    invoice.customer.gstin ? tag('PARTYGSTIN', invoice.customer.gstin) : '',
+    tag('STATENAME', invoice.customer.state),
+    tag('PLACEOFSUPPLY', invoice.placeOfSupply),
+    tag('NARRATION', invoice.narration || ''),
+    ...entries.map((entry, index) => toLedgerEntry(entry, index === 0)),
+    '</VOUCHER>',
+    '</TALLYMESSAGE>',
+  ].join('');
+};
+
+// Sales vouchers in the envelope Tally's "Import Data" accepts. Ledgers must
+// already exist in the company under the mapped names.
+export const toTallyXml = (invoices, { mapping, companyName }) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<ENVELOPE>',
+    '<HEADER>',
+    tag('TALLYREQUEST', 'Import Data'),
+    '</HEADER>',
+    '<BODY>',
+    '<IMPORTDATA>',
+    '<REQUESTDESC>',
+    tag('REPORTNAME', 'Vouchers'),
+    `<STATICVARIABLES>${tag('SVCURRENTCOMPANY', companyName)}</STATICVARIABLES>`,
+    '</REQUESTDESC>',
+    '<REQUESTDATA>',
+    ...invoices.map((invoice) => toVoucher(invoice, mapping)),
+    '</REQUESTDATA>',
+    '</IMPORTDATA>',
+    '</BODY>',
+    '</ENVELOPE>',
+  ].join('\n');
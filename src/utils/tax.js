@@ -0,0 +1,287 @@
+import { allocatePaise, fromPaise, getRoundOff, percentOf, roundHalfUp, toPaise } from './money';
+import { getStateCode } from './states';
+import { isZeroRated } from './supplyTypes';
+
+export const GST_RATES = [0, 5, 12, 18, 28];
+
+export const TAX_TYPES = {
+  INTRA_STATE: 'CGST_SGST',
+  INTER_STATE: 'IGST',
+};
+
+export const DISCOUNT_TYPES = {
+  FLAT: 'flat',
+  PERCENT: 'percent',
+};
+
+// Tax is either rounded to the paisa on every line, or worked out once per
+// rate on the invoice's combined taxable value and then spread over lines.
+export const TAX_ROUNDING = {
+  LINE: 'line',
+  INVOICE: 'invoice',
+};
+
+export const defaultRoundingSettings = {
+  taxRounding: TAX_ROUNDING.LINE,
+  roundOffTotal: true,
+};
+
+// Place of supply decides the tax type: same state code as the seller means
+// CGST + SGST (UTGST in a union territory), any other state, or outside
+// India, means IGST. Exports and SEZ supplies are always inter-state.
+export const getTaxType = (sellerState, placeOfSupply, supplyType) =>
+  isZeroRated(supplyType) ||
+  (placeOfSupply && getStateCode(placeOfSupply) !== getStateCode(sellerState))
+    ? TAX_TYPES.INTER_STATE
+    : TAX_TYPES.INTRA_STATE;
+
+const getDiscountPaise = (basePaise, type, value) =>
+  type === DISCOUNT_TYPES.PERCENT ? percentOf(basePaise, value) : toPaise(value);
+
+const calculateLineDiscountPaise = (product) => {
+  const qty = Number(product?.qty) || 0;
+  const grossValue = roundHalfUp(qty * toPaise(product?.salePrice));
+  const discountAmount = getDiscountPaise(grossValue, product?.discountType, product?.discount);
+
+  return {
+    grossValue,
+    discountAmount,
+    netValue: grossValue - discountAmount,
+  };
+};
+
+// Line value after the line's own discount, before any invoice discount
+export const calculateLineDiscount = (product) => {
+  const { grossValue, discountAmount, netValue } = calculateLineDiscountPaise(product);
+  return {
+    grossValue: fromPaise(grossValue),
+    discountAmount: fromPaise(discountAmount),
+    netValue: fromPaise(netValue),
+  };
+};
+
+// Spreads the invoice-level discount across lines in proportion to their
+// value after line discounts, so it reduces each line's taxable value.
+const allocateInvoiceDiscount = (netValues, invoiceDiscount = {}) => {
+  const totalNetValue = netValues.reduce((sum, value) => sum + value, 0);
+  const discountAmount = getDiscountPaise(
+    totalNetValue,
+    invoiceDiscount.type,
+    invoiceDiscount.value
+  );
+  return allocatePaise(Math.min(discountAmount, Math.max(totalNetValue, 0)), netValues);
+};
+
+const calculateLineTaxes = (line, taxType) => {
+  const isInterState = taxType === TAX_TYPES.INTER_STATE;
+  // CGST and SGST are each half the rate and must be equal
+  const halfTax = isInterState ? 0 : percentOf(line.taxableValue, line.gstRate / 2);
+
+  return {
+    igst: isInterState ? percentOf(line.taxableValue, line.gstRate) : 0,
+    cgst: halfTax,
+    sgst: halfTax,
+    cess: percentOf(line.taxableValue, line.cessRate),
+  };
+};
+
+// Works a tax-inclusive amount back to its value before GST and ad valorem
+// cess. Per-unit cess is a fixed amount in the price and comes off first.
+const removeTax = (inclusiveValue, line) =>
+  roundHalfUp(
+    ((inclusiveValue - line.nonAdValoremCess) * 100) / (100 + line.gstRate + line.cessRate)
+  );
+
+// Restates a line priced with tax included. The taxes are whatever is left
+// of the inclusive value after the taxable value, so the line still totals
+// what was charged. Discounts came off inclusive amounts and are worked back
+// the same way, keeping gross less discounts equal to the taxable value.
+const toExclusiveLine = (line, taxType) => {
+  let taxableValue = removeTax(line.taxableValue, line);
+  const cess = percentOf(taxableValue, line.cessRate);
+  let gst = line.taxableValue - line.nonAdValoremCess - taxableValue - cess;
+  // Rounding leftovers stay in the taxable value: all of them on a nil-rated
+  // line, otherwise an odd paisa, since CGST and SGST must be equal
+  const leftover = !line.gstRate ? gst : taxType === TAX_TYPES.INTRA_STATE ? gst % 2 : 0;
+  taxableValue += leftover;
+  gst -= leftover;
+
+  const isInterState = taxType === TAX_TYPES.INTER_STATE;
+  const netValue = line.invoiceDiscountShare ? removeTax(line.netValue, line) : taxableValue;
+  const grossValue = line.discountAmount ? removeTax(line.grossValue, line) : netValue;
+  return {
+    ...line,
+    grossValue,
+    discountAmount: grossValue - netValue,
+    invoiceDiscountShare: netValue - taxableValue,
+    taxableValue,
+    exclusivePrice: roundHalfUp(
+      ((line.price - line.cessPerUnit) * 100) / (100 + line.gstRate + line.cessRate)
+    ),
+    inclusiveTaxes: {
+      igst: isInterState ? gst : 0,
+      cgst: isInterState ? 0 : gst / 2,
+      sgst: isInterState ? 0 : gst / 2,
+      cess,
+    },
+  };
+};
+
+// Rounds tax once per rate group and hands each line its share, so line
+// taxes still add up to the invoice's tax exactly.
+const calculateInvoiceLevelTaxes = (lines, taxType) => {
+  const groups = lines.reduce((acc, line, index) => {
+    const key = `${line.gstRate}|${line.cessRate}`;
+    acc[key] = acc[key] || { ...line, indexes: [], taxableValue: 0 };
+    acc[key].indexes.push(index);
+    acc[key].taxableValue += line.taxableValue;
+    return acc;
+  }, {});
+
+  const taxes = lines.map(() => ({ igst: 0, cgst: 0, sgst: 0, cess: 0 }));
+  Object.values(groups).forEach((group) => {
+    const groupTaxes = calculateLineTaxes(group, taxType);
+    const weights = group.indexes.map((index) => lines[index].taxableValue);
+    Object.keys(groupTaxes).forEach((tax) => {
+      allocatePaise(groupTaxes[tax], weights).forEach((share, position) => {
+        taxes[group.indexes[position]][tax] = share;
+      });
+    });
+  });
+  return taxes;
+};
+
+const calculateTotals = (lines) =>
+  lines.reduce(
+    (acc, values) => ({
+      totalGrossValue: acc.totalGrossValue + values.grossValue,
+      totalDiscount: acc.totalDiscount + values.discountAmount + values.invoiceDiscountShare,
+      totalInvoiceDiscount: acc.totalInvoiceDiscount + values.invoiceDiscountShare,
+      totalTaxableValue: acc.totalTaxableValue + values.taxableValue,
+      totalCGST: acc.totalCGST + values.cgst,
+      totalSGST: acc.totalSGST + values.sgst,
+      totalIGST: acc.totalIGST + values.igst,
+      totalCess: acc.totalCess + values.cess,
+      totalValue: acc.totalValue + values.totalValue,
+    }),
+    {
+      totalGrossValue: 0,
+      totalDiscount: 0,
+      totalInvoiceDiscount: 0,
+      totalTaxableValue: 0,
+      totalCGST: 0,
+      totalSGST: 0,
+      totalIGST: 0,
+      totalCess: 0,
+      totalValue: 0,
+    }
+  );
+
+// Groups line values by GST rate, sorted from the lowest slab up
+const calculateTaxBreakup = (lines) => {
+  const breakup = lines.reduce((acc, values) => {
+    const entry = acc[values.gstRate] || {
+      gstRate: values.gstRate,
+      taxableValue: 0,
+      cgst: 0,
+      sgst: 0,
+      igst: 0,
+      cess: 0,
+    };
+    acc[values.gstRate] = {
+      ...entry,
+      taxableValue: entry.taxableValue + values.taxableValue,
+      cgst: entry.cgst + values.cgst,
+      sgst: entry.sgst + values.sgst,
+      igst: entry.igst + values.igst,
+      cess: entry.cess + values.cess,
+    };
+    return acc;
+  }, {});
+
+  return Object.values(breakup).sort((a, b) => a.gstRate - b.gstRate);
+};
+
+const toRupees = ({ gstRate, ...amounts }) => ({
+  ...(gstRate !== undefined && { gstRate }),
+  ...Object.fromEntries(Object.entries(amounts).map(([key, paise]) => [key, fromPaise(paise)])),
+});
+
+// Works in paise throughout and returns rupee amounts that are exact to
+// the paisa. `rounding` follows defaultRoundingSettings. Lines with
+// `priceIncludesTax` have their sale price and discounts taken as
+// tax-inclusive; when tax is rounded per invoice their totals can differ from
+// the inclusive amounts by a few paise, which the round-off absorbs.
+// `withoutTax` is for zero-rated supplies under LUT: lines keep their GST rate
+// for reporting but no GST or cess is charged.
+export const calculateInvoice = (
+  products,
+  {
+    taxType = TAX_TYPES.INTRA_STATE,
+    invoiceDiscount,
+    rounding = defaultRoundingSettings,
+    withoutTax = false,
+  } = {}
+) => {
+  const lineDiscounts = products.map(calculateLineDiscountPaise);
+  const shares = allocateInvoiceDiscount(
+    lineDiscounts.map((line) => line.netValue),
+    invoiceDiscount
+  );
+
+  const baseLines = products.map((product, index) => {
+    const qty = Number(product?.qty) || 0;
+    const cessPerUnit = withoutTax ? 0 : toPaise(product?.cessPerUnit);
+    const line = {
+      qty,
+      price: toPaise(product?.salePrice),
+      reportedRate: Number(product?.gstRate) || 0,
+      // The rates tax is charged at
+      gstRate: withoutTax ? 0 : Number(product?.gstRate) || 0,
+      cessRate: withoutTax ? 0 : Number(product?.cessRate) || 0,
+      cessPerUnit,
+      // Compensation cess is levied on top of GST, either ad valorem or per unit
+      nonAdValoremCess: roundHalfUp(qty * cessPerUnit),
+      ...lineDiscounts[index],
+      invoiceDiscountShare: shares[index],
+      taxableValue: lineDiscounts[index].netValue - shares[index],
+    };
+    return product?.priceIncludesTax
+      ? toExclusiveLine(line, taxType)
+      : { ...line, exclusivePrice: line.price };
+  });
+
+  const taxes =
+    rounding.taxRounding === TAX_ROUNDING.INVOICE
+      ? calculateInvoiceLevelTaxes(baseLines, taxType)
+      : baseLines.map((line) => line.inclusiveTaxes || calculateLineTaxes(line, taxType));
+
+  const lines = baseLines.map((line, index) => {
+    const { igst, cgst, sgst } = taxes[index];
+    const { nonAdValoremCess } = line;
+    const cess = taxes[index].cess + nonAdValoremCess;
+    return {
+      gstRate: line.reportedRate,
+      exclusivePrice: line.exclusivePrice,
+      grossValue: line.grossValue,
+      discountAmount: line.discountAmount,
+      invoiceDiscountShare: line.invoiceDiscountShare,
+      taxableValue: line.taxableValue,
+      cgst,
+      sgst,
+      igst,
+      cess,
+      nonAdValoremCess,
+      totalValue: line.taxableValue + igst + cgst + sgst + cess,
+    };
+  });
+
+  const totals = calculateTotals(lines);
+  const roundOff = rounding.roundOffTotal ? getRoundOff(totals.totalValue) : 0;
+
+  return {
+    lines: lines.map(toRupees),
+    totals: toRupees({ ...totals, roundOff, grandTotal: totals.totalValue + roundOff }),
+    taxBreakup: calculateTaxBreakup(lines).map(toRupees),
+  };
+};
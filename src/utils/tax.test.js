@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DISCOUNT_TYPES, TAX_ROUNDING, TAX_TYPES, calculateInvoice } from './tax.js';
+
+const product = (values) => ({
+  qty: 1,
+  gstRate: 18,
+  discountType: DISCOUNT_TYPES.FLAT,
+  discount: 0,
+  ...values,
+});
+
+describe('calculateInvoice', () => {
+  it('taxes 3 x ₹89.99 at 18% to the paisa and rounds off the total', () => {
+    const { lines, totals } = calculateInvoice([product({ qty: 3, salePrice: 89.99 })]);
+    assert.equal(lines[0].taxableValue, 269.97);
+    assert.equal(lines[0].cgst, 24.3);
+    assert.equal(lines[0].sgst, 24.3);
+    assert.equal(totals.totalValue, 318.57);
+    assert.equal(totals.roundOff, 0.43);
+    assert.equal(totals.grandTotal, 319);
+  });
+
+  it('charges the full rate as IGST between states', () => {
+    const { lines, totals } = calculateInvoice([product({ qty: 3, salePrice: 89.99 })], {
+      taxType: TAX_TYPES.INTER_STATE,
+    });
+    assert.equal(lines[0].igst, 48.59);
+    assert.equal(lines[0].cgst, 0);
+    assert.equal(totals.totalValue, 318.56);
+    assert.equal(totals.grandTotal, 319);
+  });
+
+  it('leaves the total alone when round-off is turned off', () => {
+    const { totals } = calculateInvoice([product({ qty: 3, salePrice: 89.99 })], {
+      rounding: { taxRounding: TAX_ROUNDING.LINE, roundOffTotal: false },
+    });
+    assert.equal(totals.roundOff, 0);
+    assert.equal(totals.grandTotal, 318.57);
+  });
+
+  it('works a tax-inclusive price back to its taxable value', () => {
+    const { lines, totals } = calculateInvoice([
+      product({ salePrice: 118, priceIncludesTax: true }),
+    ]);
+    assert.equal(lines[0].exclusivePrice, 100);
+    assert.equal(lines[0].taxableValue, 100);
+    assert.equal(lines[0].cgst, 9);
+    assert.equal(lines[0].sgst, 9);
+    assert.equal(totals.grandTotal, 118);
+  });
+
+  it('keeps an inclusive line at the amount charged when tax does not divide evenly', () => {
+    const { lines } = calculateInvoice([
+      product({ qty: 3, salePrice: 99.99, priceIncludesTax: true }),
+    ]);
+    assert.equal(lines[0].totalValue, 299.97);
+    assert.equal(lines[0].cgst, lines[0].sgst);
+  });
+
+  it('spreads an invoice discount over lines by largest remainder', () => {
+    const { lines, totals } = calculateInvoice(
+      [product({ salePrice: 10 }), product({ salePrice: 10 }), product({ salePrice: 10 })],
+      { invoiceDiscount: { type: DISCOUNT_TYPES.FLAT, value: 1 } }
+    );
+    assert.deepEqual(lines.map((line) => line.invoiceDiscountShare), [0.34, 0.33, 0.33]);
+    assert.deepEqual(lines.map((line) => line.taxableValue), [9.66, 9.67, 9.67]);
+    assert.equal(totals.totalInvoiceDiscount, 1);
+    assert.equal(totals.totalTaxableValue, 29);
+  });
+
+  it('applies a line discount before the invoice discount', () => {
+    const { lines } = calculateInvoice(
+      [
+        product({ salePrice: 100, discountType: DISCOUNT_TYPES.PERCENT, discount: 10 }),
+        product({ salePrice: 90 }),
+      ],
+      { invoiceDiscount: { type: DISCOUNT_TYPES.PERCENT, value: 10 } }
+    );
+    assert.deepEqual(
+      lines.map((line) => [line.discountAmount, line.invoiceDiscountShare, line.taxableValue]),
+      [
+        [10, 9, 81],
+        [0, 9, 81],
+      ]
+    );
+  });
+});
@@ -0,0 +1,23 @@
+import { units } from '../data/mockData';
+
+export const DEFAULT_UNIT = 'NOS';
+
+// Units not in the list, such as ones typed into older records, allow the
+// most decimals any UQC does
+const MAX_DECIMALS = 3;
+
+export const getUnitDecimals = (code) =>
+  units.find((unit) => unit.code === code)?.decimals ?? MAX_DECIMALS;
+
+export const countDecimals = (value) => {
+  const [, fraction = ''] = String(value).split('.');
+  return fraction.length;
+};
+
+// Quantities are added and subtracted without float residue
+export const roundQuantity = (value) =>
+  Math.round(value * 10 ** MAX_DECIMALS) / 10 ** MAX_DECIMALS;
+
+// "2.5 KGS", with "+ 1 free" when a scheme adds free quantity
+export const formatQuantity = ({ qty, freeQty, unit }) =>
+  `${qty}${unit ? ` ${unit}` : ''}${freeQty ? ` + ${freeQty} free` : ''}`;